@@ -7,11 +7,14 @@ const cors = require("cors");
 
 const { NotFoundError } = require("./expressError");
 
-const { authenticateJWT } = require("./middleware/auth");
+const { authenticateJWT, authenticateApiKey } = require("./middleware/auth");
 const authRoutes = require("./routes/auth");
 const companiesRoutes = require("./routes/companies");
 const usersRoutes = require("./routes/users");
 const jobsRoutes = require("./routes/jobs");
+const searchRoutes = require("./routes/search");
+const apiKeysRoutes = require("./routes/apiKeys");
+const adminRoutes = require("./routes/admin");
 
 const morgan = require("morgan");
 
@@ -21,11 +24,15 @@ app.use(cors());
 app.use(express.json());
 app.use(morgan("tiny"));
 app.use(authenticateJWT);
+app.use(authenticateApiKey);
 
 app.use("/auth", authRoutes);
 app.use("/companies", companiesRoutes);
 app.use("/users", usersRoutes);
 app.use("/jobs", jobsRoutes);
+app.use("/search", searchRoutes);
+app.use("/api-keys", apiKeysRoutes);
+app.use("/admin", adminRoutes);
 
 
 /** Handle 404 errors -- this matches everything */
@@ -39,6 +46,7 @@ app.use(function (err, req, res, next) {
   /* istanbul ignore next (ignore for coverage) */
   const status= err.status || 500;
   const message = err.message;
+  if (err.retryAfter) res.set("Retry-After", String(err.retryAfter));
 
   return res.status(status).json({
     error: { message, status },
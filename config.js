@@ -9,6 +9,43 @@ const SECRET_KEY = process.env.SECRET_KEY || "secret-dev";
 
 const PORT = +process.env.PORT || 3001;
 
+// Lifetimes, in seconds, of access tokens (JWTs) and of refresh tokens
+const ACCESS_TOKEN_TTL = +process.env.ACCESS_TOKEN_TTL || 15 * 60;
+const REFRESH_TOKEN_TTL = +process.env.REFRESH_TOKEN_TTL || 30 * 24 * 60 * 60;
+
+// Lifetime, in seconds, of password reset tokens
+const PASSWORD_RESET_TTL = +process.env.PASSWORD_RESET_TTL || 60 * 60;
+
+// Lifetime, in seconds, of email verification tokens
+const EMAIL_VERIFICATION_TTL =
+  +process.env.EMAIL_VERIFICATION_TTL || 24 * 60 * 60;
+
+// Login throttling. Once a username (or, with a higher allowance, an IP
+// address) has failed LOGIN_FREE_ATTEMPTS logins, each further failure
+// doubles the wait before the next try, from LOGIN_BACKOFF_BASE up to
+// LOGIN_BACKOFF_MAX seconds. LOGIN_LOCKOUT_AFTER failures lock the account
+// for LOGIN_LOCKOUT_TTL seconds; failures older than that are forgotten.
+const LOGIN_FREE_ATTEMPTS = +process.env.LOGIN_FREE_ATTEMPTS || 3;
+const LOGIN_FREE_ATTEMPTS_PER_IP = +process.env.LOGIN_FREE_ATTEMPTS_PER_IP || 20;
+const LOGIN_BACKOFF_BASE = +process.env.LOGIN_BACKOFF_BASE || 1;
+const LOGIN_BACKOFF_MAX = +process.env.LOGIN_BACKOFF_MAX || 5 * 60;
+const LOGIN_LOCKOUT_AFTER = +process.env.LOGIN_LOCKOUT_AFTER || 10;
+const LOGIN_LOCKOUT_TTL = +process.env.LOGIN_LOCKOUT_TTL || 15 * 60;
+
+// Days deleted companies, jobs and users are kept (and can be restored)
+// before purge.js removes them for good
+const DELETED_RETENTION_DAYS = +process.env.DELETED_RETENTION_DAYS || 30;
+
+// Most responses middleware/cache.js keeps for the public company and job
+// listings
+const CACHE_MAX_ENTRIES = +process.env.CACHE_MAX_ENTRIES || 500;
+
+// How outgoing email is delivered: "console" prints it, "file" appends it to
+// MAIL_FILE; other transports can be plugged in via helpers/mailer.js
+const MAIL_TRANSPORT = process.env.MAIL_TRANSPORT || "console";
+const MAIL_FILE = process.env.MAIL_FILE || "mail.log";
+const MAIL_FROM = process.env.MAIL_FROM || "Jobly <no-reply@jobly.test>";
+
 // Use dev database, testing database, or via env var, production database
 function getDatabaseUri() {
   return (process.env.NODE_ENV === "test")
@@ -27,6 +64,9 @@ ${"NODE_ENV:".yellow}           ${process.env.NODE_ENV}
 ${"SECRET_KEY:".yellow}         ${SECRET_KEY}
 ${"PORT:".yellow}               ${PORT}
 ${"BCRYPT_WORK_FACTOR:".yellow} ${BCRYPT_WORK_FACTOR}
+${"ACCESS_TOKEN_TTL:".yellow}   ${ACCESS_TOKEN_TTL}
+${"REFRESH_TOKEN_TTL:".yellow}  ${REFRESH_TOKEN_TTL}
+${"MAIL_TRANSPORT:".yellow}     ${MAIL_TRANSPORT}
 ${"Database:".yellow}           ${getDatabaseUri()}
 ---`);
 }
@@ -35,5 +75,20 @@ module.exports = {
   SECRET_KEY,
   PORT,
   BCRYPT_WORK_FACTOR,
+  ACCESS_TOKEN_TTL,
+  REFRESH_TOKEN_TTL,
+  PASSWORD_RESET_TTL,
+  EMAIL_VERIFICATION_TTL,
+  LOGIN_FREE_ATTEMPTS,
+  LOGIN_FREE_ATTEMPTS_PER_IP,
+  LOGIN_BACKOFF_BASE,
+  LOGIN_BACKOFF_MAX,
+  LOGIN_LOCKOUT_AFTER,
+  LOGIN_LOCKOUT_TTL,
+  DELETED_RETENTION_DAYS,
+  CACHE_MAX_ENTRIES,
+  MAIL_TRANSPORT,
+  MAIL_FILE,
+  MAIL_FROM,
   getDatabaseUri,
 };
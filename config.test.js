@@ -6,17 +6,22 @@ describe("config can come from env", function () {
     process.env.PORT = "5000";
     process.env.DATABASE_URL = "other";
     process.env.NODE_ENV = "other";
+    process.env.ACCESS_TOKEN_TTL = "60";
 
     const config = require("./config");
     expect(config.SECRET_KEY).toEqual("abc");
     expect(config.PORT).toEqual(5000);
     expect(config.getDatabaseUri()).toEqual("other");
     expect(config.BCRYPT_WORK_FACTOR).toEqual(12);
+    expect(config.ACCESS_TOKEN_TTL).toEqual(60);
+    expect(config.REFRESH_TOKEN_TTL).toEqual(30 * 24 * 60 * 60);
+    expect(config.LOGIN_LOCKOUT_AFTER).toEqual(10);
 
     delete process.env.SECRET_KEY;
     delete process.env.PORT;
     delete process.env.BCRYPT_WORK_FACTOR;
     delete process.env.DATABASE_URL;
+    delete process.env.ACCESS_TOKEN_TTL;
 
     expect(config.getDatabaseUri()).toEqual("postgresql:///jobly");
     process.env.NODE_ENV = "test";
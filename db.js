@@ -7,7 +7,81 @@ const { getDatabaseUri } = require("./config");
 
 const databaseUri = getDatabaseUri();
 
-const db = new Client({
+/** Postgres error code for a savepoint outside a transaction. */
+
+const NO_ACTIVE_SQL_TRANSACTION = "25P01";
+
+/** The connection to the database, which every request shares.
+ *
+ * A transaction on it would take in the queries of other requests made while
+ * it's open, so those wait until it ends.
+ */
+
+class Database extends Client {
+  /** Resolves when the open transaction ends (null if there isn't one). */
+  #transactionEnded = null;
+
+  /** Like Client#query, once any open transaction has ended. */
+
+  async query(...args) {
+    while (this.#transactionEnded) await this.#transactionEnded;
+    return super.query(...args);
+  }
+
+  /** Runs async function fn(client) in a transaction: fn makes its queries
+   * with client.query (not db.query, which would wait for it), and what they
+   * change is committed if fn returns, or rolled back if it throws.
+   *
+   * Inside a transaction begun with db.query("BEGIN"), as tests do to roll
+   * back each one, fn's queries go in a savepoint of it instead.
+   *
+   * Returns what fn returns.
+   */
+
+  async transaction(fn) {
+    while (this.#transactionEnded) await this.#transactionEnded;
+    let endTransaction;
+    this.#transactionEnded = new Promise(resolve => {
+      endTransaction = resolve;
+    });
+
+    const client = { query: (...args) => super.query(...args) };
+    try {
+      const nested = await begin(client);
+      try {
+        const result = await fn(client);
+        await client.query(nested ? "RELEASE SAVEPOINT nested" : "COMMIT");
+        return result;
+      } catch (err) {
+        await client.query(nested
+          ? "ROLLBACK TO SAVEPOINT nested; RELEASE SAVEPOINT nested"
+          : "ROLLBACK");
+        throw err;
+      }
+    } finally {
+      this.#transactionEnded = null;
+      endTransaction();
+    }
+  }
+}
+
+/** Begin a transaction on client, or a savepoint if one is already open.
+ *
+ * Returns whether it's a savepoint.
+ */
+
+async function begin(client) {
+  try {
+    await client.query("SAVEPOINT nested");
+    return true;
+  } catch (err) {
+    if (err.code !== NO_ACTIVE_SQL_TRANSACTION) throw err;
+  }
+  await client.query("BEGIN");
+  return false;
+}
+
+const db = new Database({
   connectionString: databaseUri,
 });
 
@@ -0,0 +1,73 @@
+"use strict";
+
+const db = require("./db");
+
+beforeAll(async function () {
+  await db.query("CREATE TEMPORARY TABLE things (name TEXT)");
+});
+
+beforeEach(async function () {
+  await db.query("DELETE FROM things");
+});
+
+afterAll(async function () {
+  await db.end();
+});
+
+async function thingNames() {
+  const result = await db.query("SELECT name FROM things ORDER BY name");
+  return result.rows.map(r => r.name);
+}
+
+describe("transaction", function () {
+  test("works: commits", async function () {
+    const result = await db.transaction(async client => {
+      await client.query("INSERT INTO things VALUES ('a'), ('b')");
+      return "done";
+    });
+    expect(result).toEqual("done");
+    expect(await thingNames()).toEqual(["a", "b"]);
+  });
+
+  test("rolls back if fn throws", async function () {
+    await expect(db.transaction(async client => {
+      await client.query("INSERT INTO things VALUES ('a')");
+      await client.query("INSERT INTO nope VALUES ('b')");
+    })).rejects.toThrow();
+    expect(await thingNames()).toEqual([]);
+  });
+
+  test("works inside an open transaction", async function () {
+    await db.query("BEGIN");
+    await db.query("INSERT INTO things VALUES ('outer')");
+    await expect(db.transaction(async client => {
+      await client.query("INSERT INTO things VALUES ('a')");
+      throw new Error("oops");
+    })).rejects.toThrow("oops");
+    await db.transaction(async client => {
+      await client.query("INSERT INTO things VALUES ('b')");
+    });
+    expect(await thingNames()).toEqual(["b", "outer"]);
+    await db.query("ROLLBACK");
+
+    expect(await thingNames()).toEqual([]);
+  });
+
+  test("other queries wait for it to end", async function () {
+    let resume;
+    const paused = new Promise(resolve => {
+      resume = resolve;
+    });
+    const transaction = db.transaction(async client => {
+      await client.query("INSERT INTO things VALUES ('a')");
+      await paused;
+      throw new Error("oops");
+    });
+    const insert = db.query("INSERT INTO things VALUES ('b')");
+    resume();
+
+    await expect(transaction).rejects.toThrow("oops");
+    await insert;
+    expect(await thingNames()).toEqual(["b"]);
+  });
+});
@@ -46,10 +46,39 @@ class ForbiddenError extends ExpressError {
   }
 }
 
+/** 412 PRECONDITION FAILED error. */
+
+class PreconditionFailedError extends ExpressError {
+  constructor(message = "Precondition Failed") {
+    super(message, 412);
+  }
+}
+
+/** 423 LOCKED error; retryAfter is in seconds. */
+
+class LockedError extends ExpressError {
+  constructor(message = "Locked", retryAfter) {
+    super(message, 423);
+    this.retryAfter = retryAfter;
+  }
+}
+
+/** 429 TOO MANY REQUESTS error; retryAfter is in seconds. */
+
+class TooManyRequestsError extends ExpressError {
+  constructor(message = "Too Many Requests", retryAfter) {
+    super(message, 429);
+    this.retryAfter = retryAfter;
+  }
+}
+
 module.exports = {
   ExpressError,
   NotFoundError,
   UnauthorizedError,
   BadRequestError,
   ForbiddenError,
+  PreconditionFailedError,
+  LockedError,
+  TooManyRequestsError,
 };
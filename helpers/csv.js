@@ -0,0 +1,108 @@
+"use strict";
+
+const { BadRequestError } = require("../expressError");
+
+/** Parses CSV `text` (RFC 4180: fields may be quoted, with "" for a quote,
+ * and quoted fields may hold commas and line breaks).
+ *
+ * Returns an array of records, each an array of field strings. Blank lines
+ * are skipped.
+ *
+ * Throws BadRequestError if a quoted field isn't closed.
+ */
+
+function parseCsv(text) {
+  const records = [];
+  let record = [];
+  let field = "";
+  let inQuotes = false;
+  let quoted = false;
+
+  function endField() {
+    record.push(field);
+    field = "";
+    quoted = false;
+  }
+
+  function endRecord() {
+    const blank = record.length === 0 && field === "" && !quoted;
+    endField();
+    if (!blank) records.push(record);
+    record = [];
+  }
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === "") {
+      inQuotes = quoted = true;
+    } else if (char === ",") {
+      endField();
+    } else if (char === "\n") {
+      endRecord();
+    } else if (char !== "\r") {
+      field += char;
+    }
+  }
+
+  if (inQuotes) throw new BadRequestError("Unclosed quote in CSV");
+  endRecord();
+
+  return records;
+}
+
+/** Converts CSV field `value` to the type `property` of a JSON schema wants,
+ * if it can; otherwise leaves it for validation to reject.
+ */
+
+function coerce(value, property = {}) {
+  const numeric = value.trim() !== "" && !isNaN(Number(value));
+  if (["integer", "number"].includes(property.type) && numeric) {
+    return Number(value);
+  }
+  if (property.type === "boolean" && ["true", "false"].includes(value)) {
+    return value === "true";
+  }
+  return value;
+}
+
+/** Parses CSV `text` whose first record names the fields, into rows for
+ * validating against JSON schema `schema`: { field: value, ... }
+ *
+ * Empty fields are left out of the row, and numbers and booleans are
+ * converted to the types the schema wants.
+ *
+ * Throws BadRequestError on malformed CSV, or if a record has more fields
+ * than the header.
+ */
+
+function rowsFromCsv(text, schema) {
+  const [header = [], ...records] = parseCsv(text);
+  const fields = header.map(field => field.trim());
+
+  return records.map((record, idx) => {
+    if (record.length > fields.length) {
+      throw new BadRequestError(
+        `CSV row ${idx + 1} has more fields than the header`);
+    }
+
+    const row = {};
+    record.forEach((value, fieldIdx) => {
+      if (value === "") return;
+      const field = fields[fieldIdx];
+      row[field] = coerce(value, schema.properties[field]);
+    });
+    return row;
+  });
+}
+
+module.exports = { parseCsv, rowsFromCsv };
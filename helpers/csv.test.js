@@ -0,0 +1,60 @@
+"use strict";
+
+const { parseCsv, rowsFromCsv } = require("./csv");
+const { BadRequestError } = require("../expressError");
+
+describe("parseCsv", function () {
+  test("works", function () {
+    expect(parseCsv("a,b,c\n1,2,3\n")).toEqual([
+      ["a", "b", "c"],
+      ["1", "2", "3"],
+    ]);
+  });
+
+  test("works: quoted fields, CRLF and blank lines", function () {
+    const text = 'a,b\r\n"x, ""y""","line\nbreak"\r\n\r\n,\r\n';
+    expect(parseCsv(text)).toEqual([
+      ["a", "b"],
+      ['x, "y"', "line\nbreak"],
+      ["", ""],
+    ]);
+  });
+
+  test("bad request for an unclosed quote", function () {
+    expect(() => parseCsv('a\n"oops')).toThrow(BadRequestError);
+  });
+});
+
+describe("rowsFromCsv", function () {
+  const schema = {
+    properties: {
+      title: { type: "string" },
+      salary: { type: "integer" },
+      equity: { type: "number" },
+      remote: { type: "boolean" },
+    },
+  };
+
+  test("works", function () {
+    const text = "title,salary,equity,remote\nJ1,100,0.5,true\nJ2,,lots,no\n";
+    expect(rowsFromCsv(text, schema)).toEqual([
+      { title: "J1", salary: 100, equity: 0.5, remote: true },
+      { title: "J2", equity: "lots", remote: "no" },
+    ]);
+  });
+
+  test("works: no rows", function () {
+    expect(rowsFromCsv("title,salary\n", schema)).toEqual([]);
+    expect(rowsFromCsv("", schema)).toEqual([]);
+  });
+
+  test("keeps unknown fields for validation to reject", function () {
+    expect(rowsFromCsv("title,nope\nJ1,1\n", schema))
+      .toEqual([{ title: "J1", nope: "1" }]);
+  });
+
+  test("bad request for a row longer than the header", function () {
+    expect(() => rowsFromCsv("title\nJ1,100\n", schema))
+      .toThrow(BadRequestError);
+  });
+});
@@ -0,0 +1,70 @@
+"use strict";
+
+const crypto = require("crypto");
+const { BadRequestError } = require("../expressError");
+const { MAX_ID } = require("./params");
+
+/** return the hash of a response body, as used in ETags. */
+
+function digest(body) {
+  return crypto.createHash("sha1")
+    .update(JSON.stringify(body))
+    .digest("base64url");
+}
+
+/** return the ETag of a record at version `version`, e.g. '"3"'.
+ *
+ * With `body`, the response the record is sent in, the ETag also changes
+ * when anything else in it does (like the jobs of a company), e.g.
+ * '"3-ZOr1cnzMwyd0wR0Jn6BSUUIbVmk"'; If-Match only looks at the version.
+ */
+
+function etagFor(version, body) {
+  return body === undefined
+    ? `"${version}"`
+    : `"${version}-${digest(body)}"`;
+}
+
+/** return the ETag of a response body that isn't one versioned record. */
+
+function etagForBody(body) {
+  return `"${digest(body)}"`;
+}
+
+/** An entity tag, weak (W/"...") or strong ("..."), as in RFC 9110. */
+
+const ENTITY_TAG = /(W\/)?"([\x21\x23-\x7e\x80-\xff]*)"/g;
+
+/** An If-Match header other than "*": a comma-separated list of ETags. */
+
+const ETAG_LIST = new RegExp(
+  `^\\s*${ENTITY_TAG.source}(\\s*,\\s*${ENTITY_TAG.source})*\\s*$`);
+
+/** Takes the If-Match header of a request (or undefined)
+ *
+ * Returns the versions the request expects its record to be at (any of them
+ * will do), or undefined if it doesn't expect any ("*", or no header).
+ *
+ * If-Match compares ETags strongly, so weak ETags, and ones not made by
+ * etagFor, never match: if the header has only those, this returns [], and
+ * no version will do.
+ *
+ * Throws BadRequestError unless the header is a list of ETags.
+ */
+
+function versionsFromIfMatch(ifMatch) {
+  if (ifMatch === undefined || ifMatch.trim() === "*") return undefined;
+
+  if (!ETAG_LIST.test(ifMatch)) {
+    throw new BadRequestError("If-Match must be \"*\" or a list of ETags");
+  }
+
+  const versions = [...ifMatch.matchAll(ENTITY_TAG)]
+    .filter(([, weak, opaque]) => !weak && /^\d+(-[\w-]+)?$/.test(opaque))
+    .map(([, , opaque]) => parseInt(opaque))
+    .filter(version => version <= MAX_ID);
+
+  return [...new Set(versions)];
+}
+
+module.exports = { etagFor, etagForBody, versionsFromIfMatch };
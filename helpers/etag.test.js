@@ -0,0 +1,57 @@
+"use strict";
+
+const { etagFor, etagForBody, versionsFromIfMatch } = require("./etag");
+const { BadRequestError } = require("../expressError");
+
+describe("etagFor", function () {
+  test("works", function () {
+    expect(etagFor(3)).toEqual('"3"');
+  });
+
+  test("works: with the body", function () {
+    const etag = etagFor(3, { company: { version: 3, jobs: [] } });
+    expect(etag).toMatch(/^"3-[\w-]+"$/);
+    expect(etagFor(3, { company: { version: 3, jobs: [1] } }))
+      .not.toEqual(etag);
+  });
+});
+
+describe("etagForBody", function () {
+  test("works", function () {
+    expect(etagForBody({ companies: [] })).toMatch(/^"[\w-]+"$/);
+    expect(etagForBody({ companies: [] }))
+      .toEqual(etagForBody({ companies: [] }));
+    expect(etagForBody({ companies: [] }))
+      .not.toEqual(etagForBody({ companies: [1] }));
+  });
+});
+
+describe("versionsFromIfMatch", function () {
+  test("works", function () {
+    expect(versionsFromIfMatch('"3"')).toEqual([3]);
+    expect(versionsFromIfMatch(etagFor(12))).toEqual([12]);
+    expect(versionsFromIfMatch(etagFor(12, { job: {} }))).toEqual([12]);
+  });
+
+  test("works: several ETags", function () {
+    expect(versionsFromIfMatch('"3", "4-abc",  "3"')).toEqual([3, 4]);
+    expect(versionsFromIfMatch('"a,b", "5"')).toEqual([5]);
+  });
+
+  test("works: no expected version", function () {
+    expect(versionsFromIfMatch(undefined)).toBeUndefined();
+    expect(versionsFromIfMatch("*")).toBeUndefined();
+  });
+
+  test("weak and foreign ETags never match", function () {
+    expect(versionsFromIfMatch('W/"3"')).toEqual([]);
+    expect(versionsFromIfMatch('"abc", W/"3", "4"')).toEqual([4]);
+    expect(versionsFromIfMatch('"99999999999"')).toEqual([]);
+  });
+
+  test("bad request for malformed header", function () {
+    for (const ifMatch of ["3", '"3', '"3" "4"', '"3",', "W/3"]) {
+      expect(() => versionsFromIfMatch(ifMatch)).toThrow(BadRequestError);
+    }
+  });
+});
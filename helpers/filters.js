@@ -0,0 +1,273 @@
+"use strict";
+
+const { BadRequestError } = require("../expressError");
+
+/** Builds WHERE clause conditions for company search parameters
+ * { name, minEmployees, maxEmployees }
+ *
+ * Conditions use columns prefixed with `alias` (e.g. "c.") and their values
+ * are pushed onto `values`, so they can be combined with other conditions.
+ *
+ * Returns an array of conditions, e.g. ["c.num_employees >= $2", ...]
+ *
+ * Throws BadRequestError if minEmployees is greater than maxEmployees
+ */
+
+function companyConditions(queries, values, alias = "") {
+  if (Number(queries.minEmployees) > Number(queries.maxEmployees)) {
+    throw new BadRequestError();
+  }
+
+  const clauseStatements = [];
+
+  if ("name" in queries) {
+    clauseStatements.push(
+      `${alias}name ILIKE '%' || $${values.length + 1} || '%'`);
+    values.push(queries.name);
+  };
+
+  if ("minEmployees" in queries) {
+    clauseStatements.push(`${alias}num_employees >= $${values.length + 1}`);
+    values.push(queries.minEmployees);
+  };
+
+  if ("maxEmployees" in queries) {
+    clauseStatements.push(`${alias}num_employees <= $${values.length + 1}`);
+    values.push(queries.maxEmployees);
+  };
+
+  return clauseStatements;
+}
+
+/** Builds WHERE clause conditions for job search parameters
+ * { title, minSalary, maxSalary, hasEquity, minEquity, maxEquity,
+ *   companyHandle }
+ * where companyHandle is a handle or an array of handles.
+ *
+ * Conditions expect jobs to be aliased as "j"; values are pushed onto
+ * `values`. Returns an array of conditions.
+ *
+ * Throws BadRequestError if a min is greater than its max
+ */
+
+function jobConditions(queries, values) {
+  if (Number(queries.minSalary) > Number(queries.maxSalary)) {
+    throw new BadRequestError();
+  }
+  if (Number(queries.minEquity) > Number(queries.maxEquity)) {
+    throw new BadRequestError();
+  }
+
+  const clauseStatements = [];
+
+  if ("title" in queries) {
+    clauseStatements.push(`j.title ILIKE '%' || $${values.length + 1} || '%'`);
+    values.push(queries.title);
+  };
+
+  if ("minSalary" in queries) {
+    clauseStatements.push(`j.salary >= $${values.length + 1}`);
+    values.push(queries.minSalary);
+  };
+
+  if ("maxSalary" in queries) {
+    clauseStatements.push(`j.salary <= $${values.length + 1}`);
+    values.push(queries.maxSalary);
+  };
+
+  if ("hasEquity" in queries && queries.hasEquity === true) {
+    clauseStatements.push(`j.equity > $${values.length + 1}`);
+    values.push(0);
+  };
+
+  if ("minEquity" in queries) {
+    clauseStatements.push(`j.equity >= $${values.length + 1}`);
+    values.push(queries.minEquity);
+  };
+
+  if ("maxEquity" in queries) {
+    clauseStatements.push(`j.equity <= $${values.length + 1}`);
+    values.push(queries.maxEquity);
+  };
+
+  if ("companyHandle" in queries) {
+    clauseStatements.push(`j.company_handle = ANY($${values.length + 1})`);
+    values.push([].concat(queries.companyHandle));
+  };
+
+  return clauseStatements;
+}
+
+/** Builds WHERE clause conditions for application search parameters
+ * { jobId, companyHandle, appliedFrom, appliedTo }
+ * where appliedFrom and appliedTo are dates ("YYYY-MM-DD"), both inclusive.
+ *
+ * Conditions expect applications to be aliased as "a" and their jobs joined
+ * as "j"; values are pushed onto `values`. Returns an array of conditions.
+ *
+ * Throws BadRequestError if appliedFrom is after appliedTo
+ */
+
+function applicationConditions(queries, values) {
+  if (queries.appliedFrom > queries.appliedTo) {
+    throw new BadRequestError();
+  }
+
+  const clauseStatements = [];
+
+  if ("jobId" in queries) {
+    clauseStatements.push(`a.job_id = $${values.length + 1}`);
+    values.push(queries.jobId);
+  };
+
+  if ("companyHandle" in queries) {
+    clauseStatements.push(`j.company_handle = $${values.length + 1}`);
+    values.push(queries.companyHandle);
+  };
+
+  if ("appliedFrom" in queries) {
+    clauseStatements.push(`a.applied_at >= $${values.length + 1}::date`);
+    values.push(queries.appliedFrom);
+  };
+
+  if ("appliedTo" in queries) {
+    clauseStatements.push(`a.applied_at < $${values.length + 1}::date + 1`);
+    values.push(queries.appliedTo);
+  };
+
+  return clauseStatements;
+}
+
+/** Builds WHERE clause conditions for audit log search parameters
+ * { actor, entityType, entityId, from, to }
+ * where from and to are dates ("YYYY-MM-DD"), both inclusive.
+ *
+ * Values are pushed onto `values`. Returns an array of conditions.
+ *
+ * Throws BadRequestError if from is after to
+ */
+
+function auditConditions(queries, values) {
+  if (queries.from > queries.to) {
+    throw new BadRequestError();
+  }
+
+  const clauseStatements = [];
+
+  if ("actor" in queries) {
+    clauseStatements.push(`actor = $${values.length + 1}`);
+    values.push(queries.actor);
+  };
+
+  if ("entityType" in queries) {
+    clauseStatements.push(`entity_type = $${values.length + 1}`);
+    values.push(queries.entityType);
+  };
+
+  if ("entityId" in queries) {
+    clauseStatements.push(`entity_id = $${values.length + 1}`);
+    values.push(queries.entityId);
+  };
+
+  if ("from" in queries) {
+    clauseStatements.push(`created_at >= $${values.length + 1}::date`);
+    values.push(queries.from);
+  };
+
+  if ("to" in queries) {
+    clauseStatements.push(`created_at < $${values.length + 1}::date + 1`);
+    values.push(queries.to);
+  };
+
+  return clauseStatements;
+}
+
+/** Joins conditions into a WHERE clause (or "" if there are none). */
+
+function whereClauseFor(clauseStatements) {
+  return clauseStatements.length > 0 ?
+    'WHERE ' + clauseStatements.join(' AND ') : '';
+}
+
+/** Builds WHERE clause for SQL query based on given company search
+ * parameters { name, minEmployees, maxEmployees }
+ *
+ * Deleted companies never match.
+ *
+ * Returns { whereClause, values }
+ */
+
+function sqlForCompanyFilters(queries) {
+  const values = [];
+  const whereClause = whereClauseFor([
+    "deleted_at IS NULL",
+    ...companyConditions(queries, values),
+  ]);
+
+  return { whereClause, values };
+}
+
+/** Builds WHERE clause for SQL query based on given job search parameters
+ * (see jobConditions), plus the company search parameters
+ * { name, minEmployees, maxEmployees } applied to the job's company.
+ *
+ * Expects jobs to be aliased as "j" and their companies joined as "c".
+ * Deleted jobs, and jobs of deleted companies, never match.
+ *
+ * Returns { whereClause, values }
+ */
+
+function sqlForJobFilters(queries) {
+  const values = [];
+  const whereClause = whereClauseFor([
+    "j.deleted_at IS NULL",
+    "c.deleted_at IS NULL",
+    ...jobConditions(queries, values),
+    ...companyConditions(queries, values, "c."),
+  ]);
+
+  return { whereClause, values };
+}
+
+/** Builds WHERE clause for SQL query based on given application search
+ * parameters (see applicationConditions).
+ *
+ * Expects applications to be aliased as "a", with their users joined as "u",
+ * jobs as "j" and the jobs' companies as "c". Applications of deleted users,
+ * or to jobs that are deleted themselves or through their company, never
+ * match.
+ *
+ * Returns { whereClause, values }
+ */
+
+function sqlForApplicationFilters(queries) {
+  const values = [];
+  const whereClause = whereClauseFor([
+    "u.deleted_at IS NULL",
+    "j.deleted_at IS NULL",
+    "c.deleted_at IS NULL",
+    ...applicationConditions(queries, values),
+  ]);
+
+  return { whereClause, values };
+}
+
+/** Builds WHERE clause for SQL query based on given audit log search
+ * parameters (see auditConditions).
+ *
+ * Returns { whereClause, values }
+ */
+
+function sqlForAuditFilters(queries) {
+  const values = [];
+  const whereClause = whereClauseFor(auditConditions(queries, values));
+
+  return { whereClause, values };
+}
+
+module.exports = {
+  sqlForCompanyFilters,
+  sqlForJobFilters,
+  sqlForApplicationFilters,
+  sqlForAuditFilters,
+};
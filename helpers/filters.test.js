@@ -0,0 +1,90 @@
+"use strict";
+
+const {
+  sqlForCompanyFilters,
+  sqlForJobFilters,
+  sqlForApplicationFilters,
+  sqlForAuditFilters,
+} = require("./filters");
+const { BadRequestError } = require("../expressError");
+
+describe("sqlForCompanyFilters Function", function () {
+  test("Returns expected data", function () {
+    expect(sqlForCompanyFilters({ name: "c", minEmployees: 2 })).toEqual({
+      whereClause: "WHERE deleted_at IS NULL"
+        + " AND name ILIKE '%' || $1 || '%' AND num_employees >= $2",
+      values: ["c", 2],
+    });
+  });
+
+  test("Only excludes deleted companies with no filters", function () {
+    expect(sqlForCompanyFilters({ limit: 5 }))
+        .toEqual({ whereClause: "WHERE deleted_at IS NULL", values: [] });
+  });
+
+  test("Throws error if minEmployees > maxEmployees", function () {
+    expect(() => sqlForCompanyFilters({ minEmployees: 3, maxEmployees: 1 }))
+        .toThrow(BadRequestError);
+  });
+});
+
+describe("sqlForJobFilters Function", function () {
+  test("Returns expected data with company filters", function () {
+    expect(sqlForJobFilters({
+      minSalary: 100,
+      companyHandle: "c1",
+      maxEmployees: 500,
+    })).toEqual({
+      whereClause: "WHERE j.deleted_at IS NULL AND c.deleted_at IS NULL"
+        + " AND j.salary >= $1 AND j.company_handle = ANY($2)"
+        + " AND c.num_employees <= $3",
+      values: [100, ["c1"], 500],
+    });
+  });
+
+  test("Throws error if minSalary > maxSalary", function () {
+    expect(() => sqlForJobFilters({ minSalary: 3, maxSalary: 1 }))
+        .toThrow(BadRequestError);
+  });
+});
+
+describe("sqlForApplicationFilters Function", function () {
+  test("Returns expected data", function () {
+    expect(sqlForApplicationFilters({
+      companyHandle: "c1",
+      appliedFrom: "2024-01-01",
+      appliedTo: "2024-01-31",
+    })).toEqual({
+      whereClause: "WHERE u.deleted_at IS NULL AND j.deleted_at IS NULL"
+        + " AND c.deleted_at IS NULL AND j.company_handle = $1"
+        + " AND a.applied_at >= $2::date AND a.applied_at < $3::date + 1",
+      values: ["c1", "2024-01-01", "2024-01-31"],
+    });
+  });
+
+  test("Throws error if appliedFrom > appliedTo", function () {
+    expect(() => sqlForApplicationFilters({
+      appliedFrom: "2024-02-01",
+      appliedTo: "2024-01-31",
+    })).toThrow(BadRequestError);
+  });
+});
+
+describe("sqlForAuditFilters Function", function () {
+  test("Returns expected data", function () {
+    expect(sqlForAuditFilters({
+      actor: "u1",
+      entityType: "job",
+      from: "2024-01-01",
+    })).toEqual({
+      whereClause: "WHERE actor = $1 AND entity_type = $2"
+        + " AND created_at >= $3::date",
+      values: ["u1", "job", "2024-01-01"],
+    });
+  });
+
+  test("Throws error if from > to", function () {
+    expect(() => sqlForAuditFilters({ from: "2024-02-01", to: "2024-01-31" }))
+        .toThrow(BadRequestError);
+  });
+});
@@ -0,0 +1,109 @@
+"use strict";
+
+const jsonschema = require("jsonschema");
+const db = require("../db");
+const { BadRequestError } = require("../expressError");
+const { rowsFromCsv } = require("./csv");
+
+/** Postgres error codes for rows clashing with others in the database:
+ * unique and foreign key violations.
+ */
+
+const CONFLICT_CODES = ["23505", "23503"];
+
+/** Whether Postgres error `err` is of a value the database can't store: out
+ * of range or too long for its column (the 22 class of codes), or failing a
+ * check constraint.
+ */
+
+function isInvalidValue(err) {
+  return err.code?.startsWith("22") || err.code === "23514";
+}
+
+/** Takes an import request, whose body is a JSON array of rows, or CSV
+ * (Content-Type text/csv) with a header record naming the fields.
+ *
+ * Returns the rows, CSV ones converted to the types JSON schema `schema`
+ * wants (see rowsFromCsv).
+ *
+ * Throws BadRequestError if the body is neither, or there are no rows.
+ */
+
+function importRows(req, schema) {
+  let rows;
+  if (req.is("text/csv")) {
+    rows = rowsFromCsv(req.body, schema);
+  } else if (Array.isArray(req.body)) {
+    rows = req.body;
+  } else {
+    throw new BadRequestError("Send a JSON array of rows, or CSV (text/csv)");
+  }
+
+  if (rows.length === 0) throw new BadRequestError("No rows to import");
+  return rows;
+}
+
+/** Validates each of `rows` against JSON schema `schema`.
+ *
+ * Returns a list of messages for each row (empty if it's valid).
+ */
+
+function validationErrors(rows, schema) {
+  return rows.map(row => {
+    const validator = jsonschema.validate(row, schema, { required: true });
+    return validator.errors.map(e => e.stack);
+  });
+}
+
+/** Takes lists of messages for each row, as from validationErrors, and
+ * combines them into a report of the rows with problems:
+ *   [{ row, errors: [message, ...] }, ...]
+ * where row counts from 1.
+ */
+
+function importReport(...errorLists) {
+  const [first, ...others] = errorLists;
+  return first
+    .map((errors, idx) => ({
+      row: idx + 1,
+      errors: errors.concat(...others.map(list => list[idx])),
+    }))
+    .filter(({ errors }) => errors.length > 0);
+}
+
+/** Creates imported `rows` with async function create(client), run in a
+ * transaction (see db.transaction), so its entities and their audit log
+ * entries are all created or none are.
+ *
+ * The rows were checked with async function check(rows) (like
+ * Company.checkNew), but the database can change before they're created; if
+ * they then clash with it, this checks them again.
+ *
+ * Returns what create returns.
+ *
+ * Throws BadRequestError with a report of the clashing rows (see
+ * importReport), or with the database's error if a row has a value it can't
+ * store.
+ */
+
+async function createImported(rows, create, check) {
+  try {
+    return await db.transaction(create);
+  } catch (err) {
+    if (isInvalidValue(err)) {
+      throw new BadRequestError(`Rows can't be imported: ${err.message}`);
+    }
+    if (!CONFLICT_CODES.includes(err.code)) throw err;
+
+    const report = importReport(await check(rows));
+    throw new BadRequestError(
+      report.length > 0 ? report : "Rows conflict with other changes; retry");
+  }
+}
+
+module.exports = {
+  importRows,
+  validationErrors,
+  importReport,
+  createImported,
+};
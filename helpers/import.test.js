@@ -0,0 +1,120 @@
+"use strict";
+
+const db = require("../db");
+const {
+  importRows,
+  validationErrors,
+  importReport,
+  createImported,
+} = require("./import");
+const { BadRequestError } = require("../expressError");
+
+// createImported uses the database
+afterAll(function () {
+  return db.end();
+});
+
+const schema = {
+  type: "object",
+  properties: {
+    title: { type: "string" },
+    salary: { type: "integer" },
+  },
+  additionalProperties: false,
+  required: ["title"],
+};
+
+/** A request with body `body`, of content type `type`. */
+
+function fakeReq(body, type = "application/json") {
+  return { body, is: t => t === type };
+}
+
+describe("importRows", function () {
+  test("works: JSON", function () {
+    const rows = [{ title: "J1", salary: 1 }];
+    expect(importRows(fakeReq(rows), schema)).toEqual(rows);
+  });
+
+  test("works: CSV", function () {
+    const req = fakeReq("title,salary\nJ1,1\n", "text/csv");
+    expect(importRows(req, schema)).toEqual([{ title: "J1", salary: 1 }]);
+  });
+
+  test("bad request for other bodies", function () {
+    expect(() => importRows(fakeReq({ title: "J1" }), schema))
+      .toThrow(BadRequestError);
+  });
+
+  test("bad request for no rows", function () {
+    expect(() => importRows(fakeReq([]), schema)).toThrow(BadRequestError);
+    expect(() => importRows(fakeReq("title\n", "text/csv"), schema))
+      .toThrow(BadRequestError);
+  });
+});
+
+describe("validationErrors", function () {
+  test("works", function () {
+    expect(validationErrors([{ title: "J1" }, { salary: "lots" }], schema))
+      .toEqual([
+        [],
+        [
+          "instance.salary is not of a type(s) integer",
+          'instance requires property "title"',
+        ],
+      ]);
+  });
+});
+
+describe("importReport", function () {
+  test("works", function () {
+    expect(importReport(
+      [[], ["bad"], []],
+      [[], ["worse"], ["clash"]],
+    )).toEqual([
+      { row: 2, errors: ["bad", "worse"] },
+      { row: 3, errors: ["clash"] },
+    ]);
+  });
+
+  test("works: no problems", function () {
+    expect(importReport([[], []], [[], []])).toEqual([]);
+  });
+});
+
+describe("createImported", function () {
+  const rows = [{ title: "J1" }, { title: "J2" }];
+
+  test("works", async function () {
+    const created = await createImported(rows, async client => {
+      const result = await client.query("SELECT 1 AS created");
+      return result.rows;
+    }, async () => [[], []]);
+    expect(created).toEqual([{ created: 1 }]);
+  });
+
+  test("bad request with a report of rows that clash", async function () {
+    const clash = Object.assign(new Error("duplicate key"), { code: "23505" });
+    const check = async () => [[], ["Duplicate job: J2"]];
+    const err = await createImported(rows, async () => {
+      throw clash;
+    }, check).catch(err => err);
+    expect(err instanceof BadRequestError).toBeTruthy();
+    expect(err.message).toEqual([{ row: 2, errors: ["Duplicate job: J2"] }]);
+  });
+
+  test("bad request with values the database can't store",
+    async function () {
+    const err = await createImported(rows, async client => {
+      await client.query("SELECT 3000000000::integer");
+    }, async () => [[], []]).catch(err => err);
+    expect(err instanceof BadRequestError).toBeTruthy();
+    expect(err.message).toMatch(/^Rows can't be imported: .*out of range/);
+  });
+
+  test("passes on other errors", async function () {
+    await expect(createImported(rows, async () => {
+      throw new Error("database down");
+    }, async () => [[], []])).rejects.toThrow("database down");
+  });
+});
@@ -0,0 +1,66 @@
+"use strict";
+
+/** Pluggable outgoing email.
+ *
+ * A transport is an async function taking a message
+ *   { from, to, subject, text }
+ * and delivering it. "console" and "file" transports are built in, for local
+ * development and testing; a real one (SMTP, an email API, ...) can be
+ * plugged in with setTransport.
+ */
+
+const fs = require("fs/promises");
+const { MAIL_TRANSPORT, MAIL_FILE, MAIL_FROM } = require("../config");
+
+const transports = {
+  /** Print the message. */
+  async console(message) {
+    console.log(`
+--- mail to ${message.to}: ${message.subject}
+${message.text}
+---`);
+  },
+
+  /** Append the message, as one line of JSON, to MAIL_FILE. */
+  async file(message) {
+    const line = JSON.stringify({ ...message, date: new Date() });
+    await fs.appendFile(MAIL_FILE, line + "\n");
+  },
+};
+
+let transport = transports[MAIL_TRANSPORT];
+
+/** Use `newTransport` to deliver email: either the name of a built in
+ * transport or a transport function. */
+
+function setTransport(newTransport) {
+  transport = typeof newTransport === "function"
+      ? newTransport
+      : transports[newTransport];
+  if (!transport) throw new Error(`No mail transport: ${newTransport}`);
+}
+
+/** Send { to, subject, text }, from MAIL_FROM. */
+
+async function sendMail({ to, subject, text }) {
+  if (!transport) throw new Error(`No mail transport: ${MAIL_TRANSPORT}`);
+  await transport({ from: MAIL_FROM, to, subject, text });
+}
+
+/** Send the email verification token from EmailVerification.issue,
+ * { username, email, token }, to the address it verifies. */
+
+async function sendVerificationEmail({ username, email, token }) {
+  await sendMail({
+    to: email,
+    subject: "Verify your Jobly email address",
+    text: `Please confirm ${email} as the email address of Jobly user ${username}.
+To verify it, use this code at /auth/verify-email?token=<code>:
+
+${token}
+
+If you didn't ask for this, you can ignore this email.`,
+  });
+}
+
+module.exports = { sendMail, sendVerificationEmail, setTransport };
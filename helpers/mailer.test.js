@@ -0,0 +1,56 @@
+"use strict";
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const mailFile = path.join(os.tmpdir(), `jobly-mail-${process.pid}.log`);
+process.env.MAIL_FILE = mailFile;
+
+const { sendMail, sendVerificationEmail, setTransport } = require("./mailer");
+
+const message = { to: "u1@email.com", subject: "Hi", text: "Hello" };
+
+afterAll(function () {
+  fs.rmSync(mailFile, { force: true });
+  delete process.env.MAIL_FILE;
+});
+
+describe("sendMail", function () {
+  test("works: custom transport", async function () {
+    const sent = [];
+    setTransport(async m => sent.push(m));
+    await sendMail(message);
+    expect(sent).toEqual([{ from: expect.any(String), ...message }]);
+  });
+
+  test("works: file transport", async function () {
+    setTransport("file");
+    await sendMail(message);
+    const lines = fs.readFileSync(mailFile, "utf8").trim().split("\n");
+    expect(JSON.parse(lines[lines.length - 1])).toEqual({
+      from: expect.any(String),
+      ...message,
+      date: expect.any(String),
+    });
+  });
+
+  test("fails: unknown transport", function () {
+    expect(() => setTransport("pigeon")).toThrow();
+  });
+});
+
+describe("sendVerificationEmail", function () {
+  test("works", async function () {
+    const sent = [];
+    setTransport(async m => sent.push(m));
+    await sendVerificationEmail(
+        { username: "u1", email: "u1@email.com", token: "abc" });
+    expect(sent).toEqual([{
+      from: expect.any(String),
+      to: "u1@email.com",
+      subject: expect.any(String),
+      text: expect.stringContaining("\nabc\n"),
+    }]);
+  });
+});
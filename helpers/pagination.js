@@ -0,0 +1,100 @@
+"use strict";
+
+const { BadRequestError } = require("../expressError");
+
+const DEFAULT_LIMIT = 20;
+
+/** Encode a row offset as an opaque cursor string. */
+
+function encodeCursor(offset) {
+  return Buffer.from(JSON.stringify({ offset })).toString("base64url");
+}
+
+/** Decode a cursor made by encodeCursor back into a row offset.
+ *
+ * Throws BadRequestError if the cursor is not one of ours.
+ */
+
+function decodeCursor(cursor) {
+  let offset;
+  try {
+    ({ offset } = JSON.parse(Buffer.from(cursor, "base64url").toString()));
+  } catch (err) {
+    throw new BadRequestError("Invalid cursor");
+  }
+  if (!Number.isInteger(offset) || offset < 0) {
+    throw new BadRequestError("Invalid cursor");
+  }
+  return offset;
+}
+
+/** Takes validated query parameters { limit, offset, cursor }
+ *
+ * Returns { limit, offset, useCursor } to page through results with.
+ * limit defaults to DEFAULT_LIMIT and offset to 0.
+ *
+ * Throws BadRequestError if both offset and cursor are given.
+ */
+
+function pageParams({ limit = DEFAULT_LIMIT, offset, cursor }) {
+  if (offset !== undefined && cursor !== undefined) {
+    throw new BadRequestError("Use either offset or cursor, not both");
+  }
+
+  const useCursor = cursor !== undefined;
+  return {
+    limit,
+    offset: useCursor ? decodeCursor(cursor) : offset || 0,
+    useCursor,
+  };
+}
+
+/** Builds a link back to the current route, replacing any paging parameters
+ * with `page`, e.g. "/companies?name=c&limit=2&offset=4"
+ */
+
+function pageLink(req, page) {
+  const params = new URLSearchParams();
+  for (const [key, val] of Object.entries(req.query)) {
+    if (key === "offset" || key === "cursor") continue;
+    for (const v of [].concat(val)) params.append(key, v);
+  }
+  for (const [key, val] of Object.entries(page)) params.set(key, val);
+
+  const path = req.path === "/" ? "" : req.path;
+  return `${req.baseUrl}${path}?${params}`;
+}
+
+/** Build the pagination envelope for a page of results.
+ *
+ * Returns { total, limit, offset, next, prev }
+ *   where next and prev are links to the neighbouring pages (or null).
+ * In cursor mode, links carry cursors and offset is left out.
+ */
+
+function paginate(req, { total, limit, offset, useCursor }) {
+  const nextOffset = offset + limit < total ? offset + limit : null;
+  const prevOffset = offset > 0 ? Math.max(offset - limit, 0) : null;
+
+  function link(to) {
+    if (to === null) return null;
+    return pageLink(req, useCursor
+        ? { limit, cursor: encodeCursor(to) }
+        : { limit, offset: to });
+  }
+
+  const pagination = { total, limit, offset };
+  if (useCursor) delete pagination.offset;
+  pagination.next = link(nextOffset);
+  pagination.prev = link(prevOffset);
+
+  return pagination;
+}
+
+module.exports = {
+  DEFAULT_LIMIT,
+  encodeCursor,
+  decodeCursor,
+  pageParams,
+  paginate,
+};
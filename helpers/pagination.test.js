@@ -0,0 +1,65 @@
+"use strict";
+
+const {
+  encodeCursor,
+  decodeCursor,
+  pageParams,
+  paginate,
+} = require("./pagination");
+const { BadRequestError } = require("../expressError");
+
+const req = {
+  baseUrl: "/companies",
+  path: "/",
+  query: { name: "c", limit: "2", offset: "2" },
+};
+
+describe("cursors", function () {
+  test("round trip", function () {
+    expect(decodeCursor(encodeCursor(40))).toEqual(40);
+  });
+
+  test("Throws error on invalid cursor", function () {
+    expect(() => decodeCursor("nope")).toThrow(BadRequestError);
+    expect(() => decodeCursor(encodeCursor(-1))).toThrow(BadRequestError);
+  });
+});
+
+describe("pageParams Function", function () {
+  test("Returns defaults", function () {
+    expect(pageParams({})).toEqual({ limit: 20, offset: 0, useCursor: false });
+  });
+
+  test("Decodes cursor", function () {
+    expect(pageParams({ limit: 5, cursor: encodeCursor(10) }))
+        .toEqual({ limit: 5, offset: 10, useCursor: true });
+  });
+
+  test("Throws error with both offset and cursor", function () {
+    expect(() => pageParams({ offset: 1, cursor: encodeCursor(1) }))
+        .toThrow(BadRequestError);
+  });
+});
+
+describe("paginate Function", function () {
+  test("Returns offset links", function () {
+    expect(paginate(req, { total: 5, limit: 2, offset: 2, useCursor: false }))
+        .toEqual({
+          total: 5,
+          limit: 2,
+          offset: 2,
+          next: "/companies?name=c&limit=2&offset=4",
+          prev: "/companies?name=c&limit=2&offset=0",
+        });
+  });
+
+  test("Returns cursor links", function () {
+    expect(paginate(req, { total: 5, limit: 2, offset: 4, useCursor: true }))
+        .toEqual({
+          total: 5,
+          limit: 2,
+          next: null,
+          prev: `/companies?name=c&limit=2&cursor=${encodeCursor(2)}`,
+        });
+  });
+});
@@ -0,0 +1,49 @@
+"use strict";
+
+const { BadRequestError } = require("../expressError");
+
+/** The largest id an INTEGER (serial) column can hold. */
+const MAX_ID = 2 ** 31 - 1;
+
+/** Takes the value of a route parameter naming an entity by its integer id,
+ * and what the entity is (like "job") for the error message.
+ *
+ * Returns the id as a number.
+ *
+ * Throws BadRequestError unless it's all digits and no bigger than MAX_ID,
+ * so the database won't reject it.
+ */
+
+function parseId(value, entity) {
+  const id = Number(value);
+  if (!/^\d+$/.test(value) || id > MAX_ID) {
+    throw new BadRequestError(`Invalid ${entity} id`);
+  }
+  return id;
+}
+
+/** Whether `value`, a date "YYYY-MM-DD", names a day that exists. */
+
+function isRealDate(value) {
+  const date = new Date(`${value}T00:00:00Z`);
+  return !isNaN(date)
+      && date.toISOString().slice(0, 10) === value
+      && date.getUTCFullYear() >= 1;
+}
+
+/** Takes the query parameters of a request, already validated with a schema
+ * whose `fields` have "format": "date".
+ *
+ * That format only checks the shape of a date, so this throws
+ * BadRequestError if any of those fields are dates that don't exist, like
+ * 2020-02-30, which the database would reject.
+ */
+
+function checkDates(queries, fields) {
+  const errs = fields
+    .filter(field => field in queries && !isRealDate(queries[field]))
+    .map(field => `${field} is not a real date: ${queries[field]}`);
+  if (errs.length > 0) throw new BadRequestError(errs);
+}
+
+module.exports = { parseId, checkDates, MAX_ID };
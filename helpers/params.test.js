@@ -0,0 +1,44 @@
+"use strict";
+
+const { parseId, checkDates, MAX_ID } = require("./params");
+const { BadRequestError } = require("../expressError");
+
+describe("parseId", function () {
+  test("works", function () {
+    expect(parseId("0", "job")).toEqual(0);
+    expect(parseId("42", "job")).toEqual(42);
+    expect(parseId(String(MAX_ID), "job")).toEqual(MAX_ID);
+  });
+
+  test("bad request unless digits in range", function () {
+    for (const value of ["nope", "1.5", "-1", "1e3", " 1", "", "2147483648"]) {
+      expect(() => parseId(value, "job")).toThrow(BadRequestError);
+    }
+  });
+});
+
+describe("checkDates", function () {
+  test("works", function () {
+    const queries = { from: "2020-02-29", to: "0001-01-01", name: "2020-02-30" };
+    expect(checkDates(queries, ["from", "to", "until"])).toBeUndefined();
+  });
+
+  test("bad request for dates that don't exist", function () {
+    for (const value of ["2020-02-30", "2021-02-29", "2020-00-10", "0000-01-01"]) {
+      expect(() => checkDates({ from: value }, ["from"]))
+        .toThrow(BadRequestError);
+    }
+  });
+
+  test("reports each bad field", function () {
+    try {
+      checkDates({ from: "2020-02-30", to: "2020-04-31" }, ["from", "to"]);
+      throw new Error("fail test, you shouldn't get here");
+    } catch (err) {
+      expect(err.message).toEqual([
+        "from is not a real date: 2020-02-30",
+        "to is not a real date: 2020-04-31",
+      ]);
+    }
+  });
+});
@@ -38,4 +38,68 @@ function sqlForPartialUpdate(dataToUpdate, jsToSql) {
   };
 }
 
-module.exports = { sqlForPartialUpdate };
+/** Takes { limit, offset } (either may be missing) and the number of values
+ *  already bound in the query the clause will be added to.
+ *
+ *  Returns an object containing a LIMIT/OFFSET clause and its values
+ *
+ * {
+ *   pageClause: "LIMIT $3 OFFSET $4",
+ *   values: [20, 40]
+ * }
+ *
+ */
+
+function sqlForPagination({ limit, offset }, numPriorValues = 0) {
+  const clauses = [];
+  const values = [];
+
+  if (limit !== undefined) {
+    values.push(limit);
+    clauses.push(`LIMIT $${numPriorValues + values.length}`);
+  }
+
+  if (offset !== undefined) {
+    values.push(offset);
+    clauses.push(`OFFSET $${numPriorValues + values.length}`);
+  }
+
+  return {
+    pageClause: clauses.join(" "),
+    values,
+  };
+}
+
+/** Takes a sort string of comma-separated keys, each optionally prefixed
+ *  with "-" for descending order, e.g. "-salary,title"
+ *
+ *  sortable: Maps the javascript keys that may be sorted on to sql columns
+ *  {salary: "salary", numEmployees: "num_employees", ...}
+ *
+ *  tieBreaker: sql column appended last so rows always come back in the
+ *  same order (needed for stable pagination)
+ *
+ *  Returns an ORDER BY clause; nulls always sort last
+ *
+ *  "ORDER BY salary DESC NULLS LAST, title ASC NULLS LAST, id"
+ *
+ *  Throws BadRequestError on a key that isn't sortable
+ */
+
+function sqlForSort(sort, sortable, tieBreaker) {
+  const cols = [];
+
+  for (const key of sort ? sort.split(",") : []) {
+    const desc = key.startsWith("-");
+    const name = desc ? key.slice(1) : key;
+    if (!Object.hasOwn(sortable, name)) {
+      throw new BadRequestError(`Cannot sort by: ${name}`);
+    }
+    cols.push(`${sortable[name]} ${desc ? "DESC" : "ASC"} NULLS LAST`);
+  }
+
+  cols.push(tieBreaker);
+  return `ORDER BY ${cols.join(", ")}`;
+}
+
+module.exports = { sqlForPartialUpdate, sqlForPagination, sqlForSort };
@@ -1,6 +1,10 @@
 "use strict";
 
-const { sqlForPartialUpdate } = require("./sql");
+const {
+  sqlForPartialUpdate,
+  sqlForPagination,
+  sqlForSort,
+} = require("./sql");
 const { BadRequestError } = require("../expressError")
 
 
@@ -28,4 +32,35 @@ describe("sqlForPartialUpdate Function", function () {
     expect(function() {
       sqlForPartialUpdate({}, {})}).toThrow(BadRequestError);
   });
-});
\ No newline at end of file
+});
+
+describe("sqlForPagination Function", function () {
+  test("Returns expected data", function () {
+    expect(sqlForPagination({ limit: 10, offset: 20 }, 2)).toEqual({
+      pageClause: "LIMIT $3 OFFSET $4",
+      values: [10, 20]
+    });
+  });
+
+  test("Returns empty clause without limit or offset", function () {
+    expect(sqlForPagination({})).toEqual({ pageClause: "", values: [] });
+  });
+});
+
+describe("sqlForSort Function", function () {
+  const sortable = { salary: "salary", numEmployees: "num_employees" };
+
+  test("Returns expected clause", function () {
+    expect(sqlForSort("-salary,numEmployees", sortable, "id")).toEqual(
+      "ORDER BY salary DESC NULLS LAST, num_employees ASC NULLS LAST, id");
+  });
+
+  test("Returns tie breaker only without sort", function () {
+    expect(sqlForSort(undefined, sortable, "id")).toEqual("ORDER BY id");
+  });
+
+  test("Throws error on unsortable key", function () {
+    expect(function () {
+      sqlForSort("password", sortable, "id")}).toThrow(BadRequestError);
+  });
+});
@@ -1,17 +1,42 @@
 "use strict";
 
+const crypto = require("crypto");
 const jwt = require("jsonwebtoken");
-const { SECRET_KEY } = require("../config");
+const { SECRET_KEY, ACCESS_TOKEN_TTL } = require("../config");
 
-/** return signed JWT {username, isAdmin} from user data. */
+/** return signed JWT {username, role, permissions} from user data and the
+ * permissions of their role.
+ *
+ * The token expires after ACCESS_TOKEN_TTL seconds and has a unique id (jti)
+ * so it can be revoked.
+ */
 
-function createToken(user) {
+function createToken(user, permissions = []) {
   let payload = {
     username: user.username,
-    isAdmin: user.isAdmin === true
+    role: user.role,
+    permissions,
+    // keep milliseconds, so a token made right after a user's tokens were
+    // revoked isn't mistaken for one issued before
+    iat: Date.now() / 1000,
   };
 
-  return jwt.sign(payload, SECRET_KEY);
+  return jwt.sign(payload, SECRET_KEY, {
+    expiresIn: ACCESS_TOKEN_TTL,
+    jwtid: crypto.randomUUID(),
+  });
 }
 
-module.exports = { createToken };
+/** return a new random, opaque token (used for refresh tokens). */
+
+function createOpaqueToken() {
+  return crypto.randomBytes(32).toString("base64url");
+}
+
+/** return the hash of an opaque token, as stored in the database. */
+
+function hashToken(token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+module.exports = { createToken, createOpaqueToken, hashToken };
@@ -1,38 +1,55 @@
 "use strict";
 
 const jwt = require("jsonwebtoken");
-const { createToken } = require("./tokens");
-const { SECRET_KEY } = require("../config");
+const { createToken, createOpaqueToken, hashToken } = require("./tokens");
+const { SECRET_KEY, ACCESS_TOKEN_TTL } = require("../config");
 
 describe("createToken", function () {
-  test("works: not admin", function () {
-    const token = createToken({ username: "test", is_admin: false });
+  test("works", function () {
+    const token = createToken(
+        { username: "test", role: "recruiter" }, ["jobs:write"]);
     const payload = jwt.verify(token, SECRET_KEY);
     expect(payload).toEqual({
       iat: expect.any(Number),
+      exp: expect.any(Number),
+      jti: expect.any(String),
       username: "test",
-      isAdmin: false,
+      role: "recruiter",
+      permissions: ["jobs:write"],
     });
   });
 
-  test("works: admin", function () {
-    const token = createToken({ username: "test", isAdmin: true });
+  test("works: default no permissions", function () {
+    // given the security risk if this didn't work, checking this specifically
+    const token = createToken({ username: "test", role: "candidate" });
     const payload = jwt.verify(token, SECRET_KEY);
     expect(payload).toEqual({
       iat: expect.any(Number),
+      exp: expect.any(Number),
+      jti: expect.any(String),
       username: "test",
-      isAdmin: true,
+      role: "candidate",
+      permissions: [],
     });
   });
+});
 
-  test("works: default no admin", function () {
-    // given the security risk if this didn't work, checking this specifically
+describe("createToken expiry", function () {
+  test("expires after ACCESS_TOKEN_TTL", function () {
     const token = createToken({ username: "test" });
     const payload = jwt.verify(token, SECRET_KEY);
-    expect(payload).toEqual({
-      iat: expect.any(Number),
-      username: "test",
-      isAdmin: false,
-    });
+    expect(payload.exp - payload.iat).toBeCloseTo(ACCESS_TOKEN_TTL);
+  });
+});
+
+describe("opaque tokens", function () {
+  test("are random", function () {
+    expect(createOpaqueToken()).not.toEqual(createOpaqueToken());
+  });
+
+  test("hash is stable and not the token", function () {
+    const token = createOpaqueToken();
+    expect(hashToken(token)).toEqual(hashToken(token));
+    expect(hashToken(token)).not.toEqual(token);
   });
 });
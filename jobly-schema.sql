@@ -3,9 +3,51 @@ CREATE TABLE companies (
   name TEXT UNIQUE NOT NULL,
   num_employees INTEGER CHECK (num_employees >= 0),
   description TEXT NOT NULL,
-  logo_url TEXT
+  logo_url TEXT,
+  deleted_at TIMESTAMP,
+  -- bumped on every change; see company_versions
+  version INTEGER NOT NULL DEFAULT 1
 );
 
+CREATE INDEX companies_search_idx ON companies
+  USING GIN (to_tsvector('english', name || ' ' || description));
+
+CREATE TABLE roles (
+  name TEXT PRIMARY KEY,
+  description TEXT NOT NULL
+);
+
+CREATE TABLE role_permissions (
+  role TEXT NOT NULL
+    REFERENCES roles ON DELETE CASCADE,
+  permission TEXT NOT NULL,
+  PRIMARY KEY (role, permission)
+);
+
+INSERT INTO roles (name, description)
+VALUES ('admin', 'Manages everything'),
+       ('recruiter', 'Posts jobs and reviews applications for their companies'),
+       ('candidate', 'Looks for and applies to jobs'),
+       ('auditor', 'Reads users and applications, changes nothing');
+
+-- permissions ending in :company only apply to the companies a user is
+-- linked to in company_recruiters
+INSERT INTO role_permissions (role, permission)
+VALUES ('admin', 'companies:write'),
+       ('admin', 'jobs:write'),
+       ('admin', 'users:read'),
+       ('admin', 'users:write'),
+       ('admin', 'applications:read'),
+       ('admin', 'applications:write'),
+       ('admin', 'api_keys:write'),
+       ('admin', 'audit:read'),
+       ('recruiter', 'jobs:write:company'),
+       ('recruiter', 'applications:read:company'),
+       ('recruiter', 'applications:write:company'),
+       ('auditor', 'users:read'),
+       ('auditor', 'applications:read'),
+       ('auditor', 'audit:read');
+
 CREATE TABLE users (
   username VARCHAR(25) PRIMARY KEY,
   password TEXT NOT NULL,
@@ -13,7 +55,67 @@ CREATE TABLE users (
   last_name TEXT NOT NULL,
   email TEXT NOT NULL
     CHECK (position('@' IN email) > 1),
-  is_admin BOOLEAN NOT NULL DEFAULT FALSE
+  role TEXT NOT NULL DEFAULT 'candidate'
+    REFERENCES roles,
+  email_verified BOOLEAN NOT NULL DEFAULT FALSE,
+  tokens_valid_after TIMESTAMPTZ,
+  deleted_at TIMESTAMP,
+  -- bumped on every change to the user's details
+  version INTEGER NOT NULL DEFAULT 1
+);
+
+CREATE TABLE password_reset_tokens (
+  token_hash TEXT PRIMARY KEY,
+  username VARCHAR(25) NOT NULL
+    REFERENCES users ON DELETE CASCADE,
+  expires_at TIMESTAMP NOT NULL,
+  used_at TIMESTAMP
+);
+
+CREATE TABLE email_verification_tokens (
+  token_hash TEXT PRIMARY KEY,
+  username VARCHAR(25) NOT NULL
+    REFERENCES users ON DELETE CASCADE,
+  email TEXT NOT NULL,
+  expires_at TIMESTAMP NOT NULL,
+  used_at TIMESTAMP
+);
+
+CREATE TABLE revoked_tokens (
+  jti TEXT PRIMARY KEY,
+  expires_at TIMESTAMPTZ NOT NULL
+);
+
+CREATE TABLE login_failures (
+  kind TEXT NOT NULL CHECK (kind IN ('username', 'ip')),
+  key TEXT NOT NULL,
+  failures INTEGER NOT NULL,
+  last_failed_at TIMESTAMPTZ NOT NULL,
+  retry_at TIMESTAMPTZ,
+  locked_until TIMESTAMPTZ,
+  PRIMARY KEY (kind, key)
+);
+
+-- keys for scripts and other services; they get their own permissions,
+-- not those of a role
+CREATE TABLE api_keys (
+  id SERIAL PRIMARY KEY,
+  name TEXT NOT NULL,
+  key_hash TEXT UNIQUE NOT NULL,
+  permissions TEXT[] NOT NULL,
+  created_by VARCHAR(25)
+    REFERENCES users ON DELETE SET NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  last_used_at TIMESTAMP,
+  revoked_at TIMESTAMP
+);
+
+CREATE TABLE refresh_tokens (
+  token_hash TEXT PRIMARY KEY,
+  username VARCHAR(25) NOT NULL
+    REFERENCES users ON DELETE CASCADE,
+  expires_at TIMESTAMP NOT NULL,
+  used_at TIMESTAMP
 );
 
 
@@ -24,15 +126,88 @@ CREATE TABLE jobs (
   salary INTEGER CHECK (salary >= 0),
   equity NUMERIC CHECK (equity <= 1.0),
   company_handle VARCHAR(25) NOT NULL
-    REFERENCES companies ON DELETE CASCADE
+    REFERENCES companies ON DELETE CASCADE,
+  -- jobs of a deleted company are hidden too, but not deleted themselves
+  deleted_at TIMESTAMP,
+  -- bumped on every change; see job_versions
+  version INTEGER NOT NULL DEFAULT 1
+);
+
+
+
+-- every version of each company and job, as it was after each change;
+-- changed_by is a username or api_key:<id> (see audit_log)
+CREATE TABLE company_versions (
+  handle VARCHAR(25) NOT NULL
+    REFERENCES companies ON DELETE CASCADE,
+  version INTEGER NOT NULL,
+  name TEXT NOT NULL,
+  num_employees INTEGER,
+  description TEXT NOT NULL,
+  logo_url TEXT,
+  deleted_at TIMESTAMP,
+  changed_by TEXT,
+  changed_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  changed_fields TEXT[] NOT NULL,
+  PRIMARY KEY (handle, version)
 );
 
+CREATE TABLE job_versions (
+  job_id INTEGER NOT NULL
+    REFERENCES jobs ON DELETE CASCADE,
+  version INTEGER NOT NULL,
+  title TEXT NOT NULL,
+  salary INTEGER,
+  equity NUMERIC,
+  company_handle VARCHAR(25) NOT NULL,
+  deleted_at TIMESTAMP,
+  changed_by TEXT,
+  changed_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  changed_fields TEXT[] NOT NULL,
+  PRIMARY KEY (job_id, version)
+);
 
+CREATE TABLE company_recruiters (
+  username VARCHAR(25)
+    REFERENCES users ON DELETE CASCADE,
+  company_handle VARCHAR(25)
+    REFERENCES companies ON DELETE CASCADE,
+  PRIMARY KEY (username, company_handle)
+);
 
 CREATE TABLE applications (
   username VARCHAR(25)
     REFERENCES users ON DELETE CASCADE,
   job_id INTEGER
     REFERENCES jobs ON DELETE CASCADE,
+  state TEXT NOT NULL DEFAULT 'applied'
+    CHECK (state IN ('interested', 'applied', 'interviewing',
+                     'offered', 'rejected', 'accepted', 'withdrawn')),
+  applied_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
   PRIMARY KEY (username, job_id)
 );
+
+CREATE TABLE application_states (
+  id SERIAL PRIMARY KEY,
+  username VARCHAR(25) NOT NULL,
+  job_id INTEGER NOT NULL,
+  state TEXT NOT NULL,
+  changed_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (username, job_id)
+    REFERENCES applications ON DELETE CASCADE
+);
+
+-- actor is the username, or api_key:<id> for API keys; before and after are
+-- the entity's values (or null, for creations and deletions)
+CREATE TABLE audit_log (
+  id SERIAL PRIMARY KEY,
+  actor TEXT NOT NULL,
+  action TEXT NOT NULL,
+  entity_type TEXT NOT NULL,
+  entity_id TEXT NOT NULL,
+  before JSONB,
+  after JSONB,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX audit_log_created_at_idx ON audit_log (created_at);
@@ -1,18 +1,18 @@
 -- both test users have the password "password"
 
-INSERT INTO users (username, password, first_name, last_name, email, is_admin)
+INSERT INTO users (username, password, first_name, last_name, email, role)
 VALUES ('testuser',
         '$2b$12$AZH7virni5jlTTiGgEg4zu3lSvAw68qVEfSIOjJ3RqtbJbdW/Oi5q',
         'Test',
         'User',
         'joel@joelburton.com',
-        FALSE),
+        'candidate'),
        ('testadmin',
         '$2b$12$AZH7virni5jlTTiGgEg4zu3lSvAw68qVEfSIOjJ3RqtbJbdW/Oi5q',
         'Test',
         'Admin!',
         'joel@joelburton.com',
-        TRUE);
+        'admin');
 
 INSERT INTO companies (handle,
                        name,
@@ -368,3 +368,16 @@ VALUES ('Conservator, furniture', 110000, 0, 'watson-davis'),
        ('Learning disability nurse', 66000, NULL, 'ayala-buchanan'),
        ('Research scientist (medical)', 175000, NULL, 'norman-harvey'),
        ('Accommodation manager', 126000, NULL, 'mejia-scott-ryan');
+
+-- the seeded companies and jobs are their first versions
+INSERT INTO company_versions (handle, version, name, description,
+                              num_employees, logo_url, changed_fields)
+SELECT handle, 1, name, description, num_employees, logo_url,
+       ARRAY['handle', 'name', 'description', 'numEmployees', 'logoUrl']
+FROM companies;
+
+INSERT INTO job_versions (job_id, version, title, salary, equity,
+                          company_handle, changed_fields)
+SELECT id, 1, title, salary, equity, company_handle,
+       ARRAY['title', 'salary', 'equity', 'companyHandle']
+FROM jobs;
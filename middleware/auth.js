@@ -4,65 +4,201 @@
 
 const jwt = require("jsonwebtoken");
 const { SECRET_KEY } = require("../config");
-const { UnauthorizedError } = require("../expressError");
+const { UnauthorizedError, ForbiddenError } = require("../expressError");
+const TokenRevocation = require("../models/tokenRevocation");
+const EmailVerification = require("../models/emailVerification");
+const Recruiter = require("../models/recruiter");
+const ApiKey = require("../models/apiKey");
 
 
 /** Middleware: Authenticate user.
  *
  * If a token was provided, verify it, and, if valid, store the token payload
- * on res.locals (this will include the username and isAdmin field.)
+ * on res.locals (this will include the username, role and permissions.)
+ *
+ * Expired tokens, tokens issued without an expiry, revoked tokens and tokens
+ * of users that no longer exist are not valid.
  *
  * It's not an error if no token was provided or if the token is not valid.
  */
 
-function authenticateJWT(req, res, next) {
+async function authenticateJWT(req, res, next) {
   const authHeader = req.headers?.authorization;
   if (authHeader) {
     const token = authHeader.replace(/^[Bb]earer /, "").trim();
 
+    let payload;
     try {
-      res.locals.user = jwt.verify(token, SECRET_KEY);
+      payload = jwt.verify(token, SECRET_KEY);
     } catch (err) {
-      /* ignore invalid tokens (but don't store user!) */
+      /* ignore invalid or expired tokens (but don't store user!) */
+    }
+
+    if (payload?.exp !== undefined
+        && !(await TokenRevocation.isRevoked(payload))) {
+      res.locals.user = payload;
     }
   }
   return next();
 
 }
 
-/** Middleware to use when they must be logged in.
+/** Middleware: Authenticate API key.
+ *
+ * If no user was authenticated and a key was provided in the X-API-Key
+ * header, check it, and, if valid, store { apiKey: { id, name }, permissions }
+ * on res.locals as the user. API keys have no username, so they can only do
+ * what their permissions allow.
+ *
+ * It's not an error if no key was provided or if the key is not valid.
+ */
+
+async function authenticateApiKey(req, res, next) {
+  const key = req.headers?.["x-api-key"];
+  if (key && res.locals.user === undefined) {
+    const apiKey = await ApiKey.authenticate(key.trim());
+    if (apiKey) {
+      const { id, name, permissions } = apiKey;
+      res.locals.user = { apiKey: { id, name }, permissions };
+    }
+  }
+  return next();
+}
+
+/** Middleware to use when they must be logged in, as a user or with an API
+ * key.
  *
  * If not, raises Unauthorized.
  */
 
 function ensureLoggedIn(req, res, next) {
+  if (res.locals.user?.username || res.locals.user?.apiKey) return next();
+  throw new UnauthorizedError();
+}
+
+/** Middleware to use when they must be logged in as a user; API keys won't
+ * do.
+ *
+ * If not, raises Unauthorized.
+ */
+
+function ensureUser(req, res, next) {
   if (res.locals.user?.username) return next();
   throw new UnauthorizedError();
 }
 
-/** Middleware to ensure that the logged in user is an Admin
- * Throws error if user is not an admin, otherwise moves to next function.
+/** Whether `user` (a token payload, or undefined) has `permission`. */
+
+function hasPermission(user, permission) {
+  return user?.permissions?.includes(permission) === true;
+}
+
+
+/** Middleware factory: returns middleware ensuring that the logged in user's
+ * role grants `permission`, e.g. requirePermission("jobs:write").
+ *
+ * If not, raises Unauthorized.
  */
 
-function isAdmin(req, res, next) {
-  if (res.locals.user?.isAdmin !== true) throw new UnauthorizedError();
+function requirePermission(permission) {
+  return function (req, res, next) {
+    if (!hasPermission(res.locals.user, permission)) {
+      throw new UnauthorizedError();
+    }
 
-  return next();
+    return next();
+  };
 }
 
 
-/** Middleware to ensure that the logged in user is either an Admin or an
- * authorized user.
- * Throws error if user is not an admin, otherwise moves to next function.
+/** Middleware factory: like requirePermission, but also lets the user named
+ * in the route's :username parameter through.
+ *
+ * If neither, raises Unauthorized.
  */
 
-function isAdminOrCurrentUser(req, res, next) {
+function requirePermissionOrCurrentUser(permission) {
+  return function (req, res, next) {
+    const localUser = res.locals.user;
+
+    if (localUser === undefined) throw new UnauthorizedError();
+    if (localUser.username !== req.params.username
+        && !hasPermission(localUser, permission)) {
+      throw new UnauthorizedError();
+    }
+
+    return next();
+  };
+}
+
+
+/** Whether `user` has `permission`, or the company-scoped
+ * `${permission}:company` and is a recruiter for the company whose handle
+ * `companyHandleOf(req)` returns (it may be async).
+ */
+
+async function hasCompanyPermission(user, permission, companyHandleOf, req) {
+  if (hasPermission(user, permission)) return true;
+  if (!hasPermission(user, `${permission}:company`)) return false;
+
+  const handle = await companyHandleOf(req);
+  return handle !== undefined
+      && await Recruiter.isRecruiterFor(user.username, handle);
+}
+
+
+/** Middleware factory: like requirePermission, but also lets through users
+ * whose role grants the company-scoped `${permission}:company`, if they are
+ * recruiters for the company whose handle `companyHandleOf(req)` returns
+ * (it may be async).
+ *
+ * If neither, raises Unauthorized.
+ */
+
+function requireCompanyPermission(permission, companyHandleOf) {
+  return async function (req, res, next) {
+    if (await hasCompanyPermission(
+        res.locals.user, permission, companyHandleOf, req)) {
+      return next();
+    }
+
+    throw new UnauthorizedError();
+  };
+}
+
+
+/** Middleware factory: like requireCompanyPermission, but also lets the user
+ * named in the route's :username parameter through.
+ *
+ * If neither, raises Unauthorized.
+ */
+
+function requireCompanyPermissionOrCurrentUser(permission, companyHandleOf) {
+  return async function (req, res, next) {
+    const localUser = res.locals.user;
+
+    if (localUser === undefined) throw new UnauthorizedError();
+    if (localUser.username === req.params.username) return next();
+
+    return requireCompanyPermission(permission, companyHandleOf)(
+        req, res, next);
+  };
+}
+
+
+/** Middleware for sensitive actions: the logged in user must have verified
+ * their email address (users who manage other users don't need to).
+ *
+ * If not logged in, raises Unauthorized; if not verified, raises Forbidden.
+ */
+
+async function ensureVerifiedEmail(req, res, next) {
   const localUser = res.locals.user;
-  const user = req.params;
 
   if (localUser === undefined) throw new UnauthorizedError();
-  if (localUser.username !== user.username && localUser.isAdmin !== true) {
-    throw new UnauthorizedError();
+  if (!hasPermission(localUser, "users:write")
+      && !(await EmailVerification.isVerified(localUser.username))) {
+    throw new ForbiddenError("Email address not verified");
   }
 
   return next();
@@ -71,9 +207,16 @@ function isAdminOrCurrentUser(req, res, next) {
 
 module.exports = {
   authenticateJWT,
+  authenticateApiKey,
   ensureLoggedIn,
-  isAdmin,
-  isAdminOrCurrentUser
+  ensureUser,
+  hasPermission,
+  requirePermission,
+  requirePermissionOrCurrentUser,
+  hasCompanyPermission,
+  requireCompanyPermission,
+  requireCompanyPermissionOrCurrentUser,
+  ensureVerifiedEmail,
 };
 
 
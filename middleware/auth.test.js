@@ -1,18 +1,46 @@
 "use strict";
 
 const jwt = require("jsonwebtoken");
-const { UnauthorizedError } = require("../expressError");
+const { UnauthorizedError, ForbiddenError } = require("../expressError");
+const db = require("../db.js");
+const TokenRevocation = require("../models/tokenRevocation");
+const Recruiter = require("../models/recruiter");
+const ApiKey = require("../models/apiKey");
+const { createToken } = require("../helpers/tokens");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("../models/_testCommon");
 const {
   authenticateJWT,
+  authenticateApiKey,
   ensureLoggedIn,
-  isAdmin,
-  isAdminOrCurrentUser
+  ensureUser,
+  requirePermission,
+  requirePermissionOrCurrentUser,
+  requireCompanyPermission,
+  requireCompanyPermissionOrCurrentUser,
+  ensureVerifiedEmail,
 } = require("./auth");
 
 
 const { SECRET_KEY } = require("../config");
-const testJwt = jwt.sign({ username: "test", isAdmin: false }, SECRET_KEY);
-const badJwt = jwt.sign({ username: "test", isAdmin: false }, "wrong");
+const testJwt = jwt.sign(
+  { username: "u1", role: "candidate", permissions: [] }, SECRET_KEY, { expiresIn: 60 });
+const badJwt = jwt.sign(
+  { username: "u1", role: "candidate", permissions: [] }, "wrong", { expiresIn: 60 });
+const expiredJwt = jwt.sign(
+  { username: "u1", role: "candidate", permissions: [] }, SECRET_KEY, { expiresIn: -60 });
+const foreverJwt = jwt.sign({ username: "u1", role: "candidate", permissions: [] }, SECRET_KEY);
+const noUserJwt = jwt.sign(
+  { username: "nope", role: "candidate", permissions: [] }, SECRET_KEY, { expiresIn: 60 });
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
 
 function next(err) {
   if (err) throw new Error("Got error from middleware");
@@ -20,32 +48,126 @@ function next(err) {
 
 
 describe("authenticateJWT", function () {
-  test("works: via header", function () {
+  test("works: via header", async function () {
     const req = { headers: { authorization: `Bearer ${testJwt}` } };
     const res = { locals: {} };
-    authenticateJWT(req, res, next);
+    await authenticateJWT(req, res, next);
     expect(res.locals).toEqual({
       user: {
         iat: expect.any(Number),
-        username: "test",
-        isAdmin: false,
+        exp: expect.any(Number),
+        username: "u1",
+        role: "candidate",
+        permissions: [],
       },
     });
   });
 
-  test("works: no header", function () {
+  test("works: no header", async function () {
     const req = {};
     const res = { locals: {} };
-    authenticateJWT(req, res, next);
+    await authenticateJWT(req, res, next);
     expect(res.locals).toEqual({});
   });
 
-  test("works: invalid token", function () {
+  test("works: invalid token", async function () {
     const req = { headers: { authorization: `Bearer ${badJwt}` } };
     const res = { locals: {} };
-    authenticateJWT(req, res, next);
+    await authenticateJWT(req, res, next);
+    expect(res.locals).toEqual({});
+  });
+
+  test("works: expired token", async function () {
+    const req = { headers: { authorization: `Bearer ${expiredJwt}` } };
+    const res = { locals: {} };
+    await authenticateJWT(req, res, next);
+    expect(res.locals).toEqual({});
+  });
+
+  test("works: token without expiry", async function () {
+    const req = { headers: { authorization: `Bearer ${foreverJwt}` } };
+    const res = { locals: {} };
+    await authenticateJWT(req, res, next);
+    expect(res.locals).toEqual({});
+  });
+
+  test("works: token of deleted user", async function () {
+    const req = { headers: { authorization: `Bearer ${noUserJwt}` } };
+    const res = { locals: {} };
+    await authenticateJWT(req, res, next);
+    expect(res.locals).toEqual({});
+  });
+
+  test("works: revoked token", async function () {
+    const token = createToken({ username: "u1" });
+    await TokenRevocation.revoke(jwt.decode(token));
+    const req = { headers: { authorization: `Bearer ${token}` } };
+    const res = { locals: {} };
+    await authenticateJWT(req, res, next);
+    expect(res.locals).toEqual({});
+  });
+
+  test("works: tokens issued before user's tokens were revoked", async function () {
+    const before = createToken({ username: "u1" });
+    await TokenRevocation.revokeAll("u1");
+    const after = createToken({ username: "u1" });
+
+    const res = { locals: {} };
+    await authenticateJWT(
+        { headers: { authorization: `Bearer ${before}` } }, res, next);
+    expect(res.locals).toEqual({});
+
+    await authenticateJWT(
+        { headers: { authorization: `Bearer ${after}` } }, res, next);
+    expect(res.locals.user.username).toEqual("u1");
+  });
+});
+
+
+describe("authenticateApiKey", function () {
+  test("works: via header", async function () {
+    const { id, key } = await ApiKey.create(
+        { name: "import", permissions: ["jobs:write"] });
+    const req = { headers: { "x-api-key": key } };
+    const res = { locals: {} };
+    await authenticateApiKey(req, res, next);
+    expect(res.locals).toEqual({
+      user: { apiKey: { id, name: "import" }, permissions: ["jobs:write"] },
+    });
+  });
+
+  test("works: no header", async function () {
+    const req = {};
+    const res = { locals: {} };
+    await authenticateApiKey(req, res, next);
+    expect(res.locals).toEqual({});
+  });
+
+  test("works: unknown key", async function () {
+    const req = { headers: { "x-api-key": "nope" } };
+    const res = { locals: {} };
+    await authenticateApiKey(req, res, next);
+    expect(res.locals).toEqual({});
+  });
+
+  test("works: revoked key", async function () {
+    const { id, key } = await ApiKey.create(
+        { name: "import", permissions: ["jobs:write"] });
+    await ApiKey.revoke(id);
+    const req = { headers: { "x-api-key": key } };
+    const res = { locals: {} };
+    await authenticateApiKey(req, res, next);
     expect(res.locals).toEqual({});
   });
+
+  test("works: user already authenticated", async function () {
+    const { key } = await ApiKey.create(
+        { name: "import", permissions: ["jobs:write"] });
+    const req = { headers: { "x-api-key": key } };
+    const res = { locals: { user: { username: "u1", permissions: [] } } };
+    await authenticateApiKey(req, res, next);
+    expect(res.locals.user).toEqual({ username: "u1", permissions: [] });
+  });
 });
 
 
@@ -56,6 +178,14 @@ describe("ensureLoggedIn", function () {
     ensureLoggedIn(req, res, next);
   });
 
+  test("works with API key", function () {
+    const req = {};
+    const res = { locals: { user: {
+      apiKey: { id: 1, name: "import" }, permissions: [],
+    } } };
+    ensureLoggedIn(req, res, next);
+  });
+
   test("unauth if no login", function () {
     const req = {};
     const res = { locals: {} };
@@ -72,22 +202,58 @@ describe("ensureLoggedIn", function () {
 });
 
 
-/********************************** isAdmin **********************************/
+describe("ensureUser", function () {
+  test("works", function () {
+    const req = {};
+    const res = { locals: { user: { username: "test" } } };
+    ensureUser(req, res, next);
+  });
 
-describe("isAdmin function", function () {
+  test("unauth with API key", function () {
+    const req = {};
+    const res = { locals: { user: {
+      apiKey: { id: 1, name: "import" }, permissions: [],
+    } } };
+    expect(() => ensureUser(req, res, next)).toThrow(UnauthorizedError);
+  });
 
-  test("works for admins", function () {
+  test("unauth if no login", function () {
     const req = {};
-    const res = { locals: { user: { username: "test", isAdmin: true } } };
+    const res = { locals: {} };
+    expect(() => ensureUser(req, res, next)).toThrow(UnauthorizedError);
+  });
+});
 
-    isAdmin(req, res, next);
+
+/***************************** requirePermission *****************************/
+
+describe("requirePermission", function () {
+  const requireJobsWrite = requirePermission("jobs:write");
+
+  test("works with permission", function () {
+    const req = {};
+    const res = { locals: { user: {
+      username: "test", role: "recruiter", permissions: ["jobs:write"],
+    } } };
+
+    requireJobsWrite(req, res, next);
+  });
+
+  test("fails without permission", function () {
+    const req = {};
+    const res = { locals: { user: {
+      username: "test", role: "auditor", permissions: ["users:read"],
+    } } };
+
+    expect(() => requireJobsWrite(req, res, next))
+        .toThrow(UnauthorizedError);
   });
 
-  test("fails if not admin", function () {
+  test("fails for old tokens without permissions", function () {
     const req = {};
-    const res = { locals: { user: { username: "test", isAdmin: false } } };
+    const res = { locals: { user: { username: "test", isAdmin: true } } };
 
-    expect(() => isAdmin(req, res, next))
+    expect(() => requireJobsWrite(req, res, next))
         .toThrow(UnauthorizedError);
   });
 
@@ -95,37 +261,42 @@ describe("isAdmin function", function () {
     const req = {};
     const res = { locals: {} };
 
-    expect(() => isAdmin(req, res, next))
+    expect(() => requireJobsWrite(req, res, next))
         .toThrow(UnauthorizedError);
   });
 });
 
 
-/**************************** isAdminOrCurrentUser ****************************/
+/*********************** requirePermissionOrCurrentUser ***********************/
 
-describe("isAdminOrCurrentUser function", function () {
+describe("requirePermissionOrCurrentUser", function () {
+  const requireUsersWrite = requirePermissionOrCurrentUser("users:write");
 
-  test("works for admins", function () {
+  test("works with permission", function () {
     const req = { params: { username: "testuser" } };
-    const res = { locals: { user: { username: "admin", isAdmin: true } } };
+    const res = { locals: { user: {
+      username: "admin", role: "admin", permissions: ["users:write"],
+    } } };
 
-    isAdminOrCurrentUser(req, res, next);
+    requireUsersWrite(req, res, next);
   });
 
-  test("works for authorized users", function () {
+  test("works for current user", function () {
     const req = { params: { username: "test" } };
-    const res = { locals: { user: { username: "test", isAdmin: false } } };
+    const res = { locals: { user: {
+      username: "test", role: "candidate", permissions: [],
+    } } };
 
-    isAdminOrCurrentUser(req, res, next);
+    requireUsersWrite(req, res, next);
   });
 
-  // TODO: test if isAdmin property is an incorrect value
-
-  test("fails if not authorized user", function () {
+  test("fails if neither", function () {
     const req = { params: { username: "test" } };
-    const res = { locals: { user: { username: "wrong", isAdmin: false } } };
+    const res = { locals: { user: {
+      username: "wrong", role: "auditor", permissions: ["users:read"],
+    } } };
 
-    expect(() => isAdminOrCurrentUser(req, res, next))
+    expect(() => requireUsersWrite(req, res, next))
         .toThrow(UnauthorizedError);
   });
 
@@ -133,7 +304,142 @@ describe("isAdminOrCurrentUser function", function () {
     const req = { params: { username: "testuser" } };
     const res = { locals: {} };
 
-    expect(() => isAdminOrCurrentUser(req, res, next))
+    expect(() => requireUsersWrite(req, res, next))
         .toThrow(UnauthorizedError);
   });
-});
\ No newline at end of file
+});
+
+/************************** requireCompanyPermission **************************/
+
+describe("requireCompanyPermission", function () {
+  const requireJobsWrite = requireCompanyPermission(
+      "jobs:write", req => req.params.handle);
+  const recruiter = {
+    username: "u1", role: "recruiter", permissions: ["jobs:write:company"],
+  };
+
+  test("works with permission", async function () {
+    const req = { params: { handle: "c1" } };
+    const res = { locals: { user: {
+      username: "u2", role: "admin", permissions: ["jobs:write"],
+    } } };
+
+    await requireJobsWrite(req, res, next);
+  });
+
+  test("works for recruiters of the company", async function () {
+    await Recruiter.link("u1", "c1");
+    const req = { params: { handle: "c1" } };
+    const res = { locals: { user: recruiter } };
+
+    await requireJobsWrite(req, res, next);
+  });
+
+  test("fails for recruiters of other companies", async function () {
+    await Recruiter.link("u1", "c2");
+    const req = { params: { handle: "c1" } };
+    const res = { locals: { user: recruiter } };
+
+    await expect(requireJobsWrite(req, res, next))
+        .rejects.toThrow(UnauthorizedError);
+  });
+
+  test("fails for linked users without the permission", async function () {
+    await Recruiter.link("u1", "c1");
+    const req = { params: { handle: "c1" } };
+    const res = { locals: { user: { ...recruiter, permissions: [] } } };
+
+    await expect(requireJobsWrite(req, res, next))
+        .rejects.toThrow(UnauthorizedError);
+  });
+
+  test("unauth for anon user", async function () {
+    const req = { params: { handle: "c1" } };
+    const res = { locals: {} };
+
+    await expect(requireJobsWrite(req, res, next))
+        .rejects.toThrow(UnauthorizedError);
+  });
+});
+
+/******************* requireCompanyPermissionOrCurrentUser ********************/
+
+describe("requireCompanyPermissionOrCurrentUser", function () {
+  const requireJobsWrite = requireCompanyPermissionOrCurrentUser(
+      "jobs:write", req => req.params.handle);
+  const recruiter = {
+    username: "u1", role: "recruiter", permissions: ["jobs:write:company"],
+  };
+
+  test("works for same user", async function () {
+    const req = { params: { username: "u2", handle: "c1" } };
+    const res = { locals: { user: {
+      username: "u2", role: "candidate", permissions: [],
+    } } };
+
+    await requireJobsWrite(req, res, next);
+  });
+
+  test("works for recruiters of the company", async function () {
+    await Recruiter.link("u1", "c1");
+    const req = { params: { username: "u2", handle: "c1" } };
+    const res = { locals: { user: recruiter } };
+
+    await requireJobsWrite(req, res, next);
+  });
+
+  test("fails for recruiters of other companies", async function () {
+    await Recruiter.link("u1", "c2");
+    const req = { params: { username: "u2", handle: "c1" } };
+    const res = { locals: { user: recruiter } };
+
+    await expect(requireJobsWrite(req, res, next))
+        .rejects.toThrow(UnauthorizedError);
+  });
+
+  test("unauth for anon user", async function () {
+    const req = { params: { username: "u2", handle: "c1" } };
+    const res = { locals: {} };
+
+    await expect(requireJobsWrite(req, res, next))
+        .rejects.toThrow(UnauthorizedError);
+  });
+});
+
+/**************************** ensureVerifiedEmail ****************************/
+
+describe("ensureVerifiedEmail", function () {
+  test("works for verified users", async function () {
+    await db.query(
+        "UPDATE users SET email_verified = TRUE WHERE username = 'u1'");
+    const req = {};
+    const res = { locals: { user: { username: "u1", role: "candidate", permissions: [] } } };
+
+    await ensureVerifiedEmail(req, res, next);
+  });
+
+  test("works for user managers", async function () {
+    const req = {};
+    const res = { locals: { user: {
+      username: "u1", role: "admin", permissions: ["users:write"],
+    } } };
+
+    await ensureVerifiedEmail(req, res, next);
+  });
+
+  test("forbidden if not verified", async function () {
+    const req = {};
+    const res = { locals: { user: { username: "u1", role: "candidate", permissions: [] } } };
+
+    await expect(ensureVerifiedEmail(req, res, next))
+        .rejects.toThrow(ForbiddenError);
+  });
+
+  test("unauth for anon user", async function () {
+    const req = {};
+    const res = { locals: {} };
+
+    await expect(ensureVerifiedEmail(req, res, next))
+        .rejects.toThrow(UnauthorizedError);
+  });
+});
@@ -0,0 +1,99 @@
+"use strict";
+
+/** Middleware caching the public company and job listings in-process.
+ *
+ * Cached responses are kept until any company or job changes through this
+ * process; changes made elsewhere (another process, or straight in the
+ * database) aren't seen until then.
+ */
+
+const { CACHE_MAX_ENTRIES } = require("../config");
+const { etagForBody } = require("../helpers/etag");
+
+/** Cached responses, by url: { body, etag, lastModified } */
+const cache = new Map();
+
+/** Bumped whenever the cache is invalidated, so responses that were being
+ * made meanwhile aren't cached. */
+let generation = 0;
+
+/** When companies or jobs last changed, as far as this process knows. */
+let lastChange = Date.now();
+
+/** Sends cached response `entry`; Express answers 304 Not Modified instead
+ * if the request's If-None-Match or If-Modified-Since show it's fresh. */
+
+function sendCached(res, send, { body, etag, lastModified }) {
+  res.set({
+    "ETag": etag,
+    "Last-Modified": new Date(lastModified).toUTCString(),
+    "Cache-Control": "no-cache",
+  });
+  return send(body);
+}
+
+/** Middleware: serve the route's response from the cache, or cache it.
+ *
+ * Successful responses are cached by url, with their ETag (the route's own,
+ * or a hash of the body) and a Last-Modified of the last change to companies
+ * or jobs. Clients are told to revalidate them (Cache-Control: no-cache).
+ */
+
+function cacheResponse(req, res, next) {
+  const key = req.originalUrl;
+  const cached = cache.get(key);
+  if (cached) return sendCached(res, body => res.json(body), cached);
+
+  const startGeneration = generation;
+  const json = res.json.bind(res);
+  res.json = function (body) {
+    if (res.statusCode !== 200) return json(body);
+
+    const entry = {
+      body,
+      etag: res.get("ETag") || etagForBody(body),
+      lastModified: lastChange,
+    };
+    if (generation === startGeneration) {
+      if (cache.size >= CACHE_MAX_ENTRIES) {
+        cache.delete(cache.keys().next().value);
+      }
+      cache.set(key, entry);
+    }
+    return sendCached(res, json, entry);
+  };
+  return next();
+}
+
+/** Empties the cache, as companies or jobs have changed. */
+
+function invalidateCache() {
+  cache.clear();
+  generation++;
+  // Last-Modified only has whole seconds; make sure each change moves it on
+  lastChange = Math.max(Date.now(), lastChange + 1000);
+}
+
+/** Middleware: invalidate the cache when the request (anything but GET or
+ * HEAD) responds, as it may have changed companies or jobs.
+ *
+ * This happens before the response is sent, and even if it's an error, as
+ * the change may have happened anyway.
+ */
+
+function invalidatesCache(req, res, next) {
+  if (req.method === "GET" || req.method === "HEAD") return next();
+
+  const json = res.json.bind(res);
+  res.json = function (body) {
+    invalidateCache();
+    return json(body);
+  };
+  return next();
+}
+
+module.exports = {
+  cacheResponse,
+  invalidateCache,
+  invalidatesCache,
+};
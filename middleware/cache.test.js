@@ -0,0 +1,113 @@
+"use strict";
+
+const {
+  cacheResponse,
+  invalidateCache,
+  invalidatesCache,
+} = require("./cache");
+
+function next(err) {
+  if (err) throw new Error("Got error from middleware");
+}
+
+/** A response that records what's sent with it. */
+
+function fakeRes() {
+  const res = {
+    statusCode: 200,
+    headers: {},
+    sent: [],
+    set(headers) { Object.assign(res.headers, headers); },
+    get(name) { return res.headers[name]; },
+    json(body) { res.sent.push(body); },
+  };
+  return res;
+}
+
+/** Make a request to `url` through cacheResponse, with the route responding
+ * `body`; returns the response. */
+
+function cachedGet(url, body) {
+  const res = fakeRes();
+  cacheResponse({ method: "GET", originalUrl: url }, res, next);
+  if (res.sent.length === 0) res.json(body);
+  return res;
+}
+
+beforeEach(invalidateCache);
+
+
+describe("cacheResponse", function () {
+  test("works: caches responses by url", function () {
+    const first = cachedGet("/companies", { companies: ["c1"] });
+    expect(first.sent).toEqual([{ companies: ["c1"] }]);
+    expect(first.headers).toEqual({
+      "ETag": expect.stringMatching(/^"[\w-]+"$/),
+      "Last-Modified": expect.any(String),
+      "Cache-Control": "no-cache",
+    });
+
+    const second = cachedGet("/companies", { companies: ["changed"] });
+    expect(second.sent).toEqual([{ companies: ["c1"] }]);
+    expect(second.headers).toEqual(first.headers);
+
+    const other = cachedGet("/companies?name=c", { companies: [] });
+    expect(other.sent).toEqual([{ companies: [] }]);
+  });
+
+  test("works: keeps the route's ETag", function () {
+    const res = fakeRes();
+    cacheResponse({ method: "GET", originalUrl: "/jobs/1" }, res, next);
+    res.set({ ETag: '"1-abc"' });
+    res.json({ job: {} });
+    expect(res.headers.ETag).toEqual('"1-abc"');
+  });
+
+  test("works: doesn't cache errors", function () {
+    const res = fakeRes();
+    cacheResponse({ method: "GET", originalUrl: "/jobs/0" }, res, next);
+    res.statusCode = 404;
+    res.json({ error: {} });
+    expect(res.headers).toEqual({});
+
+    expect(cachedGet("/jobs/0", { job: {} }).sent).toEqual([{ job: {} }]);
+  });
+
+  test("works: doesn't cache responses made while invalidated", function () {
+    const res = fakeRes();
+    cacheResponse({ method: "GET", originalUrl: "/companies" }, res, next);
+    invalidateCache();
+    res.json({ companies: ["old"] });
+
+    expect(cachedGet("/companies", { companies: ["new"] }).sent)
+      .toEqual([{ companies: ["new"] }]);
+  });
+});
+
+
+describe("invalidatesCache", function () {
+  test("works: writes invalidate the cache, moving Last-Modified on",
+    function () {
+      const first = cachedGet("/companies", { companies: ["c1"] });
+
+      const res = fakeRes();
+      invalidatesCache({ method: "PATCH" }, res, next);
+      res.json({ company: {} });
+
+      const second = cachedGet("/companies", { companies: ["changed"] });
+      expect(second.sent).toEqual([{ companies: ["changed"] }]);
+      expect(Date.parse(second.headers["Last-Modified"]))
+        .toBeGreaterThan(Date.parse(first.headers["Last-Modified"]));
+    });
+
+  test("works: reads don't", function () {
+    cachedGet("/companies", { companies: ["c1"] });
+
+    const res = fakeRes();
+    invalidatesCache({ method: "GET" }, res, next);
+    res.json({ companies: [] });
+
+    expect(cachedGet("/companies", { companies: ["changed"] }).sent)
+      .toEqual([{ companies: ["c1"] }]);
+  });
+});
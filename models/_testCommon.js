@@ -5,6 +5,8 @@ const bcrypt = require("bcrypt");
 const db = require("../db.js");
 const { BCRYPT_WORK_FACTOR } = require("../config");
 
+const testJobIds = [];
+
 async function commonBeforeAll() {
   // noinspection SqlWithoutWhere
   await db.query("DELETE FROM companies");
@@ -17,6 +19,15 @@ async function commonBeforeAll() {
              ('c2', 'C2', 2, 'Desc2', 'http://c2.img'),
              ('c3', 'C3', 3, 'Desc3', 'http://c3.img')`);
 
+  const jobsRes = await db.query(`
+      INSERT INTO jobs (title, salary, equity, company_handle)
+      VALUES ('Job1', 100, 0.1, 'c1'),
+             ('Job2', 200, 0.2, 'c1'),
+             ('Job3', 300, 0, 'c1'),
+             ('Job4', NULL, NULL, 'c1')
+      RETURNING id`);
+  testJobIds.splice(0, testJobIds.length, ...jobsRes.rows.map(r => r.id));
+
   await db.query(`
       INSERT INTO users(username,
                         password,
@@ -29,6 +40,13 @@ async function commonBeforeAll() {
     await bcrypt.hash("password1", BCRYPT_WORK_FACTOR),
     await bcrypt.hash("password2", BCRYPT_WORK_FACTOR),
   ]);
+
+  await db.query(`
+      INSERT INTO applications (username, job_id, state)
+      VALUES ('u1', $1, 'applied')`, [testJobIds[0]]);
+  await db.query(`
+      INSERT INTO application_states (username, job_id, state)
+      VALUES ('u1', $1, 'applied')`, [testJobIds[0]]);
 }
 
 async function commonBeforeEach() {
@@ -49,4 +67,5 @@ module.exports = {
   commonBeforeEach,
   commonAfterEach,
   commonAfterAll,
+  testJobIds,
 };
\ No newline at end of file
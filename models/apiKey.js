@@ -0,0 +1,98 @@
+"use strict";
+
+const db = require("../db");
+const { NotFoundError } = require("../expressError");
+const { createOpaqueToken, hashToken } = require("../helpers/tokens");
+
+/** Related functions for API keys, which let scripts and other services use
+ * the API without logging in as a user.
+ *
+ * Keys are opaque random strings; only their hashes are stored. Each key has
+ * a name and the permissions it grants (like those of a role), and can be
+ * revoked; revoked keys are kept so their use can still be traced.
+ */
+
+class ApiKey {
+  /** Create a key named `name` granting `permissions`, made by user
+   * `createdBy`, querying with `client` (db, or one from db.transaction).
+   *
+   * Returns { id, name, permissions, createdBy, createdAt, key }
+   *   where key is the only copy of the key itself.
+   **/
+
+  static async create({ name, permissions, createdBy = null }, client = db) {
+    const key = createOpaqueToken();
+    const result = await client.query(`
+        INSERT INTO api_keys (name, key_hash, permissions, created_by)
+        VALUES ($1, $2, $3, $4)
+        RETURNING id,
+                  name,
+                  permissions,
+                  created_by AS "createdBy",
+                  created_at AS "createdAt"`,
+        [name, hashToken(key), [...new Set(permissions)].sort(), createdBy],
+    );
+
+    return { ...result.rows[0], key };
+  }
+
+  /** Find all keys, revoked ones included.
+   *
+   * Returns [{ id, name, permissions, createdBy, createdAt, lastUsedAt,
+   *            revokedAt }, ...]
+   **/
+
+  static async findAll() {
+    const result = await db.query(`
+        SELECT id,
+               name,
+               permissions,
+               created_by   AS "createdBy",
+               created_at   AS "createdAt",
+               last_used_at AS "lastUsedAt",
+               revoked_at   AS "revokedAt"
+        FROM api_keys
+        ORDER BY id`,
+    );
+
+    return result.rows;
+  }
+
+  /** Revoke key with id `id`, querying with `client`; returns undefined.
+   *
+   * Throws NotFoundError if no such key, or it was already revoked.
+   **/
+
+  static async revoke(id, client = db) {
+    const result = await client.query(`
+        UPDATE api_keys
+        SET revoked_at = CURRENT_TIMESTAMP
+        WHERE id = $1
+          AND revoked_at IS NULL
+        RETURNING id`, [id],
+    );
+
+    if (!result.rows[0]) throw new NotFoundError(`No API key: ${id}`);
+  }
+
+  /** Given a key, record that it was used.
+   *
+   * Returns { id, name, permissions }, or undefined if the key is unknown or
+   * revoked.
+   **/
+
+  static async authenticate(key) {
+    const result = await db.query(`
+        UPDATE api_keys
+        SET last_used_at = CURRENT_TIMESTAMP
+        WHERE key_hash = $1
+          AND revoked_at IS NULL
+        RETURNING id, name, permissions`, [hashToken(key)],
+    );
+
+    return result.rows[0];
+  }
+}
+
+
+module.exports = ApiKey;
@@ -0,0 +1,122 @@
+"use strict";
+
+const db = require("../db.js");
+const { NotFoundError } = require("../expressError");
+const ApiKey = require("./apiKey.js");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/************************************** create */
+
+describe("create", function () {
+  test("works", async function () {
+    const apiKey = await ApiKey.create({
+      name: "import",
+      permissions: ["jobs:write", "companies:write", "jobs:write"],
+      createdBy: "u1",
+    });
+    expect(apiKey).toEqual({
+      id: expect.any(Number),
+      name: "import",
+      permissions: ["companies:write", "jobs:write"],
+      createdBy: "u1",
+      createdAt: expect.any(Date),
+      key: expect.any(String),
+    });
+
+    const found = await db.query(
+        "SELECT key_hash FROM api_keys WHERE id = $1", [apiKey.id]);
+    expect(found.rows[0].key_hash).not.toEqual(apiKey.key);
+  });
+});
+
+/************************************** findAll */
+
+describe("findAll", function () {
+  test("works", async function () {
+    const { id } = await ApiKey.create(
+        { name: "import", permissions: ["jobs:write"], createdBy: "u1" });
+    await ApiKey.revoke(id);
+    await ApiKey.create({ name: "report", permissions: ["users:read"] });
+
+    expect(await ApiKey.findAll()).toEqual([
+      {
+        id,
+        name: "import",
+        permissions: ["jobs:write"],
+        createdBy: "u1",
+        createdAt: expect.any(Date),
+        lastUsedAt: null,
+        revokedAt: expect.any(Date),
+      },
+      {
+        id: expect.any(Number),
+        name: "report",
+        permissions: ["users:read"],
+        createdBy: null,
+        createdAt: expect.any(Date),
+        lastUsedAt: null,
+        revokedAt: null,
+      },
+    ]);
+  });
+});
+
+/************************************** authenticate */
+
+describe("authenticate", function () {
+  test("works", async function () {
+    const { id, key } = await ApiKey.create(
+        { name: "import", permissions: ["jobs:write"] });
+
+    expect(await ApiKey.authenticate(key))
+        .toEqual({ id, name: "import", permissions: ["jobs:write"] });
+    const [found] = await ApiKey.findAll();
+    expect(found.lastUsedAt).toEqual(expect.any(Date));
+  });
+
+  test("unknown key", async function () {
+    expect(await ApiKey.authenticate("nope")).toBeUndefined();
+  });
+
+  test("revoked key", async function () {
+    const { id, key } = await ApiKey.create(
+        { name: "import", permissions: ["jobs:write"] });
+    await ApiKey.revoke(id);
+    expect(await ApiKey.authenticate(key)).toBeUndefined();
+  });
+});
+
+/************************************** revoke */
+
+describe("revoke", function () {
+  test("not found if no such key", async function () {
+    try {
+      await ApiKey.revoke(0);
+      throw new Error("fail test, you shouldn't get here");
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+
+  test("not found if already revoked", async function () {
+    const { id } = await ApiKey.create(
+        { name: "import", permissions: ["jobs:write"] });
+    await ApiKey.revoke(id);
+    try {
+      await ApiKey.revoke(id);
+      throw new Error("fail test, you shouldn't get here");
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
@@ -0,0 +1,98 @@
+"use strict";
+
+const db = require("../db");
+const { NotFoundError } = require("../expressError");
+const { sqlForPagination } = require("../helpers/sql");
+const { sqlForApplicationFilters } = require("../helpers/filters");
+
+/** Related functions for listing job applications, as recruiters see them.
+ *
+ * Users apply to jobs through User.applyToJob.
+ */
+
+class Application {
+  /** Find applications matching the search query parameters
+   * { jobId, companyHandle, appliedFrom, appliedTo }
+   * (see helpers/filters.js); { limit, offset } page through them.
+   *
+   * Returns [{ username, firstName, lastName, email, jobId, title, state,
+   *            appliedAt }, ...]
+   *   oldest application first.
+   *
+   * Throws NotFoundError if the given job or company doesn't exist (or was
+   * deleted).
+   **/
+
+  static async findAll(queries = {}) {
+    if ("jobId" in queries) {
+      const jobRes = await db.query(`
+          SELECT j.id
+          FROM jobs AS j
+                   JOIN companies AS c ON c.handle = j.company_handle
+          WHERE j.id = $1
+            AND j.deleted_at IS NULL
+            AND c.deleted_at IS NULL`, [queries.jobId],
+      );
+      if (!jobRes.rows[0]) throw new NotFoundError(`No job: ${queries.jobId}`);
+    }
+    if ("companyHandle" in queries) {
+      const companyRes = await db.query(`
+          SELECT handle
+          FROM companies
+          WHERE handle = $1
+            AND deleted_at IS NULL`, [queries.companyHandle],
+      );
+      if (!companyRes.rows[0]) {
+        throw new NotFoundError(`No company: ${queries.companyHandle}`);
+      }
+    }
+
+    const { whereClause, values } = sqlForApplicationFilters(queries);
+    const { pageClause, values: pageValues } =
+        sqlForPagination(queries, values.length);
+
+    const result = await db.query(`
+        SELECT u.username,
+               u.first_name AS "firstName",
+               u.last_name  AS "lastName",
+               u.email,
+               a.job_id     AS "jobId",
+               j.title,
+               a.state,
+               a.applied_at AS "appliedAt"
+        FROM applications AS a
+                 JOIN users AS u ON u.username = a.username
+                 JOIN jobs AS j ON j.id = a.job_id
+                 JOIN companies AS c ON c.handle = j.company_handle
+        ${whereClause}
+        ORDER BY a.applied_at, a.username, a.job_id
+        ${pageClause}`, [...values, ...pageValues],
+    );
+
+    return result.rows;
+  }
+
+  /** Takes the same search query parameters as findAll.
+   *
+   * Returns the number of applications matching them, ignoring limit and
+   * offset.
+   */
+
+  static async count(queries = {}) {
+    const { whereClause, values } = sqlForApplicationFilters(queries);
+
+    const result = await db.query(`
+        SELECT COUNT(*)::integer AS "total"
+        FROM applications AS a
+                 JOIN users AS u ON u.username = a.username
+                 JOIN jobs AS j ON j.id = a.job_id
+                 JOIN companies AS c ON c.handle = j.company_handle
+        ${whereClause}`, values,
+    );
+
+    return result.rows[0].total;
+  }
+}
+
+
+module.exports = Application;
@@ -0,0 +1,134 @@
+"use strict";
+
+const db = require("../db.js");
+const { NotFoundError, BadRequestError } = require("../expressError");
+const Application = require("./application.js");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+  testJobIds,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+beforeEach(async function () {
+  await db.query(`
+      UPDATE applications
+      SET applied_at = '2024-01-10 09:00'
+      WHERE username = 'u1'`);
+  await db.query(`
+      INSERT INTO applications (username, job_id, applied_at)
+      VALUES ('u2', $1, '2024-01-05 12:00'),
+             ('u2', $2, '2024-02-01 08:30')`, [testJobIds[0], testJobIds[1]]);
+});
+
+/************************************** findAll */
+
+describe("findAll", function () {
+  test("works: by job", async function () {
+    const applications = await Application.findAll({ jobId: testJobIds[0] });
+    expect(applications).toEqual([
+      {
+        username: "u2",
+        firstName: "U2F",
+        lastName: "U2L",
+        email: "u2@email.com",
+        jobId: testJobIds[0],
+        title: "Job1",
+        state: "applied",
+        appliedAt: new Date("2024-01-05T12:00"),
+      },
+      {
+        username: "u1",
+        firstName: "U1F",
+        lastName: "U1L",
+        email: "u1@email.com",
+        jobId: testJobIds[0],
+        title: "Job1",
+        state: "applied",
+        appliedAt: new Date("2024-01-10T09:00"),
+      },
+    ]);
+  });
+
+  test("works: by company", async function () {
+    const applications = await Application.findAll({ companyHandle: "c1" });
+    expect(applications.map(a => [a.username, a.jobId])).toEqual([
+      ["u2", testJobIds[0]],
+      ["u1", testJobIds[0]],
+      ["u2", testJobIds[1]],
+    ]);
+  });
+
+  test("works: company with no applications", async function () {
+    expect(await Application.findAll({ companyHandle: "c2" })).toEqual([]);
+  });
+
+  test("works: leaves out deleted users", async function () {
+    await db.query(
+        "UPDATE users SET deleted_at = CURRENT_TIMESTAMP WHERE username = 'u2'");
+    const applications = await Application.findAll({ companyHandle: "c1" });
+    expect(applications.map(a => a.username)).toEqual(["u1"]);
+    expect(await Application.count({ companyHandle: "c1" })).toEqual(1);
+  });
+
+  test("works: date range, inclusive", async function () {
+    const applications = await Application.findAll({
+      companyHandle: "c1",
+      appliedFrom: "2024-01-10",
+      appliedTo: "2024-02-01",
+    });
+    expect(applications.map(a => a.username)).toEqual(["u1", "u2"]);
+  });
+
+  test("works: limit and offset", async function () {
+    const applications = await Application.findAll(
+        { companyHandle: "c1", limit: 1, offset: 1 });
+    expect(applications.map(a => a.username)).toEqual(["u1"]);
+  });
+
+  test("bad request if appliedFrom > appliedTo", async function () {
+    try {
+      await Application.findAll(
+          { appliedFrom: "2024-02-01", appliedTo: "2024-01-01" });
+      throw new Error("fail test, you shouldn't get here");
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+
+  test("not found if no such job", async function () {
+    try {
+      await Application.findAll({ jobId: 0 });
+      throw new Error("fail test, you shouldn't get here");
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+
+  test("not found if no such company", async function () {
+    try {
+      await Application.findAll({ companyHandle: "nope" });
+      throw new Error("fail test, you shouldn't get here");
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** count */
+
+describe("count", function () {
+  test("works", async function () {
+    expect(await Application.count({ companyHandle: "c1" })).toEqual(3);
+    expect(await Application.count({ jobId: testJobIds[1] })).toEqual(1);
+    expect(await Application.count(
+        { companyHandle: "c1", appliedTo: "2024-01-31", limit: 1 }))
+        .toEqual(2);
+  });
+});
@@ -0,0 +1,110 @@
+"use strict";
+
+const db = require("../db");
+const { sqlForPagination } = require("../helpers/sql");
+const { sqlForAuditFilters } = require("../helpers/filters");
+
+/** Related functions for the audit log: a record of who changed what, and
+ * when, through the API.
+ */
+
+class AuditLog {
+  /** Given the logged in user (as stored on res.locals), return the actor
+   * recorded for them: their username, or api_key:<id> for API keys.
+   */
+
+  static actorOf(user) {
+    return user.username ?? `api_key:${user.apiKey.id}`;
+  }
+
+  /** Record that logged in user `user` did `action` (like "update") to the
+   * entity of `entityType` (like "company") with id `entityId`.
+   *
+   * before and after are the entity's values before and after the action; use
+   * null for creations and deletions. client is what to query with (db, or
+   * one from db.transaction).
+   *
+   * Returns { id, actor, action, entityType, entityId, before, after,
+   *           createdAt }
+   **/
+
+  static async record(user, {
+    action, entityType, entityId, before = null, after = null,
+  }, client = db) {
+    const result = await client.query(`
+        INSERT INTO audit_log
+            (actor, action, entity_type, entity_id, before, after)
+        VALUES ($1, $2, $3, $4, $5, $6)
+        RETURNING id,
+                  actor,
+                  action,
+                  entity_type AS "entityType",
+                  entity_id   AS "entityId",
+                  before,
+                  after,
+                  created_at  AS "createdAt"`,
+        [
+          AuditLog.actorOf(user),
+          action,
+          entityType,
+          String(entityId),
+          before && JSON.stringify(before),
+          after && JSON.stringify(after),
+        ],
+    );
+
+    return result.rows[0];
+  }
+
+  /** Find entries matching the search query parameters
+   * { actor, entityType, entityId, from, to } (see helpers/filters.js);
+   * { limit, offset } page through them.
+   *
+   * Returns [{ id, actor, action, entityType, entityId, before, after,
+   *            createdAt }, ...]
+   *   newest first.
+   **/
+
+  static async findAll(queries = {}) {
+    const { whereClause, values } = sqlForAuditFilters(queries);
+    const { pageClause, values: pageValues } =
+        sqlForPagination(queries, values.length);
+
+    const result = await db.query(`
+        SELECT id,
+               actor,
+               action,
+               entity_type AS "entityType",
+               entity_id   AS "entityId",
+               before,
+               after,
+               created_at  AS "createdAt"
+        FROM audit_log
+        ${whereClause}
+        ORDER BY created_at DESC, id DESC
+        ${pageClause}`, [...values, ...pageValues],
+    );
+
+    return result.rows;
+  }
+
+  /** Takes the same search query parameters as findAll.
+   *
+   * Returns the number of entries matching them, ignoring limit and offset.
+   */
+
+  static async count(queries = {}) {
+    const { whereClause, values } = sqlForAuditFilters(queries);
+
+    const result = await db.query(`
+        SELECT COUNT(*)::integer AS "total"
+        FROM audit_log
+        ${whereClause}`, values,
+    );
+
+    return result.rows[0].total;
+  }
+}
+
+
+module.exports = AuditLog;
@@ -0,0 +1,109 @@
+"use strict";
+
+const db = require("../db.js");
+const AuditLog = require("./auditLog.js");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+const admin = { username: "admin", permissions: ["companies:write"] };
+const apiKey = { apiKey: { id: 7, name: "import" }, permissions: [] };
+
+/************************************** actorOf */
+
+describe("actorOf", function () {
+  test("works", function () {
+    expect(AuditLog.actorOf(admin)).toEqual("admin");
+    expect(AuditLog.actorOf(apiKey)).toEqual("api_key:7");
+  });
+});
+
+/************************************** record */
+
+describe("record", function () {
+  test("works", async function () {
+    const entry = await AuditLog.record(admin, {
+      action: "update",
+      entityType: "company",
+      entityId: "c1",
+      before: { handle: "c1", name: "C1" },
+      after: { handle: "c1", name: "New" },
+    });
+    expect(entry).toEqual({
+      id: expect.any(Number),
+      actor: "admin",
+      action: "update",
+      entityType: "company",
+      entityId: "c1",
+      before: { handle: "c1", name: "C1" },
+      after: { handle: "c1", name: "New" },
+      createdAt: expect.any(Date),
+    });
+  });
+
+  test("works: no values, numeric id", async function () {
+    const entry = await AuditLog.record(apiKey, {
+      action: "delete",
+      entityType: "job",
+      entityId: 3,
+    });
+    expect(entry).toEqual(expect.objectContaining({
+      actor: "api_key:7",
+      entityId: "3",
+      before: null,
+      after: null,
+    }));
+  });
+});
+
+/************************************** findAll */
+
+describe("findAll", function () {
+  beforeEach(async function () {
+    await db.query(`
+        INSERT INTO audit_log
+            (actor, action, entity_type, entity_id, created_at)
+        VALUES ('admin', 'create', 'company', 'c1', '2024-01-01 10:00'),
+               ('admin', 'create', 'job', '1', '2024-01-02 10:00'),
+               ('api_key:7', 'create', 'job', '2', '2024-01-03 10:00')`);
+  });
+
+  test("works: newest first", async function () {
+    const entries = await AuditLog.findAll();
+    expect(entries.map(e => e.entityId)).toEqual(["2", "1", "c1"]);
+  });
+
+  test("works: filters", async function () {
+    let entries = await AuditLog.findAll({ actor: "admin", entityType: "job" });
+    expect(entries.map(e => e.entityId)).toEqual(["1"]);
+
+    entries = await AuditLog.findAll({ from: "2024-01-02", to: "2024-01-02" });
+    expect(entries.map(e => e.entityId)).toEqual(["1"]);
+  });
+
+  test("works: limit and offset", async function () {
+    const entries = await AuditLog.findAll({ limit: 1, offset: 1 });
+    expect(entries.map(e => e.entityId)).toEqual(["1"]);
+  });
+});
+
+/************************************** count */
+
+describe("count", function () {
+  test("works", async function () {
+    await AuditLog.record(admin,
+        { action: "create", entityType: "job", entityId: 1 });
+    await AuditLog.record(apiKey,
+        { action: "create", entityType: "job", entityId: 2 });
+    expect(await AuditLog.count()).toEqual(2);
+    expect(await AuditLog.count({ actor: "api_key:7", limit: 1 })).toEqual(1);
+  });
+});
@@ -1,23 +1,98 @@
 "use strict";
 
 const db = require("../db");
-const { BadRequestError, NotFoundError } = require("../expressError");
-const { sqlForPartialUpdate } = require("../helpers/sql");
+const {
+  BadRequestError,
+  NotFoundError,
+  PreconditionFailedError,
+} = require("../expressError");
+const {
+  sqlForPartialUpdate,
+  sqlForPagination,
+  sqlForSort,
+} = require("../helpers/sql");
+const { sqlForCompanyFilters } = require("../helpers/filters");
+const { DELETED_RETENTION_DAYS } = require("../config");
+const Job = require("./job");
+
+/** Company fields, as recorded in changedFields of a new company's version. */
+
+const FIELDS = ["handle", "name", "description", "numEmployees", "logoUrl"];
+
+/** Wraps `changeSql`, a statement on companies ending in RETURNING *, so it
+ * also records the changed company as its version, changed by $`byIdx` in
+ * fields $`byIdx + 1`. Statements changing a company must bump its version.
+ *
+ * The statement returns { handle, name, description, numEmployees, logoUrl,
+ *                         version }
+ */
+
+function withVersionSql(changeSql, byIdx) {
+  return `
+      WITH changed AS (${changeSql})
+      INSERT INTO company_versions (handle,
+                                    version,
+                                    name,
+                                    description,
+                                    num_employees,
+                                    logo_url,
+                                    deleted_at,
+                                    changed_by,
+                                    changed_fields)
+      SELECT handle,
+             version,
+             name,
+             description,
+             num_employees,
+             logo_url,
+             deleted_at,
+             $${byIdx},
+             $${byIdx + 1}
+      FROM changed
+      RETURNING
+          handle,
+          name,
+          description,
+          num_employees AS "numEmployees",
+          logo_url AS "logoUrl",
+          version`;
+}
 
-/** Related functions for companies. */
+/** Fields companies can be sorted on, mapped to their sql columns. */
+
+const SORTABLE = {
+  name: "name",
+  numEmployees: "num_employees",
+};
+
+/** Related functions for companies.
+ *
+ * Deleting a company only marks it deleted, hiding it and its jobs until it's
+ * restored or purged.
+ *
+ * Every change bumps the company's version, and is kept in its history with
+ * who made it (changedBy: a username, or api_key:<id>) and which fields it
+ * changed.
+ *
+ * Functions that look up or change a company take a last argument `client`
+ * to query with: db (the default), or one from db.transaction.
+ */
 
 class Company {
   /** Create a company (from data), update db, return new company data.
    *
    * data should be { handle, name, description, numEmployees, logoUrl }
+   * changedBy is who created it.
    *
-   * Returns { handle, name, description, numEmployees, logoUrl }
+   * Returns { handle, name, description, numEmployees, logoUrl, version }
    *
-   * Throws BadRequestError if company already in database.
+   * Throws BadRequestError if company already in database (even if deleted).
    * */
 
-  static async create({ handle, name, description, numEmployees, logoUrl }) {
-    const duplicateCheck = await db.query(`
+  static async create(
+    { handle, name, description, numEmployees, logoUrl }, changedBy = null,
+    client = db) {
+    const duplicateCheck = await client.query(`
         SELECT handle
         FROM companies
         WHERE handle = $1`, [handle]);
@@ -25,24 +100,21 @@ class Company {
     if (duplicateCheck.rows[0])
       throw new BadRequestError(`Duplicate company: ${handle}`);
 
-    const result = await db.query(`
+    const result = await client.query(withVersionSql(`
       INSERT INTO companies (handle,
                               name,
                               description,
                               num_employees,
                               logo_url)
       VALUES ($1, $2, $3, $4, $5)
-      RETURNING
-          handle,
-          name,
-          description,
-          num_employees AS "numEmployees",
-          logo_url AS "logoUrl"`, [
+      RETURNING *`, 6), [
       handle,
       name,
       description,
       numEmployees,
       logoUrl,
+      changedBy,
+      FIELDS,
     ],
     );
     const company = result.rows[0];
@@ -50,49 +122,98 @@ class Company {
     return company;
   }
 
+  /** Given rows of companies to create, each like create's data, find what
+   * would stop them being created by createMany: handles that aren't
+   * lowercase, and handles or names already taken (even by deleted
+   * companies) or used by an earlier row.
+   *
+   * Returns a list of messages for each row (empty if it's fine).
+   **/
+
+  static async checkNew(rows) {
+    const handles = rows.map(row => row?.handle);
+    const names = rows.map(row => row?.name);
+
+    const takenRes = await db.query(`
+        SELECT handle, name
+        FROM companies
+        WHERE handle = ANY($1)
+           OR name = ANY($2)`, [handles, names]);
+    const takenHandles = new Set(takenRes.rows.map(c => c.handle));
+    const takenNames = new Set(takenRes.rows.map(c => c.name));
+
+    return rows.map((row, idx) => {
+      const errors = [];
+      const handle = handles[idx];
+      const name = names[idx];
+      const handleIdx = handles.indexOf(handle);
+      const nameIdx = names.indexOf(name);
+
+      if (typeof handle === "string" && handle !== handle.toLowerCase()) {
+        errors.push(`Handle must be lowercase: ${handle}`);
+      }
+      if (takenHandles.has(handle)) {
+        errors.push(`Duplicate company: ${handle}`);
+      } else if (handle !== undefined && handleIdx < idx) {
+        errors.push(`Duplicate company: ${handle} (row ${handleIdx + 1})`);
+      }
+      if (takenNames.has(name)) {
+        errors.push(`Duplicate company name: ${name}`);
+      } else if (name !== undefined && nameIdx < idx) {
+        errors.push(`Duplicate company name: ${name} (row ${nameIdx + 1})`);
+      }
+
+      return errors;
+    });
+  }
+
+  /** Create companies from `rows` (each like create's data, and checked
+   * with checkNew), by `changedBy`, querying with `client` (db, or one from
+   * db.transaction).
+   *
+   * This is a single statement, so either all the companies are created or,
+   * on any error, none are.
+   *
+   * Returns [{ handle, name, description, numEmployees, logoUrl, version },
+   *          ...] ordered by handle
+   **/
+
+  static async createMany(rows, changedBy = null, client = db) {
+    const result = await client.query(withVersionSql(`
+      INSERT INTO companies (handle,
+                             name,
+                             description,
+                             num_employees,
+                             logo_url)
+      SELECT handle, name, description, "numEmployees", "logoUrl"
+      FROM jsonb_to_recordset($1) AS r(handle TEXT,
+                                       name TEXT,
+                                       description TEXT,
+                                       "numEmployees" INTEGER,
+                                       "logoUrl" TEXT)
+      RETURNING *`, 2), [JSON.stringify(rows), changedBy, FIELDS]);
+
+    return result.rows.sort((a, b) => a.handle.localeCompare(b.handle));
+  }
+
   /** Takes a req.query object with search query parameters,
-  * { name, minEmployees, maxEmployees }
+  * { name, minEmployees, maxEmployees, sort, limit, offset }
   *
   * Returns rows from database according to search criteria
   * [{ handle, name, description, numEmployees, logoUrl }, ...]
   *
-  * Returns all companies if no query is entered.
+  * Returns all companies if no query is entered. sort is a list of fields
+  * like "-numEmployees,name" (default is by name). limit and offset page
+  * through the results.
   *
   * Throws an error if minEmployees is greater than max employees
   */
 
   static async findAll(queries) {
-    // console.log("SEARCH>>>>>", queries);
-    if (Number(queries.minEmployees) > Number(queries.maxEmployees)) {
-      throw new BadRequestError();
-    }
-
-    const clauseStatements = [];
-    const values = [];
-
-    // Builds WHERE clause for SQL query based on given query parameters
-    if ("name" in queries) {
-      clauseStatements.push(`name ILIKE '%' || $${values.length + 1} || '%'`);
-      values.push(queries.name);
-    };
-
-    if ("minEmployees" in queries) {
-      clauseStatements.push(`num_employees >= $${values.length + 1}`);
-      values.push(queries.minEmployees);
-    };
-
-    if ("maxEmployees" in queries) {
-      clauseStatements.push(`num_employees <= $${values.length + 1}`);
-      values.push(queries.maxEmployees);
-    };
-
-    // console.log("VALUES>>>>>>", values);
-    // console.log("CLAUSE STATEMENTS>>>>>>", clauseStatements);
-
-    const whereClause = clauseStatements.length > 0 ?
-      'WHERE ' + clauseStatements.join(' AND ') : '';
-
-    // console.log("WHERE CLAUSE>>>>>>>", whereClause);
+    const { whereClause, values } = sqlForCompanyFilters(queries);
+    const orderClause = sqlForSort(queries.sort || "name", SORTABLE, "handle");
+    const { pageClause, values: pageValues } =
+      sqlForPagination(queries, values.length);
 
     const companiesRes = await db.query(`
       SELECT handle,
@@ -102,52 +223,174 @@ class Company {
              logo_url      AS "logoUrl"
       FROM companies
       ${whereClause}
-      ORDER BY name
-    `, values
+      ${orderClause}
+      ${pageClause}
+    `, [...values, ...pageValues]
     );
 
     return companiesRes.rows;
   }
 
+  /** Takes the same search query parameters as findAll.
+   *
+   * Returns the number of companies matching them, ignoring limit and offset.
+   */
+
+  static async count(queries) {
+    const { whereClause, values } = sqlForCompanyFilters(queries);
+
+    const countRes = await db.query(`
+      SELECT COUNT(*)::integer AS "total"
+      FROM companies
+      ${whereClause}
+    `, values
+    );
+
+    return countRes.rows[0].total;
+  }
+
 
   /** Given a company handle, return data about company.
    *
-   * Returns { handle, name, description, numEmployees, logoUrl, jobs }
-   *   where jobs is [{ id, title, salary, equity, companyHandle }, ...]
+   * jobFilters can narrow down the company's jobs with the same
+   * { title, minSalary, hasEquity } filters Job.findAll accepts.
+   *
+   * Returns { handle, name, description, numEmployees, logoUrl, version,
+   *           jobs }
+   *   where jobs is [{ id, title, salary, equity }, ...]
    *
    * Throws NotFoundError if not found.
    **/
 
-  static async get(handle) {
-    const companyRes = await db.query(`
+  static async get(handle, jobFilters = {}, client = db) {
+    const companyRes = await client.query(`
         SELECT handle,
                name,
                description,
                num_employees AS "numEmployees",
-               logo_url      AS "logoUrl"
+               logo_url      AS "logoUrl",
+               version
         FROM companies
-        WHERE handle = $1`, [handle]);
+        WHERE handle = $1
+          AND deleted_at IS NULL`, [handle]);
 
     const company = companyRes.rows[0];
 
     if (!company) throw new NotFoundError(`No company: ${handle}`);
 
+    const jobs = await Job.findAll(
+      { ...jobFilters, companyHandle: handle }, client);
+    company.jobs = jobs.map(({ id, title, salary, equity }) =>
+      ({ id, title, salary, equity }));
+
+    return company;
+  }
+
+  /** Given a company handle and a date ("YYYY-MM-DD"), return the company as
+   * it was at the end of that day, with the jobs it had then.
+   *
+   * Returns { handle, name, description, numEmployees, logoUrl, version,
+   *           changedAt, jobs }
+   *   where jobs is [{ id, title, salary, equity }, ...]
+   *
+   * Throws NotFoundError if the company didn't exist (or was deleted) then.
+   **/
+
+  static async getAsOf(handle, asOf) {
+    const companyRes = await db.query(`
+        SELECT handle,
+               name,
+               description,
+               num_employees AS "numEmployees",
+               logo_url      AS "logoUrl",
+               version,
+               changed_at    AS "changedAt",
+               deleted_at    AS "deletedAt"
+        FROM company_versions
+        WHERE handle = $1
+          AND changed_at < $2::date + 1
+        ORDER BY version DESC
+        LIMIT 1`, [handle, asOf]);
+
+    const company = companyRes.rows[0];
+
+    if (!company || company.deletedAt) {
+      throw new NotFoundError(`No company: ${handle} as of ${asOf}`);
+    }
+    delete company.deletedAt;
+
+    const jobsRes = await db.query(`
+        SELECT id, title, salary, equity
+        FROM (SELECT DISTINCT ON (job_id)
+                     job_id AS id,
+                     title,
+                     salary,
+                     equity,
+                     company_handle,
+                     deleted_at
+              FROM job_versions
+              WHERE changed_at < $2::date + 1
+              ORDER BY job_id, version DESC) AS j
+        WHERE company_handle = $1
+          AND deleted_at IS NULL
+        ORDER BY id`, [handle, asOf]);
+    company.jobs = jobsRes.rows;
+
     return company;
   }
 
+  /** Given a company handle, return every version of the company (deleted
+   * ones included).
+   *
+   * Returns [{ version, name, description, numEmployees, logoUrl, deletedAt,
+   *            changedBy, changedAt, changedFields }, ...]
+   *   oldest first
+   *
+   * Throws NotFoundError if not found.
+   **/
+
+  static async history(handle) {
+    const companyRes = await db.query(`
+        SELECT handle
+        FROM companies
+        WHERE handle = $1`, [handle]);
+
+    if (!companyRes.rows[0]) throw new NotFoundError(`No company: ${handle}`);
+
+    const result = await db.query(`
+        SELECT version,
+               name,
+               description,
+               num_employees  AS "numEmployees",
+               logo_url       AS "logoUrl",
+               deleted_at     AS "deletedAt",
+               changed_by     AS "changedBy",
+               changed_at     AS "changedAt",
+               changed_fields AS "changedFields"
+        FROM company_versions
+        WHERE handle = $1
+        ORDER BY version`, [handle]);
+
+    return result.rows;
+  }
+
   /** Update company data with `data`.
    *
    * This is a "partial update" --- it's fine if data doesn't contain all the
    * fields; this only changes provided ones.
    *
    * Data can include: {name, description, numEmployees, logoUrl}
+   * changedBy is who made the change. If `versions` (a list) is given, the
+   * company is only changed if it's still at one of them.
    *
-   * Returns {handle, name, description, numEmployees, logoUrl}
+   * Returns {handle, name, description, numEmployees, logoUrl, version}
    *
-   * Throws NotFoundError if not found.
+   * Throws NotFoundError if not found, PreconditionFailedError if it's not at
+   * any of `versions`.
    */
 
-  static async update(handle, data) {
+  static async update(
+    handle, data, changedBy = null, versions = null, client = db) {
     const { setCols, values } = sqlForPartialUpdate(
       data,
       {
@@ -155,39 +398,84 @@ class Company {
         logoUrl: "logo_url",
       });
     const handleVarIdx = "$" + (values.length + 1);
+    const versionVarIdx = "$" + (values.length + 2);
 
-    const querySql = `
+    const querySql = withVersionSql(`
         UPDATE companies
-        SET ${setCols}
+        SET ${setCols}, version = version + 1
         WHERE handle = ${handleVarIdx}
-        RETURNING
-            handle,
-            name,
-            description,
-            num_employees AS "numEmployees",
-            logo_url AS "logoUrl"`;
-    const result = await db.query(querySql, [...values, handle]);
+          AND deleted_at IS NULL
+          AND (${versionVarIdx}::integer[] IS NULL
+               OR version = ANY (${versionVarIdx}))
+        RETURNING *`, values.length + 3);
+    const result = await client.query(
+      querySql, [...values, handle, versions, changedBy, Object.keys(data)]);
+    const company = result.rows[0];
+
+    if (!company) {
+      await Company.get(handle, {}, client);
+      throw new PreconditionFailedError(
+        `Company ${handle} is not at an expected version`);
+    }
+
+    return company;
+  }
+
+  /** Mark given company deleted, by `changedBy`; returns undefined.
+   *
+   * Throws NotFoundError if company not found (or already deleted).
+   **/
+
+  static async remove(handle, changedBy = null, client = db) {
+    const result = await client.query(withVersionSql(`
+        UPDATE companies
+        SET deleted_at = CURRENT_TIMESTAMP,
+            version = version + 1
+        WHERE handle = $1
+          AND deleted_at IS NULL
+        RETURNING *`, 2), [handle, changedBy, ["deletedAt"]]);
     const company = result.rows[0];
 
     if (!company) throw new NotFoundError(`No company: ${handle}`);
+  }
+
+  /** Undo the deletion of given company, by `changedBy`, bringing back its
+   * jobs too.
+   *
+   * Returns { handle, name, description, numEmployees, logoUrl, version }
+   *
+   * Throws NotFoundError if there's no deleted company with that handle.
+   **/
+
+  static async restore(handle, changedBy = null, client = db) {
+    const result = await client.query(withVersionSql(`
+        UPDATE companies
+        SET deleted_at = NULL,
+            version = version + 1
+        WHERE handle = $1
+          AND deleted_at IS NOT NULL
+        RETURNING *`, 2), [handle, changedBy, ["deletedAt"]]);
+    const company = result.rows[0];
+
+    if (!company) throw new NotFoundError(`No deleted company: ${handle}`);
 
     return company;
   }
 
-  /** Delete given company from database; returns undefined.
+  /** Remove companies deleted more than `retentionDays` days ago from the
+   * database, with their jobs and applications.
    *
-   * Throws NotFoundError if company not found.
+   * Returns [handle, ...] of the removed companies.
    **/
 
-  static async remove(handle) {
+  static async purge(retentionDays = DELETED_RETENTION_DAYS) {
     const result = await db.query(`
         DELETE
         FROM companies
-        WHERE handle = $1
-        RETURNING handle`, [handle]);
-    const company = result.rows[0];
+        WHERE deleted_at < CURRENT_TIMESTAMP - make_interval(days => $1)
+        RETURNING handle`, [retentionDays]);
 
-    if (!company) throw new NotFoundError(`No company: ${handle}`);
+    return result.rows.map(r => r.handle);
   }
 }
 
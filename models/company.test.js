@@ -1,13 +1,19 @@
 "use strict";
 
 const db = require("../db.js");
-const { BadRequestError, NotFoundError } = require("../expressError");
+const {
+  BadRequestError,
+  NotFoundError,
+  PreconditionFailedError,
+} = require("../expressError");
 const Company = require("./company.js");
+const Job = require("./job.js");
 const {
   commonBeforeAll,
   commonBeforeEach,
   commonAfterEach,
   commonAfterAll,
+  testJobIds,
 } = require("./_testCommon");
 
 beforeAll(commonBeforeAll);
@@ -28,7 +34,7 @@ describe("create", function () {
 
   test("works", async function () {
     let company = await Company.create(newCompany);
-    expect(company).toEqual(newCompany);
+    expect(company).toEqual({ ...newCompany, version: 1 });
 
     const result = await db.query(
       `SELECT handle, name, description, num_employees, logo_url
@@ -56,6 +62,60 @@ describe("create", function () {
   });
 });
 
+/************************************** checkNew */
+
+describe("checkNew", function () {
+  test("works", async function () {
+    const rows = [
+      { handle: "new", name: "New" },
+      { handle: "c1", name: "Other" },
+      { handle: "other", name: "C2" },
+      { handle: "new", name: "New" },
+      { handle: "Caps", name: "Caps" },
+    ];
+    expect(await Company.checkNew(rows)).toEqual([
+      [],
+      ["Duplicate company: c1"],
+      ["Duplicate company name: C2"],
+      ["Duplicate company: new (row 1)", "Duplicate company name: New (row 1)"],
+      ["Handle must be lowercase: Caps"],
+    ]);
+  });
+
+  test("works: deleted companies still clash", async function () {
+    await Company.remove("c1");
+    expect(await Company.checkNew([{ handle: "c1", name: "C1" }])).toEqual([
+      ["Duplicate company: c1", "Duplicate company name: C1"],
+    ]);
+  });
+});
+
+/************************************** createMany */
+
+describe("createMany", function () {
+  test("works", async function () {
+    const companies = await Company.createMany([
+      { handle: "new2", name: "New2", description: "D2" },
+      { handle: "new1", name: "New1", description: "D1", numEmployees: 1,
+        logoUrl: "http://new1.img" },
+    ], "u1");
+    expect(companies).toEqual([
+      { handle: "new1", name: "New1", description: "D1", numEmployees: 1,
+        logoUrl: "http://new1.img", version: 1 },
+      { handle: "new2", name: "New2", description: "D2", numEmployees: null,
+        logoUrl: null, version: 1 },
+    ]);
+    expect((await Company.history("new1"))[0].changedBy).toEqual("u1");
+  });
+
+  test("fails on any row's database error", async function () {
+    await expect(Company.createMany([
+      { handle: "new", name: "New", description: "D" },
+      { handle: "c1", name: "Dupe", description: "D" },
+    ])).rejects.toThrow();
+  });
+});
+
 /************************************** findAll */
 
 describe("findAll", function () {
@@ -154,6 +214,29 @@ describe("findAll", function () {
     ]);
   });
 
+  test("works with limit and offset", async function () {
+
+    let companies = await Company.findAll({ limit: 1, offset: 1 });
+
+    expect(companies.map(c => c.handle)).toEqual(["c2"]);
+  });
+
+  test("works with sort", async function () {
+
+    let companies = await Company.findAll({ sort: "-numEmployees" });
+
+    expect(companies.map(c => c.handle)).toEqual(["c3", "c2", "c1"]);
+  });
+
+  test("bad request with unsortable field", async function () {
+    try {
+      await Company.findAll({ sort: "description" });
+      throw new Error("fail test, you shouldn't get here");
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+
   test("Fails when minEmployees > maxEmployees", async function () {
 
     let queries = {
@@ -175,6 +258,15 @@ describe("findAll", function () {
 });
 
 
+/************************************** count */
+
+describe("count", function () {
+  test("works", async function () {
+    expect(await Company.count({})).toEqual(3);
+    expect(await Company.count({ minEmployees: 2, limit: 1 })).toEqual(2);
+  });
+});
+
 /************************************** get */
 
 describe("get", function () {
@@ -186,9 +278,28 @@ describe("get", function () {
       description: "Desc1",
       numEmployees: 1,
       logoUrl: "http://c1.img",
+      version: 1,
+      jobs: [
+        { id: testJobIds[0], title: "Job1", salary: 100, equity: "0.1" },
+        { id: testJobIds[1], title: "Job2", salary: 200, equity: "0.2" },
+        { id: testJobIds[2], title: "Job3", salary: 300, equity: "0" },
+        { id: testJobIds[3], title: "Job4", salary: null, equity: null },
+      ],
     });
   });
 
+  test("works: company w/o jobs", async function () {
+    let company = await Company.get("c2");
+    expect(company.jobs).toEqual([]);
+  });
+
+  test("works: filters jobs", async function () {
+    let company = await Company.get("c1", { minSalary: 150, hasEquity: true });
+    expect(company.jobs).toEqual([
+      { id: testJobIds[1], title: "Job2", salary: 200, equity: "0.2" },
+    ]);
+  });
+
   test("not found if no such company", async function () {
     try {
       await Company.get("nope");
@@ -199,6 +310,135 @@ describe("get", function () {
   });
 });
 
+/************************************** history */
+
+describe("history", function () {
+  test("works: records each change", async function () {
+    await Company.create({
+      handle: "new",
+      name: "New",
+      description: "New Description",
+      numEmployees: 1,
+      logoUrl: null,
+    }, "u1");
+    await Company.update("new", { numEmployees: 2 }, "api_key:1");
+    await Company.remove("new", "u2");
+    await Company.restore("new", "u2");
+
+    const history = await Company.history("new");
+    expect(history).toEqual([
+      {
+        version: 1,
+        name: "New",
+        description: "New Description",
+        numEmployees: 1,
+        logoUrl: null,
+        deletedAt: null,
+        changedBy: "u1",
+        changedAt: expect.any(Date),
+        changedFields:
+          ["handle", "name", "description", "numEmployees", "logoUrl"],
+      },
+      {
+        version: 2,
+        name: "New",
+        description: "New Description",
+        numEmployees: 2,
+        logoUrl: null,
+        deletedAt: null,
+        changedBy: "api_key:1",
+        changedAt: expect.any(Date),
+        changedFields: ["numEmployees"],
+      },
+      {
+        version: 3,
+        name: "New",
+        description: "New Description",
+        numEmployees: 2,
+        logoUrl: null,
+        deletedAt: expect.any(Date),
+        changedBy: "u2",
+        changedAt: expect.any(Date),
+        changedFields: ["deletedAt"],
+      },
+      {
+        version: 4,
+        name: "New",
+        description: "New Description",
+        numEmployees: 2,
+        logoUrl: null,
+        deletedAt: null,
+        changedBy: "u2",
+        changedAt: expect.any(Date),
+        changedFields: ["deletedAt"],
+      },
+    ]);
+  });
+
+  test("not found if no such company", async function () {
+    await expect(Company.history("nope")).rejects.toThrow(NotFoundError);
+  });
+});
+
+/************************************** getAsOf */
+
+describe("getAsOf", function () {
+  beforeEach(async function () {
+    await Company.create({
+      handle: "new",
+      name: "New",
+      description: "New Description",
+      numEmployees: 1,
+      logoUrl: null,
+    });
+    const job = await Job.create(
+      { title: "Old", salary: 1, equity: 0, companyHandle: "new" });
+    await db.query(
+      "UPDATE company_versions SET changed_at = '2020-01-01 12:00' WHERE handle = 'new'");
+    await db.query(
+      "UPDATE job_versions SET changed_at = '2020-01-01 12:00' WHERE job_id = $1",
+      [job.id]);
+
+    await Company.update("new", { name: "Newer" });
+    await Job.create(
+      { title: "Recent", salary: 2, equity: 0, companyHandle: "new" });
+  });
+
+  test("works: as it was that day", async function () {
+    const company = await Company.getAsOf("new", "2020-01-01");
+    expect(company).toEqual({
+      handle: "new",
+      name: "New",
+      description: "New Description",
+      numEmployees: 1,
+      logoUrl: null,
+      version: 1,
+      changedAt: new Date("2020-01-01T12:00"),
+      jobs: [
+        { id: expect.any(Number), title: "Old", salary: 1, equity: "0" },
+      ],
+    });
+  });
+
+  test("works: latest version", async function () {
+    const company = await Company.getAsOf("new", "2100-01-01");
+    expect(company.name).toEqual("Newer");
+    expect(company.version).toEqual(2);
+    expect(company.jobs.map(j => j.title)).toEqual(["Old", "Recent"]);
+  });
+
+  test("not found before it existed", async function () {
+    await expect(Company.getAsOf("new", "2019-12-31"))
+      .rejects.toThrow(NotFoundError);
+  });
+
+  test("not found while deleted", async function () {
+    await Company.remove("new");
+    await expect(Company.getAsOf("new", "2100-01-01"))
+      .rejects.toThrow(NotFoundError);
+  });
+});
+
 /************************************** update */
 
 describe("update", function () {
@@ -214,6 +454,7 @@ describe("update", function () {
     expect(company).toEqual({
       handle: "c1",
       ...updateData,
+      version: 2,
     });
 
     const result = await db.query(
@@ -241,6 +482,7 @@ describe("update", function () {
     expect(company).toEqual({
       handle: "c1",
       ...updateDataSetNulls,
+      version: 2,
     });
 
     const result = await db.query(
@@ -256,6 +498,19 @@ describe("update", function () {
     }]);
   });
 
+  test("works: at the given version", async function () {
+    const company = await Company.update("c1", { name: "New" }, "u1", [1]);
+    expect(company.version).toEqual(2);
+  });
+
+  test("precondition failed if no longer at the given version",
+    async function () {
+      await Company.update("c1", { name: "New" });
+      await expect(Company.update("c1", { name: "Newer" }, "u1", [1]))
+        .rejects.toThrow(PreconditionFailedError);
+      expect((await Company.get("c1")).name).toEqual("New");
+    });
+
   test("not found if no such company", async function () {
     try {
       await Company.update("nope", updateData);
@@ -278,11 +533,27 @@ describe("update", function () {
 /************************************** remove */
 
 describe("remove", function () {
-  test("works", async function () {
+  test("works: only marks company deleted", async function () {
     await Company.remove("c1");
     const res = await db.query(
-      "SELECT handle FROM companies WHERE handle='c1'");
-    expect(res.rows.length).toEqual(0);
+      "SELECT deleted_at FROM companies WHERE handle='c1'");
+    expect(res.rows).toEqual([{ deleted_at: expect.any(Date) }]);
+  });
+
+  test("works: hides company and its jobs", async function () {
+    await Company.remove("c1");
+    const companies = await Company.findAll({});
+    expect(companies.map(c => c.handle)).toEqual(["c2", "c3"]);
+    expect(await Company.count({})).toEqual(2);
+    expect(await Job.findAll({})).toEqual([]);
+    await expect(Company.get("c1")).rejects.toThrow(NotFoundError);
+    await expect(Company.update("c1", { name: "New" }))
+      .rejects.toThrow(NotFoundError);
+  });
+
+  test("not found if already deleted", async function () {
+    await Company.remove("c1");
+    await expect(Company.remove("c1")).rejects.toThrow(NotFoundError);
   });
 
   test("not found if no such company", async function () {
@@ -294,3 +565,43 @@ describe("remove", function () {
     }
   });
 });
+
+/************************************** restore */
+
+describe("restore", function () {
+  test("works, with the company's jobs", async function () {
+    await Company.remove("c1");
+    expect(await Company.restore("c1")).toEqual({
+      handle: "c1",
+      name: "C1",
+      description: "Desc1",
+      numEmployees: 1,
+      logoUrl: "http://c1.img",
+      version: 3,
+    });
+    expect((await Company.get("c1")).jobs.length).toEqual(4);
+  });
+
+  test("not found if not deleted", async function () {
+    await expect(Company.restore("c1")).rejects.toThrow(NotFoundError);
+  });
+});
+
+/************************************** purge */
+
+describe("purge", function () {
+  test("works", async function () {
+    await db.query(`
+      UPDATE companies
+      SET deleted_at = CURRENT_TIMESTAMP - INTERVAL '31 days'
+      WHERE handle = 'c1'`);
+    await Company.remove("c2");
+
+    expect(await Company.purge(30)).toEqual(["c1"]);
+    const res = await db.query(
+      "SELECT handle FROM companies ORDER BY handle");
+    expect(res.rows.map(r => r.handle)).toEqual(["c2", "c3"]);
+    const jobsRes = await db.query("SELECT id FROM jobs");
+    expect(jobsRes.rows).toEqual([]);
+  });
+});
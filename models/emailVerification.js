@@ -0,0 +1,119 @@
+"use strict";
+
+const db = require("../db");
+const { NotFoundError, BadRequestError } = require("../expressError");
+const { createOpaqueToken, hashToken } = require("../helpers/tokens");
+const { EMAIL_VERIFICATION_TTL } = require("../config");
+
+/** Related functions for verifying users' email addresses.
+ *
+ * Verification tokens are opaque random strings; only their hashes are
+ * stored, with the address they were sent to. Each one expires after
+ * EMAIL_VERIFICATION_TTL seconds, can be used once, and only verifies the
+ * user's email if it hasn't changed since.
+ */
+
+class EmailVerification {
+  /** Issue a verification token for the email of user `username`.
+   *
+   * Returns { username, email, token }
+   *
+   * Throws NotFoundError if user not found, BadRequestError if their email is
+   * already verified.
+   **/
+
+  static async issue(username) {
+    const userRes = await db.query(`
+        SELECT username,
+               email,
+               email_verified AS "emailVerified"
+        FROM users
+        WHERE username = $1
+          AND deleted_at IS NULL`, [username],
+    );
+    const user = userRes.rows[0];
+
+    if (!user) throw new NotFoundError(`No user: ${username}`);
+    if (user.emailVerified) {
+      throw new BadRequestError(`Email already verified: ${username}`);
+    }
+
+    const token = createOpaqueToken();
+    await db.query(`
+        INSERT INTO email_verification_tokens
+            (token_hash, username, email, expires_at)
+        VALUES ($1, $2, $3, CURRENT_TIMESTAMP + make_interval(secs => $4))`,
+        [hashToken(token), username, user.email, EMAIL_VERIFICATION_TTL],
+    );
+
+    return { username, email: user.email, token };
+  }
+
+  /** Use verification token `token` to mark its user's email verified.
+   *
+   * Returns { username }
+   *
+   * Throws BadRequestError if the token is unknown, expired, already used or
+   * was sent to an email the user no longer has.
+   **/
+
+  static async verify(token) {
+    const result = await db.query(`
+        UPDATE email_verification_tokens
+        SET used_at = CURRENT_TIMESTAMP
+        WHERE token_hash = $1
+          AND used_at IS NULL
+          AND expires_at > CURRENT_TIMESTAMP
+        RETURNING username, email`, [hashToken(token)],
+    );
+    const verification = result.rows[0];
+
+    if (!verification) {
+      throw new BadRequestError("Invalid or expired verification token");
+    }
+
+    const { username, email } = verification;
+    const userRes = await db.query(`
+        UPDATE users
+        SET email_verified = TRUE,
+            version = version + 1
+        WHERE username = $1
+          AND email = $2
+          AND deleted_at IS NULL
+        RETURNING username`, [username, email],
+    );
+
+    if (!userRes.rows[0]) {
+      throw new BadRequestError("Invalid or expired verification token");
+    }
+
+    await db.query(`
+        DELETE
+        FROM email_verification_tokens
+        WHERE username = $1`, [username],
+    );
+
+    return { username };
+  }
+
+  /** Returns whether user `username` has verified their email.
+   *
+   * Throws NotFoundError if user not found.
+   **/
+
+  static async isVerified(username) {
+    const result = await db.query(`
+        SELECT email_verified AS "emailVerified"
+        FROM users
+        WHERE username = $1`, [username],
+    );
+    const user = result.rows[0];
+
+    if (!user) throw new NotFoundError(`No user: ${username}`);
+
+    return user.emailVerified;
+  }
+}
+
+
+module.exports = EmailVerification;
@@ -0,0 +1,120 @@
+"use strict";
+
+const { NotFoundError, BadRequestError } = require("../expressError");
+const db = require("../db.js");
+const EmailVerification = require("./emailVerification.js");
+const User = require("./user.js");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/************************************** issue */
+
+describe("issue", function () {
+  test("works", async function () {
+    const verification = await EmailVerification.issue("u1");
+    expect(verification).toEqual({
+      username: "u1",
+      email: "u1@email.com",
+      token: expect.any(String),
+    });
+
+    const res = await db.query(`
+        SELECT username, email
+        FROM email_verification_tokens`);
+    expect(res.rows).toEqual([{ username: "u1", email: "u1@email.com" }]);
+  });
+
+  test("bad request if already verified", async function () {
+    await db.query(
+        "UPDATE users SET email_verified = TRUE WHERE username = 'u1'");
+    try {
+      await EmailVerification.issue("u1");
+      throw new Error("fail test, you shouldn't get here");
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+
+  test("not found if no such user", async function () {
+    try {
+      await EmailVerification.issue("nope");
+      throw new Error("fail test, you shouldn't get here");
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** verify */
+
+describe("verify", function () {
+  test("works", async function () {
+    const { token } = await EmailVerification.issue("u1");
+    await EmailVerification.issue("u1");
+
+    expect(await EmailVerification.verify(token)).toEqual({ username: "u1" });
+    expect(await EmailVerification.isVerified("u1")).toEqual(true);
+    expect(await EmailVerification.isVerified("u2")).toEqual(false);
+
+    const res = await db.query("SELECT * FROM email_verification_tokens");
+    expect(res.rows.length).toEqual(0);
+  });
+
+  test("bad request if used twice", async function () {
+    const { token } = await EmailVerification.issue("u1");
+    await EmailVerification.verify(token);
+    try {
+      await EmailVerification.verify(token);
+      throw new Error("fail test, you shouldn't get here");
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+
+  test("bad request if expired", async function () {
+    const { token } = await EmailVerification.issue("u1");
+    await db.query(`
+        UPDATE email_verification_tokens
+        SET expires_at = CURRENT_TIMESTAMP - INTERVAL '1 second'`);
+    try {
+      await EmailVerification.verify(token);
+      throw new Error("fail test, you shouldn't get here");
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+
+  test("bad request if email changed since", async function () {
+    const { token } = await EmailVerification.issue("u1");
+    await User.update("u1", { email: "new@email.com" });
+    try {
+      await EmailVerification.verify(token);
+      throw new Error("fail test, you shouldn't get here");
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+    expect(await EmailVerification.isVerified("u1")).toEqual(false);
+  });
+});
+
+/************************************** isVerified */
+
+describe("isVerified", function () {
+  test("not found if no such user", async function () {
+    try {
+      await EmailVerification.isVerified("nope");
+      throw new Error("fail test, you shouldn't get here");
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
@@ -1,23 +1,106 @@
 "use strict";
 
 const db = require("../db");
-const { BadRequestError, NotFoundError } = require("../expressError");
-const { sqlForPartialUpdate } = require("../helpers/sql");
+const {
+  BadRequestError,
+  NotFoundError,
+  PreconditionFailedError,
+} = require("../expressError");
+const {
+  sqlForPartialUpdate,
+  sqlForPagination,
+  sqlForSort,
+} = require("../helpers/sql");
+const { sqlForJobFilters } = require("../helpers/filters");
+const { DELETED_RETENTION_DAYS } = require("../config");
+
+/** SQL building a nested { handle, name, description, numEmployees, logoUrl }
+ * object for a job's company; expects companies to be joined as "c". */
+
+const COMPANY_JSON_SQL = `json_build_object(
+                'handle', c.handle,
+                'name', c.name,
+                'description', c.description,
+                'numEmployees', c.num_employees,
+                'logoUrl', c.logo_url)`;
+
+/** Job fields, as recorded in changedFields of a new job's version. */
+
+const FIELDS = ["title", "salary", "equity", "companyHandle"];
+
+/** Wraps `changeSql`, a statement on jobs ending in RETURNING *, so it also
+ * records the changed job as its version, changed by $`byIdx` in fields
+ * $`byIdx + 1`. Statements changing a job must bump its version.
+ *
+ * The statement returns { id, title, salary, equity, companyHandle, version }
+ */
+
+function withVersionSql(changeSql, byIdx) {
+  return `
+      WITH changed AS (${changeSql})
+      INSERT INTO job_versions (job_id,
+                                version,
+                                title,
+                                salary,
+                                equity,
+                                company_handle,
+                                deleted_at,
+                                changed_by,
+                                changed_fields)
+      SELECT id,
+             version,
+             title,
+             salary,
+             equity,
+             company_handle,
+             deleted_at,
+             $${byIdx},
+             $${byIdx + 1}
+      FROM changed
+      RETURNING
+          job_id AS id,
+          title,
+          salary,
+          equity,
+          company_handle AS "companyHandle",
+          version`;
+}
 
-/** Related functions for companies. */
+/** Fields jobs can be sorted on, mapped to their sql columns. */
+
+const SORTABLE = {
+  title: "j.title",
+  salary: "j.salary",
+  equity: "j.equity",
+};
+
+/** Related functions for jobs.
+ *
+ * Deleting a job only marks it deleted; a job is also hidden while its
+ * company is deleted.
+ *
+ * Every change bumps the job's version, and is kept in its history with who
+ * made it (changedBy: a username, or api_key:<id>) and which fields it
+ * changed.
+ *
+ * Functions that look up or change a job take a last argument `client` to
+ * query with: db (the default), or one from db.transaction.
+ */
 
 class Job {
 
-  /** Create a company (from data), update db, return new company data.
+  /** Create a job (from data), update db, return new job data.
    *
-   * data should be { handle, name, description, numEmployees, logoUrl }
+   * data should be { title, salary, equity, companyHandle }
+   * changedBy is who created it.
    *
-   * Returns { handle, name, description, numEmployees, logoUrl }
+   * Returns { id, title, salary, equity, companyHandle, version }
    *
-   * Throws BadRequestError if company already in database.
+   * Throws NotFoundError if the company doesn't exist.
    * */
 
-  static async create({ title, salary, equity, companyHandle }) {
+  static async create(
+    { title, salary, equity, companyHandle }, changedBy = null, client = db) {
     // const duplicateCheck = await db.query(`
     //     SELECT id
     //     FROM jobs
@@ -28,103 +111,176 @@ class Job {
 
     // TODO: Ask if the above code is needed/how to deal with SERIAL PK
 
-    const companyRes = await db.query(`
+    const companyRes = await client.query(`
       SELECT handle
         FROM companies
         WHERE handle = $1
+          AND deleted_at IS NULL
     `, [companyHandle]);
 
     if (!companyRes.rows[0]) throw new NotFoundError();
 
 
-    const result = await db.query(`
+    const result = await client.query(withVersionSql(`
       INSERT INTO jobs (title,
                         salary,
                         equity,
                         company_handle)
       VALUES ($1, $2, $3, $4)
-      RETURNING
-          id,
-          title,
-          salary,
-          equity,
-          company_handle AS "companyHandle"`, [
+      RETURNING *`, 5), [
       title,
       salary,
       equity,
       companyHandle,
+      changedBy,
+      FIELDS,
     ]);
     const job = result.rows[0];
 
     return job;
   }
 
+  /** Given rows of jobs to create, each like create's data, find what would
+   * stop them being created by createMany: companies that don't exist (or
+   * are deleted).
+   *
+   * Returns a list of messages for each row (empty if it's fine).
+   **/
+
+  static async checkNew(rows) {
+    const handles = rows.map(row => row?.companyHandle);
+
+    const companiesRes = await db.query(`
+        SELECT handle
+        FROM companies
+        WHERE handle = ANY($1)
+          AND deleted_at IS NULL`, [handles]);
+    const found = new Set(companiesRes.rows.map(c => c.handle));
+
+    return handles.map(handle =>
+      handle === undefined || found.has(handle)
+        ? []
+        : [`No company: ${handle}`]);
+  }
+
+  /** Create jobs from `rows` (each like create's data, and checked with
+   * checkNew), by `changedBy`, querying with `client` (db, or one from
+   * db.transaction).
+   *
+   * This is a single statement, so either all the jobs are created or, on any
+   * error, none are.
+   *
+   * Returns [{ id, title, salary, equity, companyHandle, version }, ...]
+   *   in the order of the rows
+   **/
+
+  static async createMany(rows, changedBy = null, client = db) {
+    const result = await client.query(withVersionSql(`
+      INSERT INTO jobs (title,
+                        salary,
+                        equity,
+                        company_handle)
+      SELECT title, salary, equity, "companyHandle"
+      FROM ROWS FROM (jsonb_to_recordset($1) AS (title TEXT,
+                                                 salary INTEGER,
+                                                 equity NUMERIC,
+                                                 "companyHandle" TEXT))
+             WITH ORDINALITY AS r(title, salary, equity, "companyHandle", n)
+      ORDER BY n
+      RETURNING *`, 2), [JSON.stringify(rows), changedBy, FIELDS]);
+
+    return result.rows.sort((a, b) => a.id - b.id);
+  }
+
   /** Takes a req.query object with search query parameters,
-  * { name, minEmployees, maxEmployees }
+  * { title, minSalary, maxSalary, hasEquity, minEquity, maxEquity,
+  *   companyHandle, name, minEmployees, maxEmployees,
+  *   expand, sort, limit, offset }
   *
   * Returns rows from database according to search criteria
-  * [{ handle, name, description, numEmployees, logoUrl }, ...]
+  * [{ id, title, salary, equity, companyHandle }, ...]
   *
-  * Returns all companies if no query is entered.
+  * If expand is "company", each job also includes
+  * company: { handle, name, description, numEmployees, logoUrl }
   *
-  * Throws an error if minEmployees is greater than max employees
+  * companyHandle can be a single handle or an array of handles. name,
+  * minEmployees and maxEmployees filter on the job's company, as they do
+  * for Company.findAll.
+  *
+  * Returns all jobs if no query is entered. sort is a list of fields like
+  * "-salary,title" (default is by id). limit and offset page through the
+  * results.
+  *
+  * Throws BadRequestError if minSalary > maxSalary, minEquity > maxEquity
+  * or minEmployees > maxEmployees
   */
 
-  static async findAll(queries) {
-
-    const clauseStatements = [];
-    const values = [];
-
-    if ("title" in queries) {
-      clauseStatements.push(`title ILIKE '%' || $${values.length + 1} || '%'`);
-      values.push(queries.title);
-    };
+  static async findAll(queries, client = db) {
+    const { whereClause, values } = sqlForJobFilters(queries);
+    const orderClause = sqlForSort(queries.sort, SORTABLE, "j.id");
+    const { pageClause, values: pageValues } =
+      sqlForPagination(queries, values.length);
+
+    const companyColumn = queries.expand === "company" ?
+      `,\n            ${COMPANY_JSON_SQL} AS company` : '';
+
+    const jobsRes = await client.query(`
+      SELECT j.id,
+            j.title,
+            j.salary,
+            j.equity,
+            j.company_handle AS "companyHandle"${companyColumn}
+        FROM jobs AS j
+          JOIN companies AS c ON c.handle = j.company_handle
+        ${whereClause}
+        ${orderClause}
+        ${pageClause}
+    `, [...values, ...pageValues]);
 
-    if ("minSalary" in queries) {
-      clauseStatements.push(`salary >= $${values.length + 1}`);
-      values.push(queries.minSalary);
-    };
+    return jobsRes.rows;
+  }
 
-    if ("hasEquity" in queries && queries.hasEquity === true) {
-      clauseStatements.push(`equity > $${values.length + 1}`);
-      values.push(0);
-    };
+  /** Takes the same search query parameters as findAll.
+   *
+   * Returns the number of jobs matching them, ignoring limit and offset.
+   */
 
-    const whereClause = clauseStatements.length > 0 ?
-      'WHERE ' + clauseStatements.join(' AND ') : '';
+  static async count(queries) {
+    const { whereClause, values } = sqlForJobFilters(queries);
 
-    const jobsRes = await db.query(`
-      SELECT id,
-            title,
-            salary,
-            equity,
-            company_handle AS "companyHandle"
-        FROM jobs
+    const countRes = await db.query(`
+      SELECT COUNT(*)::integer AS "total"
+        FROM jobs AS j
+          JOIN companies AS c ON c.handle = j.company_handle
         ${whereClause}
-        ORDER BY id
     `, values);
 
-    return jobsRes.rows;
+    return countRes.rows[0].total;
   }
 
 
-  /** Given a company handle, return data about company.
+  /** Given a job id, return data about job.
    *
-   * Returns { handle, name, description, numEmployees, logoUrl, jobs }
-   *   where jobs is [{ id, title, salary, equity, companyHandle }, ...]
+   * Returns { id, title, salary, equity, companyHandle, company }
+   *   where company is { handle, name, description, numEmployees, logoUrl }
    *
    * Throws NotFoundError if not found.
    **/
 
-  static async get(id) {
-    const jobRes = await db.query(`
-        SELECT id,
-               title,
-               salary,
-               equity,
-               company_handle AS "companyHandle"
-        FROM jobs
-        WHERE id = $1`, [id]);
+  static async get(id, client = db) {
+    const jobRes = await client.query(`
+        SELECT j.id,
+               j.title,
+               j.salary,
+               j.equity,
+               j.company_handle AS "companyHandle",
+               j.version,
+               ${COMPANY_JSON_SQL} AS company
+        FROM jobs AS j
+          JOIN companies AS c ON c.handle = j.company_handle
+        WHERE j.id = $1
+          AND j.deleted_at IS NULL
+          AND c.deleted_at IS NULL`, [id]);
 
     const job = jobRes.rows[0];
 
@@ -133,59 +289,208 @@ class Job {
     return job;
   }
 
-  /** Update company data with `data`.
+  /** Given a job id and a date ("YYYY-MM-DD"), return the job as it was at
+   * the end of that day.
+   *
+   * Returns { id, title, salary, equity, companyHandle, version, changedAt,
+   *           company }
+   *   where company is { handle, name, description, numEmployees, logoUrl }
+   *   as it was then, or null if its history doesn't go back that far.
+   *
+   * Throws NotFoundError if the job didn't exist (or was deleted, itself or
+   * through its company) then.
+   **/
+
+  static async getAsOf(id, asOf) {
+    const jobRes = await db.query(`
+        SELECT j.job_id         AS id,
+               j.title,
+               j.salary,
+               j.equity,
+               j.company_handle AS "companyHandle",
+               j.version,
+               j.changed_at     AS "changedAt",
+               j.deleted_at IS NOT NULL
+                 OR c.deleted_at IS NOT NULL AS "isDeleted",
+               CASE WHEN c.handle IS NOT NULL
+                    THEN ${COMPANY_JSON_SQL}
+                    END AS company
+        FROM (SELECT *
+              FROM job_versions
+              WHERE job_id = $1
+                AND changed_at < $2::date + 1
+              ORDER BY version DESC
+              LIMIT 1) AS j
+          LEFT JOIN LATERAL (SELECT *
+                             FROM company_versions AS cv
+                             WHERE cv.handle = j.company_handle
+                               AND cv.changed_at < $2::date + 1
+                             ORDER BY cv.version DESC
+                             LIMIT 1) AS c ON TRUE`, [id, asOf]);
+
+    const job = jobRes.rows[0];
+
+    if (!job || job.isDeleted) {
+      throw new NotFoundError(`No job: ${id} as of ${asOf}`);
+    }
+    delete job.isDeleted;
+
+    return job;
+  }
+
+  /** Given a job id, return every version of the job (deleted ones
+   * included).
+   *
+   * Returns [{ version, title, salary, equity, companyHandle, deletedAt,
+   *            changedBy, changedAt, changedFields }, ...]
+   *   oldest first
+   *
+   * Throws NotFoundError if not found.
+   **/
+
+  static async history(id) {
+    const jobRes = await db.query(`
+        SELECT id
+        FROM jobs
+        WHERE id = $1`, [id]);
+
+    if (!jobRes.rows[0]) throw new NotFoundError(`No job: ${id}`);
+
+    const result = await db.query(`
+        SELECT version,
+               title,
+               salary,
+               equity,
+               company_handle AS "companyHandle",
+               deleted_at     AS "deletedAt",
+               changed_by     AS "changedBy",
+               changed_at     AS "changedAt",
+               changed_fields AS "changedFields"
+        FROM job_versions
+        WHERE job_id = $1
+        ORDER BY version`, [id]);
+
+    return result.rows;
+  }
+
+  /** Update job data with `data`.
    *
    * This is a "partial update" --- it's fine if data doesn't contain all the
    * fields; this only changes provided ones.
    *
-   * Data can include: {name, description, numEmployees, logoUrl}
+   * Data can include: {title, salary, equity}
+   * changedBy is who made the change. If `versions` (a list) is given, the job
+   * is only changed if it's still at one of them.
    *
-   * Returns {handle, name, description, numEmployees, logoUrl}
+   * Returns {id, title, salary, equity, companyHandle, version}
    *
-   * Throws NotFoundError if not found.
+   * Throws NotFoundError if not found, PreconditionFailedError if it's not at
+   * any of `versions`.
    */
 
-  static async update(id, data) {
+  static async update(
+    id, data, changedBy = null, versions = null, client = db) {
     const { setCols, values } = sqlForPartialUpdate(
       data,
       {
         companyHandle: "company_handle",
       });
     const handleVarIdx = "$" + (values.length + 1);
+    const versionVarIdx = "$" + (values.length + 2);
 
-    const querySql = `
+    const querySql = withVersionSql(`
         UPDATE jobs
-        SET ${setCols}
+        SET ${setCols}, version = version + 1
         WHERE id = ${handleVarIdx}
-        RETURNING
-            id,
-            title,
-            salary,
-            equity,
-            company_handle AS "companyHandle"`;
-    const result = await db.query(querySql, [...values, id]);
+          AND deleted_at IS NULL
+          AND company_handle IN (SELECT handle
+                                 FROM companies
+                                 WHERE deleted_at IS NULL)
+          AND (${versionVarIdx}::integer[] IS NULL
+               OR version = ANY (${versionVarIdx}))
+        RETURNING *`, values.length + 3);
+    const result = await client.query(
+      querySql, [...values, id, versions, changedBy, Object.keys(data)]);
     const job = result.rows[0];
 
-    if (!job) throw new NotFoundError(`No job: ${id}`);
+    if (!job) {
+      await Job.get(id, client);
+      throw new PreconditionFailedError(
+        `Job ${id} is not at an expected version`);
+    }
 
     return job;
   }
 
-  /** Delete given company from database; returns undefined.
+  /** Mark given job deleted, by `changedBy`; returns undefined.
    *
-   * Throws NotFoundError if company not found.
+   * Throws NotFoundError if job not found (or already deleted, itself or
+   * through its company).
    **/
 
-  static async remove(id) {
-    const result = await db.query(`
-        DELETE
-        FROM jobs
+  static async remove(id, changedBy = null, client = db) {
+    const result = await client.query(withVersionSql(`
+        UPDATE jobs
+        SET deleted_at = CURRENT_TIMESTAMP,
+            version = version + 1
         WHERE id = $1
-        RETURNING id`, [id]);
+          AND deleted_at IS NULL
+          AND company_handle IN (SELECT handle
+                                 FROM companies
+                                 WHERE deleted_at IS NULL)
+        RETURNING *`, 2), [id, changedBy, ["deletedAt"]]);
     const job = result.rows[0];
 
     if (!job) throw new NotFoundError(`No job: ${id}`);
   }
+
+  /** Undo the deletion of given job, by `changedBy`.
+   *
+   * Returns { id, title, salary, equity, companyHandle, version }
+   *
+   * Throws NotFoundError if there's no deleted job with that id, and
+   * BadRequestError if its company is deleted (restore that instead).
+   **/
+
+  static async restore(id, changedBy = null, client = db) {
+    const jobRes = await client.query(`
+        SELECT c.deleted_at IS NOT NULL AS "companyDeleted"
+        FROM jobs AS j
+          JOIN companies AS c ON c.handle = j.company_handle
+        WHERE j.id = $1
+          AND j.deleted_at IS NOT NULL`, [id]);
+    const deleted = jobRes.rows[0];
+
+    if (!deleted) throw new NotFoundError(`No deleted job: ${id}`);
+    if (deleted.companyDeleted) {
+      throw new BadRequestError(`Company of job is deleted: ${id}`);
+    }
+
+    const result = await client.query(withVersionSql(`
+        UPDATE jobs
+        SET deleted_at = NULL,
+            version = version + 1
+        WHERE id = $1
+        RETURNING *`, 2), [id, changedBy, ["deletedAt"]]);
+
+    return result.rows[0];
+  }
+
+  /** Remove jobs deleted more than `retentionDays` days ago from the
+   * database, with their applications.
+   *
+   * Returns [id, ...] of the removed jobs.
+   **/
+
+  static async purge(retentionDays = DELETED_RETENTION_DAYS) {
+    const result = await db.query(`
+        DELETE
+        FROM jobs
+        WHERE deleted_at < CURRENT_TIMESTAMP - make_interval(days => $1)
+        RETURNING id`, [retentionDays]);
+
+    return result.rows.map(r => r.id);
+  }
 }
 
 
@@ -0,0 +1,468 @@
+"use strict";
+
+const db = require("../db.js");
+const {
+  BadRequestError,
+  NotFoundError,
+  PreconditionFailedError,
+} = require("../expressError");
+const Job = require("./job.js");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+  testJobIds,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/************************************** checkNew */
+
+describe("checkNew", function () {
+  test("works", async function () {
+    await db.query(
+      "UPDATE companies SET deleted_at = CURRENT_TIMESTAMP WHERE handle = 'c3'");
+    expect(await Job.checkNew([
+      { title: "J", companyHandle: "c2" },
+      { title: "J", companyHandle: "nope" },
+      { title: "J", companyHandle: "c3" },
+    ])).toEqual([[], ["No company: nope"], ["No company: c3"]]);
+  });
+});
+
+/************************************** createMany */
+
+describe("createMany", function () {
+  test("works", async function () {
+    const jobs = await Job.createMany([
+      { title: "B", salary: 1, equity: 0, companyHandle: "c2" },
+      { title: "A", salary: 2, equity: 0.5, companyHandle: "c3" },
+    ], "u1");
+    expect(jobs).toEqual([
+      { id: expect.any(Number), title: "B", salary: 1, equity: "0",
+        companyHandle: "c2", version: 1 },
+      { id: expect.any(Number), title: "A", salary: 2, equity: "0.5",
+        companyHandle: "c3", version: 1 },
+    ]);
+    expect(jobs[0].id).toBeLessThan(jobs[1].id);
+    expect((await Job.history(jobs[0].id))[0].changedBy).toEqual("u1");
+  });
+
+  test("fails on any row's database error", async function () {
+    await expect(Job.createMany([
+      { title: "New", salary: 1, equity: 0, companyHandle: "c2" },
+      { title: "Bad", salary: 1, equity: 2, companyHandle: "c2" },
+    ])).rejects.toThrow();
+  });
+});
+
+/************************************** findAll */
+
+describe("findAll", function () {
+
+  test("works: no filter", async function () {
+
+    let jobs = await Job.findAll({});
+
+    expect(jobs).toEqual([
+      {
+        id: testJobIds[0],
+        title: "Job1",
+        salary: 100,
+        equity: "0.1",
+        companyHandle: "c1",
+      },
+      {
+        id: testJobIds[1],
+        title: "Job2",
+        salary: 200,
+        equity: "0.2",
+        companyHandle: "c1",
+      },
+      {
+        id: testJobIds[2],
+        title: "Job3",
+        salary: 300,
+        equity: "0",
+        companyHandle: "c1",
+      },
+      {
+        id: testJobIds[3],
+        title: "Job4",
+        salary: null,
+        equity: null,
+        companyHandle: "c1",
+      },
+    ]);
+  });
+
+  test("works with all filters", async function () {
+
+    let jobs = await Job.findAll({
+      title: "job",
+      minSalary: 150,
+      hasEquity: true,
+    });
+
+    expect(jobs).toEqual([
+      {
+        id: testJobIds[1],
+        title: "Job2",
+        salary: 200,
+        equity: "0.2",
+        companyHandle: "c1",
+      },
+    ]);
+  });
+
+  test("works with salary and equity ranges", async function () {
+
+    let jobs = await Job.findAll({
+      minSalary: 100,
+      maxSalary: 250,
+      minEquity: 0.15,
+      maxEquity: 0.5,
+    });
+
+    expect(jobs.map(j => j.id)).toEqual([testJobIds[1]]);
+  });
+
+  test("works with multiple companyHandles", async function () {
+    const c2Job = await Job.create(
+      { title: "C2Job", salary: 1, equity: 0, companyHandle: "c2" });
+
+    let jobs = await Job.findAll({ companyHandle: ["c2", "c3"] });
+    expect(jobs.map(j => j.id)).toEqual([c2Job.id]);
+
+    jobs = await Job.findAll({ companyHandle: "c2" });
+    expect(jobs.map(j => j.id)).toEqual([c2Job.id]);
+  });
+
+  test("works with company filters", async function () {
+    const c3Job = await Job.create(
+      { title: "C3Job", salary: 1, equity: 0, companyHandle: "c3" });
+
+    let jobs = await Job.findAll({ minEmployees: 2, maxEmployees: 5 });
+    expect(jobs.map(j => j.id)).toEqual([c3Job.id]);
+
+    jobs = await Job.findAll({ name: "c1", title: "job1" });
+    expect(jobs.map(j => j.id)).toEqual([testJobIds[0]]);
+
+    expect(await Job.count({ name: "c3" })).toEqual(1);
+  });
+
+  test("fails when minEmployees > maxEmployees", async function () {
+    try {
+      await Job.findAll({ minEmployees: 3, maxEmployees: 1 });
+      throw new Error("fail test, you shouldn't get here");
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+
+  test("fails when minSalary > maxSalary", async function () {
+    try {
+      await Job.findAll({ minSalary: 300, maxSalary: 100 });
+      throw new Error("fail test, you shouldn't get here");
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+
+  test("fails when minEquity > maxEquity", async function () {
+    try {
+      await Job.findAll({ minEquity: 0.5, maxEquity: 0.1 });
+      throw new Error("fail test, you shouldn't get here");
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+
+  test("works with limit and offset", async function () {
+
+    let jobs = await Job.findAll({ limit: 2, offset: 1 });
+
+    expect(jobs.map(j => j.id)).toEqual(testJobIds.slice(1, 3));
+  });
+
+  test("works with sort", async function () {
+
+    let jobs = await Job.findAll({ sort: "-salary,title" });
+
+    expect(jobs.map(j => j.title)).toEqual(["Job3", "Job2", "Job1", "Job4"]);
+  });
+
+  test("works: expand company", async function () {
+
+    let jobs = await Job.findAll({ title: "job1", expand: "company" });
+
+    expect(jobs).toEqual([
+      {
+        id: testJobIds[0],
+        title: "Job1",
+        salary: 100,
+        equity: "0.1",
+        companyHandle: "c1",
+        company: {
+          handle: "c1",
+          name: "C1",
+          description: "Desc1",
+          numEmployees: 1,
+          logoUrl: "http://c1.img",
+        },
+      },
+    ]);
+  });
+});
+
+/************************************** count */
+
+describe("count", function () {
+  test("works", async function () {
+    expect(await Job.count({})).toEqual(4);
+    expect(await Job.count({ hasEquity: true, limit: 1 })).toEqual(2);
+  });
+});
+
+/************************************** get */
+
+describe("get", function () {
+  test("works", async function () {
+    let job = await Job.get(testJobIds[0]);
+    expect(job).toEqual({
+      id: testJobIds[0],
+      title: "Job1",
+      salary: 100,
+      equity: "0.1",
+      companyHandle: "c1",
+      version: 1,
+      company: {
+        handle: "c1",
+        name: "C1",
+        description: "Desc1",
+        numEmployees: 1,
+        logoUrl: "http://c1.img",
+      },
+    });
+  });
+
+  test("not found if no such job", async function () {
+    try {
+      await Job.get(0);
+      throw new Error("fail test, you shouldn't get here");
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** update */
+
+describe("update", function () {
+  test("works", async function () {
+    expect(await Job.update(testJobIds[0], { title: "New", salary: 1 }))
+      .toEqual({
+        id: testJobIds[0],
+        title: "New",
+        salary: 1,
+        equity: "0.1",
+        companyHandle: "c1",
+        version: 2,
+      });
+  });
+
+  test("works: at the given version", async function () {
+    const job = await Job.update(testJobIds[0], { title: "New" }, "u1", [1]);
+    expect(job.version).toEqual(2);
+  });
+
+  test("precondition failed if no longer at the given version",
+    async function () {
+      await Job.update(testJobIds[0], { title: "New" });
+      await expect(Job.update(testJobIds[0], { title: "Newer" }, "u1", [1]))
+        .rejects.toThrow(PreconditionFailedError);
+      expect((await Job.get(testJobIds[0])).title).toEqual("New");
+    });
+
+  test("not found if no such job", async function () {
+    await expect(Job.update(0, { title: "New" }, "u1", [1]))
+      .rejects.toThrow(NotFoundError);
+  });
+});
+
+/************************************** history */
+
+describe("history", function () {
+  test("works: records each change", async function () {
+    const { id } = await Job.create(
+      { title: "New", salary: 1, equity: 0, companyHandle: "c1" }, "u1");
+    await Job.update(id, { title: "Newer", salary: 2 }, "u2");
+    await Job.remove(id, "api_key:1");
+
+    expect(await Job.history(id)).toEqual([
+      {
+        version: 1,
+        title: "New",
+        salary: 1,
+        equity: "0",
+        companyHandle: "c1",
+        deletedAt: null,
+        changedBy: "u1",
+        changedAt: expect.any(Date),
+        changedFields: ["title", "salary", "equity", "companyHandle"],
+      },
+      {
+        version: 2,
+        title: "Newer",
+        salary: 2,
+        equity: "0",
+        companyHandle: "c1",
+        deletedAt: null,
+        changedBy: "u2",
+        changedAt: expect.any(Date),
+        changedFields: ["title", "salary"],
+      },
+      {
+        version: 3,
+        title: "Newer",
+        salary: 2,
+        equity: "0",
+        companyHandle: "c1",
+        deletedAt: expect.any(Date),
+        changedBy: "api_key:1",
+        changedAt: expect.any(Date),
+        changedFields: ["deletedAt"],
+      },
+    ]);
+  });
+
+  test("not found if no such job", async function () {
+    await expect(Job.history(0)).rejects.toThrow(NotFoundError);
+  });
+});
+
+/************************************** getAsOf */
+
+describe("getAsOf", function () {
+  let id;
+
+  beforeEach(async function () {
+    await db.query(`
+        INSERT INTO company_versions (handle, version, name, description,
+                                      num_employees, logo_url, changed_at,
+                                      changed_fields)
+        VALUES ('c1', 1, 'C1', 'Desc1', 1, 'http://c1.img', '2020-01-01',
+                '{}')`);
+    ({ id } = await Job.create(
+      { title: "New", salary: 1, equity: 0, companyHandle: "c1" }));
+    await db.query(
+      "UPDATE job_versions SET changed_at = '2020-01-01 12:00' WHERE job_id = $1",
+      [id]);
+    await Job.update(id, { title: "Newer" });
+  });
+
+  test("works: as it was that day", async function () {
+    expect(await Job.getAsOf(id, "2020-01-01")).toEqual({
+      id,
+      title: "New",
+      salary: 1,
+      equity: "0",
+      companyHandle: "c1",
+      version: 1,
+      changedAt: new Date("2020-01-01T12:00"),
+      company: {
+        handle: "c1",
+        name: "C1",
+        description: "Desc1",
+        numEmployees: 1,
+        logoUrl: "http://c1.img",
+      },
+    });
+  });
+
+  test("works: latest version", async function () {
+    const job = await Job.getAsOf(id, "2100-01-01");
+    expect(job.title).toEqual("Newer");
+    expect(job.version).toEqual(2);
+  });
+
+  test("not found before it existed", async function () {
+    await expect(Job.getAsOf(id, "2019-12-31"))
+      .rejects.toThrow(NotFoundError);
+  });
+
+  test("not found while its company was deleted", async function () {
+    await db.query(`
+        INSERT INTO company_versions (handle, version, name, description,
+                                      deleted_at, changed_at, changed_fields)
+        VALUES ('c1', 2, 'C1', 'Desc1', '2020-01-01 18:00',
+                '2020-01-01 18:00', '{deletedAt}')`);
+    await expect(Job.getAsOf(id, "2020-01-01"))
+      .rejects.toThrow(NotFoundError);
+  });
+});
+
+/************************************** remove */
+
+describe("remove", function () {
+  test("works: hides job", async function () {
+    await Job.remove(testJobIds[0]);
+    const jobs = await Job.findAll({});
+    expect(jobs.map(j => j.id)).toEqual(testJobIds.slice(1));
+    await expect(Job.get(testJobIds[0])).rejects.toThrow(NotFoundError);
+    await expect(Job.update(testJobIds[0], { title: "New" }))
+        .rejects.toThrow(NotFoundError);
+  });
+
+  test("not found if no such job", async function () {
+    await expect(Job.remove(0)).rejects.toThrow(NotFoundError);
+  });
+});
+
+/************************************** restore */
+
+describe("restore", function () {
+  test("works", async function () {
+    await Job.remove(testJobIds[0]);
+    expect(await Job.restore(testJobIds[0])).toEqual({
+      id: testJobIds[0],
+      title: "Job1",
+      salary: 100,
+      equity: "0.1",
+      companyHandle: "c1",
+      version: 3,
+    });
+    expect((await Job.get(testJobIds[0])).title).toEqual("Job1");
+  });
+
+  test("bad request if company is deleted", async function () {
+    await Job.remove(testJobIds[0]);
+    await db.query(
+        "UPDATE companies SET deleted_at = CURRENT_TIMESTAMP WHERE handle = 'c1'");
+    await expect(Job.restore(testJobIds[0])).rejects.toThrow(BadRequestError);
+  });
+
+  test("not found if not deleted", async function () {
+    await expect(Job.restore(testJobIds[0])).rejects.toThrow(NotFoundError);
+  });
+});
+
+/************************************** purge */
+
+describe("purge", function () {
+  test("works", async function () {
+    await db.query(`
+        UPDATE jobs
+        SET deleted_at = CURRENT_TIMESTAMP - INTERVAL '31 days'
+        WHERE id = $1`, [testJobIds[0]]);
+    await Job.remove(testJobIds[1]);
+
+    expect(await Job.purge(30)).toEqual([testJobIds[0]]);
+    const res = await db.query("SELECT id FROM jobs ORDER BY id");
+    expect(res.rows.map(r => r.id)).toEqual(testJobIds.slice(1));
+  });
+});
@@ -0,0 +1,215 @@
+"use strict";
+
+const db = require("../db");
+const {
+  NotFoundError,
+  UnauthorizedError,
+  LockedError,
+  TooManyRequestsError,
+} = require("../expressError");
+const {
+  LOGIN_FREE_ATTEMPTS,
+  LOGIN_FREE_ATTEMPTS_PER_IP,
+  LOGIN_BACKOFF_BASE,
+  LOGIN_BACKOFF_MAX,
+  LOGIN_LOCKOUT_AFTER,
+  LOGIN_LOCKOUT_TTL,
+} = require("../config.js");
+
+/** Failed logins allowed before backoff starts, by kind of key. */
+
+const FREE_ATTEMPTS = {
+  username: LOGIN_FREE_ATTEMPTS,
+  ip: LOGIN_FREE_ATTEMPTS_PER_IP,
+};
+
+/** Whole seconds from now until date, at least 1. */
+
+function secondsUntil(date) {
+  return Math.max(Math.ceil((date - Date.now()) / 1000), 1);
+}
+
+/** Count a failure at time `now` against key, and set when it may next be
+ * tried, querying with client.
+ **/
+
+async function recordFailureFor(kind, key, now = new Date(), client = db) {
+  const forgetBefore = new Date(now - LOGIN_LOCKOUT_TTL * 1000);
+
+  const result = await client.query(`
+      INSERT INTO login_failures (kind, key, failures, last_failed_at)
+      VALUES ($1, $2, 1, $3)
+      ON CONFLICT (kind, key) DO UPDATE
+          SET failures       = CASE
+                                   WHEN login_failures.last_failed_at < $4
+                                       THEN 1
+                                   ELSE login_failures.failures + 1
+              END,
+              last_failed_at = $3
+      RETURNING failures`, [kind, key, now, forgetBefore],
+  );
+  const { failures } = result.rows[0];
+
+  const overAllowance = failures - FREE_ATTEMPTS[kind];
+  const retryAt = overAllowance > 0
+      ? new Date(+now + 1000 * Math.min(
+          LOGIN_BACKOFF_BASE * 2 ** (overAllowance - 1), LOGIN_BACKOFF_MAX))
+      : null;
+  const lockedUntil = kind === "username" && failures >= LOGIN_LOCKOUT_AFTER
+      ? new Date(+now + LOGIN_LOCKOUT_TTL * 1000)
+      : null;
+
+  await client.query(`
+      UPDATE login_failures
+      SET retry_at     = $3,
+          locked_until = $4
+      WHERE kind = $1
+        AND key = $2`, [kind, key, retryAt, lockedUntil],
+  );
+}
+
+/** Uncount the failure recorded at time `now` against key.
+ *
+ * Its wait is lifted too, unless a later failure has been recorded since.
+ **/
+
+async function takeBackFailure(kind, key, now) {
+  await db.query(`
+      UPDATE login_failures
+      SET failures     = GREATEST(failures - 1, 0),
+          retry_at     = CASE
+                             WHEN last_failed_at = $3 THEN NULL
+                             ELSE retry_at
+              END,
+          locked_until = CASE
+                             WHEN last_failed_at = $3 THEN NULL
+                             ELSE locked_until
+              END
+      WHERE kind = $1
+        AND key = $2`, [kind, key, now],
+  );
+}
+
+/** Related functions for slowing down password guessing at login.
+ *
+ * Failed logins are counted per username and per IP address. Past a few
+ * free attempts, each failure makes the next login attempt wait twice as
+ * long; enough failures for a username lock that account for a while.
+ */
+
+class LoginThrottle {
+  /** Check whether username may try to log in from ip now.
+   *
+   * Throws LockedError if the account is locked, or TooManyRequestsError if
+   * the username or ip must wait before trying again.
+   *
+   * In a transaction on client, their rows stay locked until it ends.
+   **/
+
+  static async check(username, ip, client = db) {
+    const result = await client.query(`
+        SELECT retry_at     AS "retryAt",
+               locked_until AS "lockedUntil"
+        FROM login_failures
+        WHERE (kind = 'username' AND key = $1)
+           OR (kind = 'ip' AND key = $2)
+        FOR UPDATE`, [username, ip],
+    );
+
+    const now = new Date();
+    for (const { lockedUntil } of result.rows) {
+      if (lockedUntil && lockedUntil > now) {
+        throw new LockedError(
+            "Account locked after too many failed logins",
+            secondsUntil(lockedUntil));
+      }
+    }
+    for (const { retryAt } of result.rows) {
+      if (retryAt && retryAt > now) {
+        const wait = secondsUntil(retryAt);
+        throw new TooManyRequestsError(
+            `Too many failed logins; try again in ${wait} seconds`, wait);
+      }
+    }
+  }
+
+  /** Run async function `authenticate` (like User.authenticate) as a login
+   * attempt by username from ip, once check allows it.
+   *
+   * The attempt is counted as a failure before authenticate runs, in the
+   * same transaction as the check, so attempts made meanwhile are held back
+   * as if it had failed. If authenticate succeeds, the username's failures
+   * are forgotten and the ip's is taken back; if it throws something other
+   * than UnauthorizedError, the attempt is taken back for both.
+   *
+   * Returns what authenticate returns.
+   *
+   * Throws like check, or whatever authenticate throws.
+   **/
+
+  static async attempt(username, ip, authenticate) {
+    const now = new Date();
+    await db.transaction(async client => {
+      await LoginThrottle.check(username, ip, client);
+      await recordFailureFor("username", username, now, client);
+      await recordFailureFor("ip", ip, now, client);
+    });
+
+    let result;
+    try {
+      result = await authenticate();
+    } catch (err) {
+      if (!(err instanceof UnauthorizedError)) {
+        await takeBackFailure("username", username, now);
+        await takeBackFailure("ip", ip, now);
+      }
+      throw err;
+    }
+    await LoginThrottle.recordSuccess(username);
+    await takeBackFailure("ip", ip, now);
+
+    return result;
+  }
+
+  /** Record a failed login for username from ip; returns undefined. */
+
+  static async recordFailure(username, ip) {
+    await recordFailureFor("username", username);
+    await recordFailureFor("ip", ip);
+  }
+
+  /** Record a successful login for username, forgetting its failures;
+   * queries with `client`, and returns undefined.
+   **/
+
+  static async recordSuccess(username, client = db) {
+    await client.query(`
+        DELETE
+        FROM login_failures
+        WHERE kind = 'username'
+          AND key = $1`, [username],
+    );
+  }
+
+  /** Lift any lockout or backoff on user `username`, querying with `client`
+   * (db, or one from db.transaction); returns undefined.
+   *
+   * Throws NotFoundError if user not found.
+   **/
+
+  static async unlock(username, client = db) {
+    const result = await client.query(`
+        SELECT username
+        FROM users
+        WHERE username = $1
+          AND deleted_at IS NULL`, [username],
+    );
+
+    if (!result.rows[0]) throw new NotFoundError(`No user: ${username}`);
+
+    await LoginThrottle.recordSuccess(username, client);
+  }
+}
+
+
+module.exports = LoginThrottle;
@@ -0,0 +1,187 @@
+"use strict";
+
+const {
+  NotFoundError,
+  UnauthorizedError,
+  LockedError,
+  TooManyRequestsError,
+} = require("../expressError");
+const db = require("../db.js");
+const LoginThrottle = require("./loginThrottle.js");
+const {
+  LOGIN_FREE_ATTEMPTS,
+  LOGIN_FREE_ATTEMPTS_PER_IP,
+  LOGIN_LOCKOUT_AFTER,
+} = require("../config");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+async function failTimes(n, username = "u1", ip = "1.1.1.1") {
+  for (let i = 0; i < n; i++) {
+    await LoginThrottle.recordFailure(username, ip);
+  }
+}
+
+async function checkError(username, ip) {
+  try {
+    await LoginThrottle.check(username, ip);
+  } catch (err) {
+    return err;
+  }
+  return null;
+}
+
+/************************************** check / recordFailure */
+
+describe("check", function () {
+  test("works: no failures", async function () {
+    expect(await checkError("u1", "1.1.1.1")).toEqual(null);
+  });
+
+  test("works: free attempts", async function () {
+    await failTimes(LOGIN_FREE_ATTEMPTS);
+    expect(await checkError("u1", "1.1.1.1")).toEqual(null);
+  });
+
+  test("backs off username past free attempts", async function () {
+    await failTimes(LOGIN_FREE_ATTEMPTS + 1);
+    const err = await checkError("u1", "2.2.2.2");
+    expect(err instanceof TooManyRequestsError).toBeTruthy();
+    expect(err.retryAfter).toEqual(1);
+    expect(await checkError("u2", "2.2.2.2")).toEqual(null);
+  });
+
+  test("backoff doubles with each failure", async function () {
+    await failTimes(LOGIN_FREE_ATTEMPTS + 3);
+    const err = await checkError("u1", "2.2.2.2");
+    expect(err.retryAfter).toEqual(4);
+  });
+
+  test("backs off ip past its free attempts", async function () {
+    for (let i = 0; i <= LOGIN_FREE_ATTEMPTS_PER_IP; i++) {
+      await LoginThrottle.recordFailure(`user${i}`, "1.1.1.1");
+    }
+    const err = await checkError("u2", "1.1.1.1");
+    expect(err instanceof TooManyRequestsError).toBeTruthy();
+    expect(await checkError("u2", "2.2.2.2")).toEqual(null);
+  });
+
+  test("locks username after too many failures", async function () {
+    await failTimes(LOGIN_LOCKOUT_AFTER);
+    const err = await checkError("u1", "2.2.2.2");
+    expect(err instanceof LockedError).toBeTruthy();
+    expect(err.retryAfter).toBeGreaterThan(0);
+  });
+
+  test("forgets old failures", async function () {
+    await failTimes(LOGIN_FREE_ATTEMPTS);
+    await db.query(`
+        UPDATE login_failures
+        SET last_failed_at = last_failed_at - INTERVAL '1 day'`);
+    await failTimes(1);
+    expect(await checkError("u1", "1.1.1.1")).toEqual(null);
+  });
+});
+
+/************************************** attempt */
+
+describe("attempt", function () {
+  test("works: records success", async function () {
+    await failTimes(LOGIN_FREE_ATTEMPTS);
+    const result = await LoginThrottle.attempt(
+        "u1", "1.1.1.1", async () => "ok");
+    expect(result).toEqual("ok");
+    const res = await db.query(`
+        SELECT kind FROM login_failures WHERE key = 'u1'`);
+    expect(res.rows).toEqual([]);
+  });
+
+  test("records unauthorized as a failure", async function () {
+    await failTimes(LOGIN_FREE_ATTEMPTS);
+    await expect(LoginThrottle.attempt("u1", "1.1.1.1", async () => {
+      throw new UnauthorizedError();
+    })).rejects.toThrow(UnauthorizedError);
+    const err = await checkError("u1", "2.2.2.2");
+    expect(err instanceof TooManyRequestsError).toBeTruthy();
+  });
+
+  test("doesn't try while backing off", async function () {
+    await failTimes(LOGIN_FREE_ATTEMPTS + 1);
+    const authenticate = jest.fn();
+    await expect(LoginThrottle.attempt("u1", "1.1.1.1", authenticate))
+        .rejects.toThrow(TooManyRequestsError);
+    expect(authenticate).not.toHaveBeenCalled();
+  });
+
+  test("holds back attempts made while others are tried", async function () {
+    let tries = 0;
+    const results = await Promise.allSettled(
+        Array.from({ length: 30 }, () => LoginThrottle.attempt(
+            "u1", "1.1.1.1", async () => {
+              tries++;
+              await new Promise(resolve => setTimeout(resolve, 10));
+              throw new UnauthorizedError();
+            })));
+
+    expect(tries).toEqual(LOGIN_FREE_ATTEMPTS + 1);
+    const refused = results.filter(
+        ({ reason }) => reason instanceof TooManyRequestsError);
+    expect(refused.length).toEqual(30 - tries);
+  });
+
+  test("takes back the ip's failure on success", async function () {
+    for (let i = 0; i < LOGIN_FREE_ATTEMPTS_PER_IP; i++) {
+      await LoginThrottle.recordFailure(`user${i}`, "1.1.1.1");
+    }
+    await LoginThrottle.attempt("u1", "1.1.1.1", async () => "ok");
+    expect(await checkError("u2", "1.1.1.1")).toEqual(null);
+  });
+
+  test("takes back the attempt on other errors", async function () {
+    await failTimes(LOGIN_FREE_ATTEMPTS);
+    await expect(LoginThrottle.attempt("u1", "1.1.1.1", async () => {
+      throw new Error("database down");
+    })).rejects.toThrow("database down");
+    expect(await checkError("u1", "1.1.1.1")).toEqual(null);
+  });
+});
+
+/************************************** recordSuccess */
+
+describe("recordSuccess", function () {
+  test("works", async function () {
+    await failTimes(LOGIN_FREE_ATTEMPTS + 1);
+    await LoginThrottle.recordSuccess("u1");
+    const res = await db.query(`
+        SELECT kind FROM login_failures WHERE key IN ('u1', '1.1.1.1')`);
+    expect(res.rows).toEqual([{ kind: "ip" }]);
+  });
+});
+
+/************************************** unlock */
+
+describe("unlock", function () {
+  test("works", async function () {
+    await failTimes(LOGIN_LOCKOUT_AFTER);
+    await LoginThrottle.unlock("u1");
+    expect(await checkError("u1", "2.2.2.2")).toEqual(null);
+  });
+
+  test("not found if no such user", async function () {
+    try {
+      await LoginThrottle.unlock("nope");
+      throw new Error("fail test, you shouldn't get here");
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
@@ -0,0 +1,81 @@
+"use strict";
+
+const db = require("../db");
+const { BadRequestError } = require("../expressError");
+const { createOpaqueToken, hashToken } = require("../helpers/tokens");
+const { PASSWORD_RESET_TTL } = require("../config");
+const User = require("./user");
+const TokenRevocation = require("./tokenRevocation");
+
+/** Related functions for resetting forgotten passwords.
+ *
+ * Reset tokens are opaque random strings; only their hashes are stored. Each
+ * one expires after PASSWORD_RESET_TTL seconds and can be used once.
+ */
+
+class PasswordReset {
+  /** Issue a reset token for every user with email `email`.
+   *
+   * Returns [{ username, email, token }, ...]; empty if no user has that email.
+   **/
+
+  static async request(email) {
+    const usersRes = await db.query(`
+        SELECT username, email
+        FROM users
+        WHERE lower(email) = lower($1)
+          AND deleted_at IS NULL
+        ORDER BY username`, [email],
+    );
+
+    const resets = [];
+    for (const { username, email } of usersRes.rows) {
+      const token = createOpaqueToken();
+      await db.query(`
+          INSERT INTO password_reset_tokens (token_hash, username, expires_at)
+          VALUES ($1, $2, CURRENT_TIMESTAMP + make_interval(secs => $3))`,
+          [hashToken(token), username, PASSWORD_RESET_TTL],
+      );
+      resets.push({ username, email, token });
+    }
+
+    return resets;
+  }
+
+  /** Use reset token `token` to set a new `password` for its user.
+   *
+   * All of the user's reset tokens and existing login tokens are revoked.
+   *
+   * Returns { username }
+   *
+   * Throws BadRequestError if the token is unknown, expired or already used.
+   **/
+
+  static async confirm(token, password) {
+    const result = await db.query(`
+        UPDATE password_reset_tokens
+        SET used_at = CURRENT_TIMESTAMP
+        WHERE token_hash = $1
+          AND used_at IS NULL
+          AND expires_at > CURRENT_TIMESTAMP
+        RETURNING username`, [hashToken(token)],
+    );
+    const reset = result.rows[0];
+
+    if (!reset) throw new BadRequestError("Invalid or expired reset token");
+
+    const { username } = reset;
+    await User.update(username, { password });
+    await db.query(`
+        DELETE
+        FROM password_reset_tokens
+        WHERE username = $1`, [username],
+    );
+    await TokenRevocation.revokeAll(username);
+
+    return { username };
+  }
+}
+
+
+module.exports = PasswordReset;
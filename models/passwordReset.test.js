@@ -0,0 +1,84 @@
+"use strict";
+
+const { BadRequestError } = require("../expressError");
+const db = require("../db.js");
+const PasswordReset = require("./passwordReset.js");
+const User = require("./user.js");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/************************************** request */
+
+describe("request", function () {
+  test("works", async function () {
+    const resets = await PasswordReset.request("U1@email.com");
+    expect(resets).toEqual([{
+      username: "u1",
+      email: "u1@email.com",
+      token: expect.any(String),
+    }]);
+
+    const res = await db.query(
+        "SELECT username FROM password_reset_tokens");
+    expect(res.rows).toEqual([{ username: "u1" }]);
+  });
+
+  test("works: no such email", async function () {
+    expect(await PasswordReset.request("nope@email.com")).toEqual([]);
+  });
+});
+
+/************************************** confirm */
+
+describe("confirm", function () {
+  test("works", async function () {
+    const [{ token }] = await PasswordReset.request("u1@email.com");
+    expect(await PasswordReset.confirm(token, "new-password"))
+        .toEqual({ username: "u1" });
+
+    const user = await User.authenticate("u1", "new-password");
+    expect(user.username).toEqual("u1");
+  });
+
+  test("bad request if token already used", async function () {
+    const [{ token }] = await PasswordReset.request("u1@email.com");
+    await PasswordReset.confirm(token, "new-password");
+    try {
+      await PasswordReset.confirm(token, "other-password");
+      throw new Error("fail test, you shouldn't get here");
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+
+  test("bad request if token expired", async function () {
+    const [{ token }] = await PasswordReset.request("u1@email.com");
+    await db.query(`
+        UPDATE password_reset_tokens
+        SET expires_at = CURRENT_TIMESTAMP - INTERVAL '1 minute'`);
+    try {
+      await PasswordReset.confirm(token, "new-password");
+      throw new Error("fail test, you shouldn't get here");
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+
+  test("bad request if no such token", async function () {
+    try {
+      await PasswordReset.confirm("nope", "new-password");
+      throw new Error("fail test, you shouldn't get here");
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+});
@@ -0,0 +1,111 @@
+"use strict";
+
+const db = require("../db");
+const { NotFoundError } = require("../expressError");
+
+/** Related functions for recruiters: users linked to companies, who can use
+ * their role's company-scoped permissions (like "jobs:write:company") for
+ * those companies only.
+ */
+
+class Recruiter {
+  /** Link user `username` to company `handle` as a recruiter.
+   *
+   * Linking an already linked user does nothing. Queries with `client` (db,
+   * or one from db.transaction).
+   *
+   * Returns { username, companyHandle }
+   *
+   * Throws NotFoundError if user or company not found.
+   **/
+
+  static async link(username, handle, client = db) {
+    const userRes = await client.query(`
+        SELECT username
+        FROM users
+        WHERE username = $1
+          AND deleted_at IS NULL`, [username],
+    );
+    if (!userRes.rows[0]) throw new NotFoundError(`No user: ${username}`);
+
+    const companyRes = await client.query(`
+        SELECT handle
+        FROM companies
+        WHERE handle = $1
+          AND deleted_at IS NULL`, [handle],
+    );
+    if (!companyRes.rows[0]) throw new NotFoundError(`No company: ${handle}`);
+
+    await client.query(`
+        INSERT INTO company_recruiters (username, company_handle)
+        VALUES ($1, $2)
+        ON CONFLICT DO NOTHING`, [username, handle],
+    );
+
+    return { username, companyHandle: handle };
+  }
+
+  /** Unlink user `username` from company `handle`, querying with `client`;
+   * returns undefined.
+   *
+   * Throws NotFoundError if the user isn't a recruiter for that company.
+   **/
+
+  static async unlink(username, handle, client = db) {
+    const result = await client.query(`
+        DELETE
+        FROM company_recruiters
+        WHERE username = $1
+          AND company_handle = $2
+        RETURNING username`, [username, handle],
+    );
+
+    if (!result.rows[0]) {
+      throw new NotFoundError(`No recruiter: ${username}, ${handle}`);
+    }
+  }
+
+  /** Given a company handle, return its (not deleted) recruiters.
+   *
+   * Returns [username, ...]
+   *
+   * Throws NotFoundError if company not found.
+   **/
+
+  static async findForCompany(handle) {
+    const companyRes = await db.query(`
+        SELECT handle
+        FROM companies
+        WHERE handle = $1
+          AND deleted_at IS NULL`, [handle],
+    );
+    if (!companyRes.rows[0]) throw new NotFoundError(`No company: ${handle}`);
+
+    const result = await db.query(`
+        SELECT cr.username
+        FROM company_recruiters AS cr
+                 JOIN users AS u ON u.username = cr.username
+        WHERE cr.company_handle = $1
+          AND u.deleted_at IS NULL
+        ORDER BY cr.username`, [handle],
+    );
+
+    return result.rows.map(r => r.username);
+  }
+
+  /** Returns whether user `username` is a recruiter for company `handle`. */
+
+  static async isRecruiterFor(username, handle) {
+    const result = await db.query(`
+        SELECT username
+        FROM company_recruiters
+        WHERE username = $1
+          AND company_handle = $2`, [username, handle],
+    );
+
+    return result.rows.length > 0;
+  }
+}
+
+
+module.exports = Recruiter;
@@ -0,0 +1,90 @@
+"use strict";
+
+const { NotFoundError } = require("../expressError");
+const Recruiter = require("./recruiter.js");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/************************************** link */
+
+describe("link", function () {
+  test("works", async function () {
+    expect(await Recruiter.link("u1", "c1"))
+        .toEqual({ username: "u1", companyHandle: "c1" });
+    expect(await Recruiter.isRecruiterFor("u1", "c1")).toEqual(true);
+    expect(await Recruiter.isRecruiterFor("u1", "c2")).toEqual(false);
+    expect(await Recruiter.isRecruiterFor("u2", "c1")).toEqual(false);
+  });
+
+  test("works: twice", async function () {
+    await Recruiter.link("u1", "c1");
+    await Recruiter.link("u1", "c1");
+    expect(await Recruiter.findForCompany("c1")).toEqual(["u1"]);
+  });
+
+  test("not found if no such user", async function () {
+    try {
+      await Recruiter.link("nope", "c1");
+      throw new Error("fail test, you shouldn't get here");
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+
+  test("not found if no such company", async function () {
+    try {
+      await Recruiter.link("u1", "nope");
+      throw new Error("fail test, you shouldn't get here");
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** unlink */
+
+describe("unlink", function () {
+  test("works", async function () {
+    await Recruiter.link("u1", "c1");
+    await Recruiter.unlink("u1", "c1");
+    expect(await Recruiter.isRecruiterFor("u1", "c1")).toEqual(false);
+  });
+
+  test("not found if not linked", async function () {
+    try {
+      await Recruiter.unlink("u1", "c1");
+      throw new Error("fail test, you shouldn't get here");
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** findForCompany */
+
+describe("findForCompany", function () {
+  test("works", async function () {
+    await Recruiter.link("u2", "c1");
+    await Recruiter.link("u1", "c1");
+    expect(await Recruiter.findForCompany("c1")).toEqual(["u1", "u2"]);
+    expect(await Recruiter.findForCompany("c2")).toEqual([]);
+  });
+
+  test("not found if no such company", async function () {
+    try {
+      await Recruiter.findForCompany("nope");
+      throw new Error("fail test, you shouldn't get here");
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
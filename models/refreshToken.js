@@ -0,0 +1,109 @@
+"use strict";
+
+const db = require("../db");
+const { UnauthorizedError } = require("../expressError");
+const { createOpaqueToken, hashToken } = require("../helpers/tokens");
+const { REFRESH_TOKEN_TTL } = require("../config");
+
+/** Related functions for refresh tokens.
+ *
+ * Refresh tokens are opaque random strings; only their hashes are stored.
+ * Each one can be used once: using it issues a replacement. Presenting an
+ * already-used token again means it was leaked, so all of that user's refresh
+ * tokens are revoked.
+ */
+
+class RefreshToken {
+  /** Issue a new refresh token for user `username`.
+   *
+   * Returns the token; it is only ever available here, in plain text.
+   **/
+
+  static async issue(username) {
+    // tidy up this user's tokens that can no longer be used anyway
+    await db.query(`
+        DELETE
+        FROM refresh_tokens
+        WHERE username = $1 AND expires_at < CURRENT_TIMESTAMP`, [username],
+    );
+
+    const token = createOpaqueToken();
+
+    await db.query(`
+        INSERT INTO refresh_tokens (token_hash, username, expires_at)
+        VALUES ($1, $2, CURRENT_TIMESTAMP + make_interval(secs => $3))`,
+        [hashToken(token), username, REFRESH_TOKEN_TTL],
+    );
+
+    return token;
+  }
+
+  /** Use refresh token `token`, replacing it with a new one.
+   *
+   * Returns { user: { username, role }, refreshToken }
+   *
+   * Throws UnauthorizedError if the token is unknown, expired or was already
+   * used (in which case all the user's refresh tokens are revoked).
+   **/
+
+  static async rotate(token) {
+    const tokenHash = hashToken(token);
+
+    const result = await db.query(`
+        SELECT rt.username,
+               rt.expires_at < CURRENT_TIMESTAMP AS "isExpired",
+               u.role
+        FROM refresh_tokens AS rt
+                 JOIN users AS u ON u.username = rt.username
+        WHERE rt.token_hash = $1
+          AND u.deleted_at IS NULL`, [tokenHash],
+    );
+    const found = result.rows[0];
+
+    if (!found) throw new UnauthorizedError("Invalid refresh token");
+    if (found.isExpired) throw new UnauthorizedError("Refresh token expired");
+
+    const usedRes = await db.query(`
+        UPDATE refresh_tokens
+        SET used_at = CURRENT_TIMESTAMP
+        WHERE token_hash = $1 AND used_at IS NULL
+        RETURNING username`, [tokenHash],
+    );
+
+    if (!usedRes.rows[0]) {
+      await RefreshToken.revokeAll(found.username);
+      throw new UnauthorizedError("Refresh token already used");
+    }
+
+    const refreshToken = await RefreshToken.issue(found.username);
+    return {
+      user: { username: found.username, role: found.role },
+      refreshToken,
+    };
+  }
+
+  /** Revoke refresh token `token` of user `username`; returns undefined. */
+
+  static async revoke(token, username) {
+    await db.query(`
+        DELETE
+        FROM refresh_tokens
+        WHERE token_hash = $1 AND username = $2`, [hashToken(token), username],
+    );
+  }
+
+  /** Revoke all of user `username`'s refresh tokens, querying with `client`;
+   * returns undefined.
+   **/
+
+  static async revokeAll(username, client = db) {
+    await client.query(`
+        DELETE
+        FROM refresh_tokens
+        WHERE username = $1`, [username],
+    );
+  }
+}
+
+
+module.exports = RefreshToken;
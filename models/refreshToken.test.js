@@ -0,0 +1,80 @@
+"use strict";
+
+const { UnauthorizedError } = require("../expressError");
+const db = require("../db.js");
+const RefreshToken = require("./refreshToken.js");
+const { hashToken } = require("../helpers/tokens");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/************************************** issue */
+
+describe("issue", function () {
+  test("works", async function () {
+    const token = await RefreshToken.issue("u1");
+    const res = await db.query(
+        "SELECT username, used_at FROM refresh_tokens WHERE token_hash = $1",
+        [hashToken(token)]);
+    expect(res.rows).toEqual([{ username: "u1", used_at: null }]);
+  });
+});
+
+/************************************** rotate */
+
+describe("rotate", function () {
+  test("works", async function () {
+    const token = await RefreshToken.issue("u1");
+    const result = await RefreshToken.rotate(token);
+    expect(result).toEqual({
+      user: { username: "u1", role: "candidate" },
+      refreshToken: expect.any(String),
+    });
+    expect(result.refreshToken).not.toEqual(token);
+  });
+
+  test("unauth if token reused, and revokes user's tokens", async function () {
+    const token = await RefreshToken.issue("u1");
+    const { refreshToken } = await RefreshToken.rotate(token);
+    try {
+      await RefreshToken.rotate(token);
+      throw new Error("fail test, you shouldn't get here");
+    } catch (err) {
+      expect(err instanceof UnauthorizedError).toBeTruthy();
+    }
+    const res = await db.query(
+        "SELECT * FROM refresh_tokens WHERE token_hash = $1",
+        [hashToken(refreshToken)]);
+    expect(res.rows.length).toEqual(0);
+  });
+
+  test("unauth if token expired", async function () {
+    const token = await RefreshToken.issue("u1");
+    await db.query(`
+        UPDATE refresh_tokens
+        SET expires_at = CURRENT_TIMESTAMP - INTERVAL '1 minute'`);
+    try {
+      await RefreshToken.rotate(token);
+      throw new Error("fail test, you shouldn't get here");
+    } catch (err) {
+      expect(err instanceof UnauthorizedError).toBeTruthy();
+    }
+  });
+
+  test("unauth if no such token", async function () {
+    try {
+      await RefreshToken.rotate("nope");
+      throw new Error("fail test, you shouldn't get here");
+    } catch (err) {
+      expect(err instanceof UnauthorizedError).toBeTruthy();
+    }
+  });
+});
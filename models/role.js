@@ -0,0 +1,40 @@
+"use strict";
+
+const db = require("../db");
+const { NotFoundError } = require("../expressError");
+
+/** Related functions for roles.
+ *
+ * Every user has one role (admin, recruiter, candidate or auditor), and each
+ * role grants a set of permissions like "jobs:write". Both live in the
+ * database; a user's permissions are copied into their tokens.
+ */
+
+class Role {
+  /** Given a role name, return the permissions it grants.
+   *
+   * Returns [permission, ...], e.g. ["applications:read", "jobs:write"]
+   *
+   * Throws NotFoundError if no such role.
+   **/
+
+  static async permissions(name) {
+    const result = await db.query(`
+        SELECT r.name,
+               ARRAY_REMOVE(ARRAY_AGG(rp.permission ORDER BY rp.permission),
+                            NULL) AS permissions
+        FROM roles AS r
+                 LEFT JOIN role_permissions AS rp ON rp.role = r.name
+        WHERE r.name = $1
+        GROUP BY r.name`, [name],
+    );
+    const role = result.rows[0];
+
+    if (!role) throw new NotFoundError(`No role: ${name}`);
+
+    return role.permissions;
+  }
+}
+
+
+module.exports = Role;
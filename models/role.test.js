@@ -0,0 +1,41 @@
+"use strict";
+
+const { NotFoundError } = require("../expressError");
+const Role = require("./role.js");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/************************************** permissions */
+
+describe("permissions", function () {
+  test("works", async function () {
+    expect(await Role.permissions("recruiter"))
+        .toEqual([
+          "applications:read:company",
+          "applications:write:company",
+          "jobs:write:company",
+        ]);
+  });
+
+  test("works: role without permissions", async function () {
+    expect(await Role.permissions("candidate")).toEqual([]);
+  });
+
+  test("not found if no such role", async function () {
+    try {
+      await Role.permissions("nope");
+      throw new Error("fail test, you shouldn't get here");
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
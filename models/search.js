@@ -0,0 +1,124 @@
+"use strict";
+
+const db = require("../db");
+const { sqlForPagination } = require("../helpers/sql");
+
+/** ts_headline options marking matching words in snippets with STX and ETX
+ * characters, which htmlSnippet turns into <b></b> once the text around them
+ * is escaped. */
+
+const HEADLINE_OPTIONS = "'StartSel=' || chr(2) || ', StopSel=' || chr(3)";
+
+/** Full-text search over companies (name + description) and jobs (title +
+ * company name), as one ranked list, leaving out deleted ones. Expects the
+ * search text as $1. */
+
+const RESULTS_SQL = `
+    SELECT 'company'   AS type,
+           c.handle,
+           c.name,
+           NULL::integer AS id,
+           NULL::text  AS title,
+           ts_rank(doc, query) AS rank,
+           ts_headline('english', c.name || ' ' || c.description, query,
+                       ${HEADLINE_OPTIONS}) AS snippet
+    FROM companies AS c,
+         websearch_to_tsquery('english', $1) AS query,
+         to_tsvector('english', c.name || ' ' || c.description) AS doc
+    WHERE doc @@ query
+      AND c.deleted_at IS NULL
+    UNION ALL
+    SELECT 'job'       AS type,
+           c.handle,
+           c.name,
+           j.id,
+           j.title,
+           ts_rank(doc, query) AS rank,
+           ts_headline('english', j.title || ' ' || c.name, query,
+                       ${HEADLINE_OPTIONS}) AS snippet
+    FROM jobs AS j
+             JOIN companies AS c ON c.handle = j.company_handle,
+         websearch_to_tsquery('english', $1) AS query,
+         to_tsvector('english', j.title || ' ' || c.name) AS doc
+    WHERE doc @@ query
+      AND j.deleted_at IS NULL
+      AND c.deleted_at IS NULL`;
+
+/** Characters that mean something in HTML, and what to write instead. */
+
+const HTML_ESCAPES = {
+  "&": "&amp;",
+  "<": "&lt;",
+  ">": "&gt;",
+  '"': "&quot;",
+  "'": "&#39;",
+};
+
+/** Takes a snippet from ts_headline with HEADLINE_OPTIONS; returns it as
+ * HTML, escaped, with matching words in <b></b>. */
+
+function htmlSnippet(headline) {
+  return headline
+      .replace(/[&<>"']/g, char => HTML_ESCAPES[char])
+      .replace(/\u0002/g, "<b>")
+      .replace(/\u0003/g, "</b>");
+}
+
+/** Related functions for searching across companies and jobs. */
+
+class Search {
+  /** Search companies and jobs for text `q` (web search syntax: words,
+   * "quoted phrases", -excluded), paged with { limit, offset }.
+   *
+   * Returns results, best match first, as a mix of
+   *   { type: "company", handle, name, rank, snippet } and
+   *   { type: "job", id, title, companyHandle, companyName, rank, snippet }
+   *   where snippet is HTML: the matched text, escaped, with matching words
+   *   in <b></b>
+   */
+
+  static async find(q, page = {}) {
+    const { pageClause, values } = sqlForPagination(page, 1);
+
+    const result = await db.query(`
+        WITH results AS (${RESULTS_SQL})
+        SELECT *
+        FROM results
+        ORDER BY rank DESC, type, name, id
+        ${pageClause}`, [q, ...values],
+    );
+
+    return result.rows.map(r => r.type === "company"
+        ? {
+          type: r.type,
+          handle: r.handle,
+          name: r.name,
+          rank: r.rank,
+          snippet: htmlSnippet(r.snippet),
+        }
+        : {
+          type: r.type,
+          id: r.id,
+          title: r.title,
+          companyHandle: r.handle,
+          companyName: r.name,
+          rank: r.rank,
+          snippet: htmlSnippet(r.snippet),
+        });
+  }
+
+  /** Returns the number of companies and jobs matching text `q`. */
+
+  static async count(q) {
+    const result = await db.query(`
+        WITH results AS (${RESULTS_SQL})
+        SELECT COUNT(*)::integer AS "total"
+        FROM results`, [q],
+    );
+
+    return result.rows[0].total;
+  }
+}
+
+
+module.exports = Search;
@@ -0,0 +1,101 @@
+"use strict";
+
+const db = require("../db.js");
+const Search = require("./search.js");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+  testJobIds,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/************************************** find */
+
+describe("find", function () {
+  test("works: companies", async function () {
+    const results = await Search.find("desc2");
+    expect(results).toEqual([
+      {
+        type: "company",
+        handle: "c2",
+        name: "C2",
+        rank: expect.any(Number),
+        snippet: "C2 <b>Desc2</b>",
+      },
+    ]);
+  });
+
+  test("works: jobs", async function () {
+    const results = await Search.find("job1");
+    expect(results).toEqual([
+      {
+        type: "job",
+        id: testJobIds[0],
+        title: "Job1",
+        companyHandle: "c1",
+        companyName: "C1",
+        rank: expect.any(Number),
+        snippet: "<b>Job1</b> C1",
+      },
+    ]);
+  });
+
+  test("works: escapes HTML in snippets", async function () {
+    await db.query(`
+        UPDATE companies
+        SET name        = 'C2 <3',
+            description = 'Fish & "chips" <script>x</script>'
+        WHERE handle = 'c2'`);
+    const results = await Search.find("chips");
+    // ts_headline leaves out what looks like tags; the rest is escaped
+    expect(results[0].snippet).toEqual(
+        "C2 &lt;3 Fish &amp; &quot;<b>chips</b>&quot;  x ");
+  });
+
+  test("works: mixed and ranked", async function () {
+    const results = await Search.find("c1 job2");
+    expect(results.map(r => r.type)).toEqual(["job"]);
+
+    const mixed = await Search.find("c1");
+    expect(mixed.length).toEqual(5);
+    expect(mixed.filter(r => r.type === "company").length).toEqual(1);
+    const ranks = mixed.map(r => r.rank);
+    expect(ranks).toEqual([...ranks].sort((a, b) => b - a));
+  });
+
+  test("leaves out deleted companies and jobs", async function () {
+    await db.query(
+        "UPDATE jobs SET deleted_at = CURRENT_TIMESTAMP WHERE id = $1",
+        [testJobIds[0]]);
+    expect(await Search.find("job1")).toEqual([]);
+
+    await db.query(
+        "UPDATE companies SET deleted_at = CURRENT_TIMESTAMP WHERE handle = 'c1'");
+    expect(await Search.find("c1")).toEqual([]);
+  });
+
+  test("works with limit and offset", async function () {
+    const all = await Search.find("c1");
+    const page = await Search.find("c1", { limit: 2, offset: 1 });
+    expect(page).toEqual(all.slice(1, 3));
+  });
+
+  test("works: no matches", async function () {
+    expect(await Search.find("nope")).toEqual([]);
+  });
+});
+
+/************************************** count */
+
+describe("count", function () {
+  test("works", async function () {
+    expect(await Search.count("c1")).toEqual(5);
+    expect(await Search.count("nope")).toEqual(0);
+  });
+});
@@ -0,0 +1,79 @@
+"use strict";
+
+const db = require("../db");
+const { NotFoundError } = require("../expressError");
+const RefreshToken = require("./refreshToken");
+
+/** Related functions for revoking JWTs before they expire.
+ *
+ * A single token is revoked by its id (jti) until it would have expired
+ * anyway. All of a user's tokens are revoked by recording the time after
+ * which their tokens are valid again.
+ */
+
+class TokenRevocation {
+  /** Given a verified token payload { username, jti, iat }, check whether
+   * that token may still be used.
+   *
+   * Returns true if it was revoked, or its user no longer exists (or was
+   * deleted).
+   **/
+
+  static async isRevoked({ username, jti, iat }) {
+    const result = await db.query(`
+        SELECT EXTRACT(EPOCH FROM tokens_valid_after)::float AS "validAfter",
+               EXISTS (SELECT 1
+                       FROM revoked_tokens
+                       WHERE jti = $2) AS "isRevoked"
+        FROM users
+        WHERE username = $1
+          AND deleted_at IS NULL`, [username, jti || null],
+    );
+    const user = result.rows[0];
+
+    if (!user) return true;
+    if (user.isRevoked) return true;
+    return user.validAfter !== null && iat < user.validAfter;
+  }
+
+  /** Revoke the token with payload { jti, exp }; returns undefined. */
+
+  static async revoke({ jti, exp }) {
+    // tokens past their expiry are rejected anyway; no need to keep them
+    await db.query(`
+        DELETE
+        FROM revoked_tokens
+        WHERE expires_at < CURRENT_TIMESTAMP`,
+    );
+
+    await db.query(`
+        INSERT INTO revoked_tokens (jti, expires_at)
+        VALUES ($1, to_timestamp($2))
+        ON CONFLICT (jti) DO NOTHING`, [jti, exp],
+    );
+  }
+
+  /** Revoke every token issued so far to user `username`, including their
+   * refresh tokens, querying with `client` (db, or one from db.transaction);
+   * returns undefined.
+   *
+   * Throws NotFoundError if user not found.
+   **/
+
+  static async revokeAll(username, client = db) {
+    // use our clock, not the database's, as that's what token iats come from
+    const result = await client.query(`
+        UPDATE users
+        SET tokens_valid_after = to_timestamp($2)
+        WHERE username = $1
+        RETURNING username`, [username, Date.now() / 1000],
+    );
+
+    if (!result.rows[0]) throw new NotFoundError(`No user: ${username}`);
+
+    await RefreshToken.revokeAll(username, client);
+  }
+}
+
+
+module.exports = TokenRevocation;
@@ -0,0 +1,82 @@
+"use strict";
+
+const { NotFoundError } = require("../expressError");
+const db = require("../db.js");
+const TokenRevocation = require("./tokenRevocation.js");
+const RefreshToken = require("./refreshToken.js");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+const now = Date.now() / 1000;
+
+/************************************** isRevoked */
+
+describe("isRevoked", function () {
+  test("works: not revoked", async function () {
+    expect(await TokenRevocation.isRevoked(
+        { username: "u1", jti: "a", iat: now })).toEqual(false);
+  });
+
+  test("works: no such user", async function () {
+    expect(await TokenRevocation.isRevoked(
+        { username: "nope", jti: "a", iat: now })).toEqual(true);
+  });
+});
+
+/************************************** revoke */
+
+describe("revoke", function () {
+  test("works", async function () {
+    await TokenRevocation.revoke({ jti: "a", exp: now + 60 });
+    expect(await TokenRevocation.isRevoked(
+        { username: "u1", jti: "a", iat: now })).toEqual(true);
+    expect(await TokenRevocation.isRevoked(
+        { username: "u1", jti: "b", iat: now })).toEqual(false);
+  });
+
+  test("works: twice", async function () {
+    await TokenRevocation.revoke({ jti: "a", exp: now + 60 });
+    await TokenRevocation.revoke({ jti: "a", exp: now + 60 });
+    const res = await db.query("SELECT * FROM revoked_tokens WHERE jti = 'a'");
+    expect(res.rows.length).toEqual(1);
+  });
+});
+
+/************************************** revokeAll */
+
+describe("revokeAll", function () {
+  test("works", async function () {
+    await RefreshToken.issue("u1");
+    await TokenRevocation.revokeAll("u1");
+
+    expect(await TokenRevocation.isRevoked(
+        { username: "u1", jti: "a", iat: now - 1 })).toEqual(true);
+    expect(await TokenRevocation.isRevoked(
+        { username: "u1", jti: "a", iat: Date.now() / 1000 + 1 }))
+        .toEqual(false);
+    expect(await TokenRevocation.isRevoked(
+        { username: "u2", jti: "a", iat: now - 1 })).toEqual(false);
+
+    const res = await db.query(
+        "SELECT * FROM refresh_tokens WHERE username = 'u1'");
+    expect(res.rows.length).toEqual(0);
+  });
+
+  test("not found if no such user", async function () {
+    try {
+      await TokenRevocation.revokeAll("nope");
+      throw new Error("fail test, you shouldn't get here");
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
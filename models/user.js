@@ -2,21 +2,59 @@
 
 const db = require("../db");
 const bcrypt = require("bcrypt");
-const { sqlForPartialUpdate } = require("../helpers/sql");
+const {
+  sqlForPartialUpdate,
+  sqlForPagination,
+} = require("../helpers/sql");
 const {
   NotFoundError,
   BadRequestError,
   UnauthorizedError,
+  PreconditionFailedError,
 } = require("../expressError");
 
-const { BCRYPT_WORK_FACTOR } = require("../config.js");
+const {
+  BCRYPT_WORK_FACTOR,
+  DELETED_RETENTION_DAYS,
+} = require("../config.js");
+
+/** Allowed application state transitions: { fromState: [toState, ...] } */
+
+const APPLICATION_TRANSITIONS = {
+  interested: ["applied", "rejected", "withdrawn"],
+  applied: ["interviewing", "rejected", "withdrawn"],
+  interviewing: ["offered", "rejected", "withdrawn"],
+  offered: ["accepted", "rejected", "withdrawn"],
+  rejected: [],
+  accepted: [],
+  withdrawn: [],
+};
+
+/** Throws BadRequestError unless there's a role named `role`. */
+
+async function checkRole(role, client = db) {
+  const result = await client.query(`
+      SELECT name
+      FROM roles
+      WHERE name = $1`, [role],
+  );
+
+  if (!result.rows[0]) throw new BadRequestError(`No role: ${role}`);
+}
 
-/** Related functions for users. */
+/** Related functions for users.
+ *
+ * Deleting a user only marks them deleted; they can't log in and are hidden
+ * until they're restored or purged.
+ *
+ * Functions that look up or change a user take a last argument `client` to
+ * query with: db (the default), or one from db.transaction.
+ */
 
 class User {
   /** authenticate user with username, password.
    *
-   * Returns { username, first_name, last_name, email, is_admin }
+   * Returns { username, first_name, last_name, email, role }
    *
    * Throws UnauthorizedError is user not found or wrong password.
    **/
@@ -29,9 +67,10 @@ class User {
                first_name AS "firstName",
                last_name  AS "lastName",
                email,
-               is_admin   AS "isAdmin"
+               role
         FROM users
-        WHERE username = $1`, [username],
+        WHERE username = $1
+          AND deleted_at IS NULL`, [username],
     );
 
     const user = result.rows[0];
@@ -48,16 +87,18 @@ class User {
     throw new UnauthorizedError("Invalid username/password");
   }
 
-  /** Register user with data.
+  /** Register user with data; role defaults to "candidate".
    *
-   * Returns { username, firstName, lastName, email, isAdmin }
+   * Returns { username, firstName, lastName, email, role }
    *
-   * Throws BadRequestError on duplicates.
+   * Throws BadRequestError on duplicates (deleted users included) or an
+   * unknown role.
    **/
 
   static async register(
-      { username, password, firstName, lastName, email, isAdmin }) {
-    const duplicateCheck = await db.query(`
+      { username, password, firstName, lastName, email, role = "candidate" },
+      client = db) {
+    const duplicateCheck = await client.query(`
         SELECT username
         FROM users
         WHERE username = $1`, [username],
@@ -66,30 +107,31 @@ class User {
     if (duplicateCheck.rows.length > 0) {
       throw new BadRequestError(`Duplicate username: ${username}`);
     }
+    await checkRole(role, client);
 
     const hashedPassword = await bcrypt.hash(password, BCRYPT_WORK_FACTOR);
 
-    const result = await db.query(`
+    const result = await client.query(`
                 INSERT INTO users
                 (username,
                  password,
                  first_name,
                  last_name,
                  email,
-                 is_admin)
+                 role)
                 VALUES ($1, $2, $3, $4, $5, $6)
                 RETURNING
                     username,
                     first_name AS "firstName",
                     last_name AS "lastName",
                     email,
-                    is_admin AS "isAdmin"`, [
+                    role`, [
           username,
           hashedPassword,
           firstName,
           lastName,
           email,
-          isAdmin,
+          role,
         ],
     );
 
@@ -98,48 +140,88 @@ class User {
     return user;
   }
 
-  /** Find all users.
+  /** Find all users; { limit, offset } page through them.
    *
-   * Returns [{ username, first_name, last_name, email, is_admin }, ...]
+   * Returns [{ username, first_name, last_name, email, role }, ...]
    **/
 
-  static async findAll() {
+  static async findAll(queries = {}) {
+    const { pageClause, values } = sqlForPagination(queries);
+
     const result = await db.query(`
         SELECT username,
                first_name AS "firstName",
                last_name  AS "lastName",
                email,
-               is_admin   AS "isAdmin"
+               role
         FROM users
-        ORDER BY username`,
+        WHERE deleted_at IS NULL
+        ORDER BY username
+        ${pageClause}`, values,
     );
 
     return result.rows;
   }
 
+  /** Returns the number of users. */
+
+  static async count() {
+    const result = await db.query(`
+        SELECT COUNT(*)::integer AS "total"
+        FROM users
+        WHERE deleted_at IS NULL`,
+    );
+
+    return result.rows[0].total;
+  }
+
   /** Given a username, return data about user.
    *
-   * Returns { username, first_name, last_name, is_admin, jobs }
-   *   where jobs is { id, title, company_handle, company_name, state }
+   * Returns { username, first_name, last_name, role, emailVerified, version,
+   *           applications, jobs }
+   *   where version is bumped on every change to the user's details
+   *   where applications is [jobId, ...]
+   *   and jobs is [{ id, title, companyHandle, companyName, state }, ...]
    *
    * Throws NotFoundError if user not found.
    **/
 
-  static async get(username) {
-    const userRes = await db.query(`
+  static async get(username, client = db) {
+    const userRes = await client.query(`
         SELECT username,
                first_name AS "firstName",
                last_name  AS "lastName",
                email,
-               is_admin   AS "isAdmin"
+               role,
+               email_verified AS "emailVerified",
+               version
         FROM users
-        WHERE username = $1`, [username],
+        WHERE username = $1
+          AND deleted_at IS NULL`, [username],
     );
 
     const user = userRes.rows[0];
 
     if (!user) throw new NotFoundError(`No user: ${username}`);
 
+    const applicationsRes = await client.query(`
+        SELECT j.id,
+               j.title,
+               j.company_handle AS "companyHandle",
+               c.name           AS "companyName",
+               a.state
+        FROM applications AS a
+                 JOIN jobs AS j ON j.id = a.job_id
+                 JOIN companies AS c ON c.handle = j.company_handle
+        WHERE a.username = $1
+          AND j.deleted_at IS NULL
+          AND c.deleted_at IS NULL
+        ORDER BY j.id`, [username],
+    );
+
+    user.applications = applicationsRes.rows.map(j => j.id);
+    user.jobs = applicationsRes.rows;
+
     return user;
   }
 
@@ -149,62 +231,243 @@ class User {
    * all the fields; this only changes provided ones.
    *
    * Data can include:
-   *   { firstName, lastName, password, email, isAdmin }
+   *   { firstName, lastName, password, email, role }
+   * If `versions` (a list) is given, the user is only changed if they're
+   * still at one of them.
+   *
+   * Returns { username, firstName, lastName, email, role, version }
    *
-   * Returns { username, firstName, lastName, email, isAdmin }
+   * A new email needs verifying again, so this clears emailVerified if the
+   * email changes.
    *
-   * Throws NotFoundError if not found.
+   * Throws NotFoundError if not found, BadRequestError on an unknown role,
+   * PreconditionFailedError if the user is not at any of `versions`.
    *
    * WARNING: this function can set a new password or make a user an admin.
    * Callers of this function must be certain they have validated inputs to this
    * or a serious security risks are opened.
    */
 
-  static async update(username, data) {
+  static async update(username, data, versions = null, client = db) {
     if (data.password) {
       data.password = await bcrypt.hash(data.password, BCRYPT_WORK_FACTOR);
     }
+    if (data.role !== undefined) await checkRole(data.role, client);
 
     const { setCols, values } = sqlForPartialUpdate(
         data,
         {
           firstName: "first_name",
           lastName: "last_name",
-          isAdmin: "is_admin",
         });
     const usernameVarIdx = "$" + (values.length + 1);
+    const versionVarIdx = "$" + (values.length + 2);
+    const emailVarIdx = "$" + (Object.keys(data).indexOf("email") + 1);
+    const verifiedCol = "email" in data
+        ? `, email_verified = email_verified AND email = ${emailVarIdx}`
+        : "";
 
     const querySql = `
         UPDATE users
-        SET ${setCols}
+        SET ${setCols}${verifiedCol}, version = version + 1
         WHERE username = ${usernameVarIdx}
+          AND deleted_at IS NULL
+          AND (${versionVarIdx}::integer[] IS NULL
+               OR version = ANY (${versionVarIdx}))
         RETURNING username,
             first_name AS "firstName",
             last_name AS "lastName",
             email,
-            is_admin AS "isAdmin"`;
-    const result = await db.query(querySql, [...values, username]);
+            role,
+            version`;
+    const result = await client.query(
+        querySql, [...values, username, versions]);
     const user = result.rows[0];
 
-    if (!user) throw new NotFoundError(`No user: ${username}`);
+    if (!user) {
+      await User.get(username, client);
+      throw new PreconditionFailedError(
+          `User ${username} is not at an expected version`);
+    }
 
     delete user.password;
     return user;
   }
 
-  /** Delete given user from database; returns undefined. */
+  /** Mark given user deleted; returns undefined.
+   *
+   * Throws NotFoundError if user not found (or already deleted).
+   **/
 
-  static async remove(username) {
-    let result = await db.query(`
-        DELETE
-        FROM users
+  static async remove(username, client = db) {
+    let result = await client.query(`
+        UPDATE users
+        SET deleted_at = CURRENT_TIMESTAMP,
+            version = version + 1
         WHERE username = $1
+          AND deleted_at IS NULL
         RETURNING username`, [username],
     );
     const user = result.rows[0];
 
     if (!user) throw new NotFoundError(`No user: ${username}`);
   }
+
+  /** Undo the deletion of given user.
+   *
+   * Returns { username, firstName, lastName, email, role, version }
+   *
+   * Throws NotFoundError if there's no deleted user with that username.
+   **/
+
+  static async restore(username, client = db) {
+    const result = await client.query(`
+        UPDATE users
+        SET deleted_at = NULL,
+            version = version + 1
+        WHERE username = $1
+          AND deleted_at IS NOT NULL
+        RETURNING username,
+            first_name AS "firstName",
+            last_name AS "lastName",
+            email,
+            role,
+            version`, [username],
+    );
+    const user = result.rows[0];
+
+    if (!user) throw new NotFoundError(`No deleted user: ${username}`);
+
+    return user;
+  }
+
+  /** Remove users deleted more than `retentionDays` days ago from the
+   * database, with their applications.
+   *
+   * Returns [username, ...] of the removed users.
+   **/
+
+  static async purge(retentionDays = DELETED_RETENTION_DAYS) {
+    const result = await db.query(`
+        DELETE
+        FROM users
+        WHERE deleted_at < CURRENT_TIMESTAMP - make_interval(days => $1)
+        RETURNING username`, [retentionDays],
+    );
+
+    return result.rows.map(r => r.username);
+  }
+
+  /** Apply to job with id `jobId` as user `username`; returns undefined.
+   *
+   * state is the starting state of the application, either "interested" or
+   * "applied" (the default).
+   *
+   * Throws NotFoundError if user or job not found.
+   * Throws BadRequestError if user has already applied to this job.
+   **/
+
+  static async applyToJob(username, jobId, state = "applied", client = db) {
+    if (state !== "interested" && state !== "applied") {
+      throw new BadRequestError(`Invalid starting state: ${state}`);
+    }
+
+    const jobRes = await client.query(`
+        SELECT j.id
+        FROM jobs AS j
+                 JOIN companies AS c ON c.handle = j.company_handle
+        WHERE j.id = $1
+          AND j.deleted_at IS NULL
+          AND c.deleted_at IS NULL`, [jobId],
+    );
+
+    if (!jobRes.rows[0]) throw new NotFoundError(`No job: ${jobId}`);
+
+    const userRes = await client.query(`
+        SELECT username
+        FROM users
+        WHERE username = $1
+          AND deleted_at IS NULL`, [username],
+    );
+
+    if (!userRes.rows[0]) throw new NotFoundError(`No user: ${username}`);
+
+    const duplicateCheck = await client.query(`
+        SELECT job_id
+        FROM applications
+        WHERE username = $1 AND job_id = $2`, [username, jobId],
+    );
+
+    if (duplicateCheck.rows.length > 0) {
+      throw new BadRequestError(`Duplicate application: ${username}, ${jobId}`);
+    }
+
+    await client.query(`
+        WITH application AS (
+            INSERT INTO applications (username, job_id, state)
+            VALUES ($1, $2, $3)
+            RETURNING username, job_id, state)
+        INSERT INTO application_states (username, job_id, state)
+        SELECT username, job_id, state
+        FROM application`, [username, jobId, state],
+    );
+  }
+
+  /** Move user's application for job `jobId` to a new `state`.
+   *
+   * Returns { username, jobId, state, history }
+   *   where history is [{ state, changedAt }, ...], oldest first
+   *
+   * Throws NotFoundError if the user has not applied to this job.
+   * Throws BadRequestError if the current state cannot move to `state`.
+   **/
+
+  static async updateApplication(username, jobId, state, client = db) {
+    const applicationRes = await client.query(`
+        SELECT state
+        FROM applications
+        WHERE username = $1 AND job_id = $2`, [username, jobId],
+    );
+    const application = applicationRes.rows[0];
+
+    if (!application) {
+      throw new NotFoundError(`No application: ${username}, ${jobId}`);
+    }
+
+    const allowed = APPLICATION_TRANSITIONS[application.state];
+    if (!allowed.includes(state)) {
+      throw new BadRequestError(
+          `Cannot move application from ${application.state} to ${state}`);
+    }
+
+    // only update if nobody else changed the state since we checked it
+    const result = await client.query(`
+        WITH application AS (
+            UPDATE applications
+            SET state = $3
+            WHERE username = $1 AND job_id = $2 AND state = $4
+            RETURNING username, job_id, state)
+        INSERT INTO application_states (username, job_id, state)
+        SELECT username, job_id, state
+        FROM application
+        RETURNING state`, [username, jobId, state, application.state],
+    );
+
+    if (!result.rows[0]) {
+      throw new BadRequestError(
+          `Application changed concurrently: ${username}, ${jobId}`);
+    }
+
+    const historyRes = await client.query(`
+        SELECT state,
+               changed_at AS "changedAt"
+        FROM application_states
+        WHERE username = $1 AND job_id = $2
+        ORDER BY changed_at, id`, [username, jobId],
+    );
+
+    return { username, jobId, state, history: historyRes.rows };
+  }
 }
 
 
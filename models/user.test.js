@@ -4,6 +4,7 @@ const {
   NotFoundError,
   BadRequestError,
   UnauthorizedError,
+  PreconditionFailedError,
 } = require("../expressError");
 const db = require("../db.js");
 const User = require("./user.js");
@@ -12,6 +13,7 @@ const {
   commonBeforeEach,
   commonAfterEach,
   commonAfterAll,
+  testJobIds,
 } = require("./_testCommon");
 
 beforeAll(commonBeforeAll);
@@ -29,7 +31,7 @@ describe("authenticate", function () {
       firstName: "U1F",
       lastName: "U1L",
       email: "u1@email.com",
-      isAdmin: false,
+      role: "candidate",
     });
   });
 
@@ -60,7 +62,7 @@ describe("register", function () {
     firstName: "Test",
     lastName: "Tester",
     email: "test@test.com",
-    isAdmin: false,
+    role: "candidate",
   };
 
   test("works", async function () {
@@ -71,7 +73,7 @@ describe("register", function () {
     expect(user).toEqual(newUser);
     const found = await db.query("SELECT * FROM users WHERE username = 'new'");
     expect(found.rows.length).toEqual(1);
-    expect(found.rows[0].is_admin).toEqual(false);
+    expect(found.rows[0].role).toEqual("candidate");
     expect(found.rows[0].password.startsWith("$2b$")).toEqual(true);
   });
 
@@ -79,15 +81,28 @@ describe("register", function () {
     let user = await User.register({
       ...newUser,
       password: "password",
-      isAdmin: true,
+      role: "admin",
     });
-    expect(user).toEqual({ ...newUser, isAdmin: true });
+    expect(user).toEqual({ ...newUser, role: "admin" });
     const found = await db.query("SELECT * FROM users WHERE username = 'new'");
     expect(found.rows.length).toEqual(1);
-    expect(found.rows[0].is_admin).toEqual(true);
+    expect(found.rows[0].role).toEqual("admin");
     expect(found.rows[0].password.startsWith("$2b$")).toEqual(true);
   });
 
+  test("bad request with unknown role", async function () {
+    try {
+      await User.register({
+        ...newUser,
+        password: "password",
+        role: "nope",
+      });
+      throw new Error("fail test, you shouldn't get here");
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+
   test("bad request with dup data", async function () {
     try {
       await User.register({
@@ -116,17 +131,30 @@ describe("findAll", function () {
         firstName: "U1F",
         lastName: "U1L",
         email: "u1@email.com",
-        isAdmin: false,
+        role: "candidate",
       },
       {
         username: "u2",
         firstName: "U2F",
         lastName: "U2L",
         email: "u2@email.com",
-        isAdmin: false,
+        role: "candidate",
       },
     ]);
   });
+
+  test("works with limit and offset", async function () {
+    const users = await User.findAll({ limit: 1, offset: 1 });
+    expect(users.map(u => u.username)).toEqual(["u2"]);
+  });
+});
+
+/************************************** count */
+
+describe("count", function () {
+  test("works", async function () {
+    expect(await User.count()).toEqual(2);
+  });
 });
 
 /************************************** get */
@@ -139,7 +167,17 @@ describe("get", function () {
       firstName: "U1F",
       lastName: "U1L",
       email: "u1@email.com",
-      isAdmin: false,
+      role: "candidate",
+      emailVerified: false,
+      version: 1,
+      applications: [testJobIds[0]],
+      jobs: [{
+        id: testJobIds[0],
+        title: "Job1",
+        companyHandle: "c1",
+        companyName: "C1",
+        state: "applied",
+      }],
     });
   });
 
@@ -160,7 +198,7 @@ describe("update", function () {
     firstName: "NewF",
     lastName: "NewF",
     email: "new@email.com",
-    isAdmin: true,
+    role: "admin",
   };
 
   test("works", async function () {
@@ -168,9 +206,34 @@ describe("update", function () {
     expect(job).toEqual({
       username: "u1",
       ...updateData,
+      version: 2,
     });
   });
 
+  test("works: at the given version", async function () {
+    const user = await User.update("u1", { firstName: "NewF" }, [1]);
+    expect(user.version).toEqual(2);
+  });
+
+  test("precondition failed if no longer at the given version",
+      async function () {
+        await User.update("u1", { firstName: "NewF" });
+        await expect(User.update("u1", { firstName: "Newer" }, [1]))
+            .rejects.toThrow(PreconditionFailedError);
+        expect((await User.get("u1")).firstName).toEqual("NewF");
+      });
+
+  test("works: new email needs verifying again", async function () {
+    await db.query(
+        "UPDATE users SET email_verified = TRUE WHERE username = 'u1'");
+
+    await User.update("u1", { email: "u1@email.com" });
+    expect((await User.get("u1")).emailVerified).toEqual(true);
+
+    await User.update("u1", { email: "new@email.com" });
+    expect((await User.get("u1")).emailVerified).toEqual(false);
+  });
+
   test("works: set password", async function () {
     let job = await User.update("u1", {
       password: "new",
@@ -180,7 +243,8 @@ describe("update", function () {
       firstName: "U1F",
       lastName: "U1L",
       email: "u1@email.com",
-      isAdmin: false,
+      role: "candidate",
+      version: 2,
     });
     const found = await db.query("SELECT * FROM users WHERE username = 'u1'");
     expect(found.rows.length).toEqual(1);
@@ -212,11 +276,25 @@ describe("update", function () {
 /************************************** remove */
 
 describe("remove", function () {
-  test("works", async function () {
+  test("works: only marks user deleted", async function () {
     await User.remove("u1");
     const res = await db.query(
-        "SELECT * FROM users WHERE username='u1'");
-    expect(res.rows.length).toEqual(0);
+        "SELECT deleted_at FROM users WHERE username='u1'");
+    expect(res.rows).toEqual([{ deleted_at: expect.any(Date) }]);
+  });
+
+  test("works: hides user, who can't log in", async function () {
+    await User.remove("u1");
+    expect((await User.findAll()).map(u => u.username)).toEqual(["u2"]);
+    expect(await User.count()).toEqual(1);
+    await expect(User.get("u1")).rejects.toThrow(NotFoundError);
+    await expect(User.authenticate("u1", "password1"))
+        .rejects.toThrow(UnauthorizedError);
+  });
+
+  test("not found if already deleted", async function () {
+    await User.remove("u1");
+    await expect(User.remove("u1")).rejects.toThrow(NotFoundError);
   });
 
   test("not found if no such user", async function () {
@@ -228,3 +306,168 @@ describe("remove", function () {
     }
   });
 });
+
+/************************************** restore */
+
+describe("restore", function () {
+  test("works", async function () {
+    await User.remove("u1");
+    expect(await User.restore("u1")).toEqual({
+      username: "u1",
+      firstName: "U1F",
+      lastName: "U1L",
+      email: "u1@email.com",
+      role: "candidate",
+      version: 3,
+    });
+    expect((await User.get("u1")).applications).toEqual([testJobIds[0]]);
+  });
+
+  test("not found if not deleted", async function () {
+    await expect(User.restore("u1")).rejects.toThrow(NotFoundError);
+  });
+});
+
+/************************************** purge */
+
+describe("purge", function () {
+  test("works", async function () {
+    await db.query(`
+        UPDATE users
+        SET deleted_at = CURRENT_TIMESTAMP - INTERVAL '31 days'
+        WHERE username = 'u1'`);
+
+    expect(await User.purge(30)).toEqual(["u1"]);
+    const res = await db.query("SELECT username FROM users");
+    expect(res.rows).toEqual([{ username: "u2" }]);
+  });
+
+  test("keeps users deleted more recently", async function () {
+    await User.remove("u1");
+    expect(await User.purge(30)).toEqual([]);
+  });
+});
+
+/************************************** applyToJob */
+
+describe("applyToJob", function () {
+  test("works", async function () {
+    await User.applyToJob("u1", testJobIds[1]);
+
+    const res = await db.query(
+        "SELECT * FROM applications WHERE job_id=$1", [testJobIds[1]]);
+    expect(res.rows).toEqual([{
+      job_id: testJobIds[1],
+      username: "u1",
+      state: "applied",
+      applied_at: expect.any(Date),
+    }]);
+  });
+
+  test("works: interested", async function () {
+    await User.applyToJob("u1", testJobIds[1], "interested");
+
+    const res = await db.query(
+        "SELECT state FROM application_states WHERE job_id=$1",
+        [testJobIds[1]]);
+    expect(res.rows).toEqual([{ state: "interested" }]);
+  });
+
+  test("bad request with invalid starting state", async function () {
+    try {
+      await User.applyToJob("u1", testJobIds[1], "offered");
+      throw new Error("fail test, you shouldn't get here");
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+
+  test("not found if no such job", async function () {
+    try {
+      await User.applyToJob("u1", 0);
+      throw new Error("fail test, you shouldn't get here");
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+
+  test("not found if no such user", async function () {
+    try {
+      await User.applyToJob("nope", testJobIds[0]);
+      throw new Error("fail test, you shouldn't get here");
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+
+  test("bad request if already applied", async function () {
+    try {
+      await User.applyToJob("u1", testJobIds[0]);
+      throw new Error("fail test, you shouldn't get here");
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** updateApplication */
+
+describe("updateApplication", function () {
+  test("works", async function () {
+    const application = await User.updateApplication(
+        "u1", testJobIds[0], "interviewing");
+    expect(application).toEqual({
+      username: "u1",
+      jobId: testJobIds[0],
+      state: "interviewing",
+      history: [
+        { state: "applied", changedAt: expect.any(Date) },
+        { state: "interviewing", changedAt: expect.any(Date) },
+      ],
+    });
+
+    const res = await db.query(
+        "SELECT state FROM applications WHERE job_id=$1", [testJobIds[0]]);
+    expect(res.rows).toEqual([{ state: "interviewing" }]);
+  });
+
+  test("works: reject open application", async function () {
+    const application = await User.updateApplication(
+        "u1", testJobIds[0], "rejected");
+    expect(application.state).toEqual("rejected");
+  });
+
+  test("works: withdraw open application", async function () {
+    const application = await User.updateApplication(
+        "u1", testJobIds[0], "withdrawn");
+    expect(application.state).toEqual("withdrawn");
+  });
+
+  test("bad request on illegal transition", async function () {
+    try {
+      await User.updateApplication("u1", testJobIds[0], "accepted");
+      throw new Error("fail test, you shouldn't get here");
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+
+  test("bad request moving out of a final state", async function () {
+    await User.updateApplication("u1", testJobIds[0], "rejected");
+    try {
+      await User.updateApplication("u1", testJobIds[0], "applied");
+      throw new Error("fail test, you shouldn't get here");
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+
+  test("not found if no such application", async function () {
+    try {
+      await User.updateApplication("u2", testJobIds[0], "interviewing");
+      throw new Error("fail test, you shouldn't get here");
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
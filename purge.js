@@ -0,0 +1,41 @@
+"use strict";
+
+/** Removes companies, jobs and users deleted more than DELETED_RETENTION_DAYS
+ * days ago from the database for good. Run it regularly, e.g. daily from
+ * cron:
+ *
+ *     node purge.js
+ */
+
+const db = require("./db");
+const Company = require("./models/company");
+const Job = require("./models/job");
+const User = require("./models/user");
+
+/** Purge everything past retention.
+ *
+ * Returns { companies: [handle, ...], jobs: [id, ...], users: [username, ...] }
+ */
+
+async function purge() {
+  const jobs = await Job.purge();
+  const companies = await Company.purge();
+  const users = await User.purge();
+
+  return { companies, jobs, users };
+}
+
+if (require.main === module) {
+  purge()
+      .then(({ companies, jobs, users }) => console.log(
+          `Purged ${companies.length} companies, ${jobs.length} jobs`
+          + ` and ${users.length} users`))
+      .catch(err => {
+        console.error(err);
+        process.exitCode = 1;
+      })
+      .finally(() => db.end());
+}
+
+
+module.exports = purge;
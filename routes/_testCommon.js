@@ -3,7 +3,12 @@
 const db = require("../db.js");
 const User = require("../models/user");
 const Company = require("../models/company");
+const Job = require("../models/job");
+const Recruiter = require("../models/recruiter");
 const { createToken } = require("../helpers/tokens");
+const { invalidateCache } = require("../middleware/cache");
+
+const testJobIds = [];
 
 async function commonBeforeAll() {
   // noinspection SqlWithoutWhere
@@ -36,13 +41,20 @@ async function commonBeforeAll() {
         logoUrl: "http://c3.img",
       });
 
+  testJobIds[0] = (await Job.create(
+      { title: "J1", salary: 1, equity: 0.1, companyHandle: "c1" })).id;
+  testJobIds[1] = (await Job.create(
+      { title: "J2", salary: 2, equity: 0.2, companyHandle: "c1" })).id;
+  testJobIds[2] = (await Job.create(
+      { title: "J3", salary: 3, equity: null, companyHandle: "c1" })).id;
+
   await User.register({
     username: "u1",
     firstName: "U1F",
     lastName: "U1L",
     email: "user1@user.com",
     password: "password1",
-    isAdmin: false,
+    role: "candidate",
   });
   await User.register({
     username: "u2",
@@ -50,7 +62,7 @@ async function commonBeforeAll() {
     lastName: "U2L",
     email: "user2@user.com",
     password: "password2",
-    isAdmin: false,
+    role: "candidate",
   });
   await User.register({
     username: "u3",
@@ -58,12 +70,22 @@ async function commonBeforeAll() {
     lastName: "U3L",
     email: "user3@user.com",
     password: "password3",
-    isAdmin: false,
+    role: "candidate",
   });
+
+  await db.query(`
+      UPDATE users
+      SET email_verified = TRUE
+      WHERE username IN ('u1', 'u2')`);
+
+  await User.applyToJob("u1", testJobIds[0]);
+  await Recruiter.link("u2", "c1");
 }
 
 async function commonBeforeEach() {
   await db.query("BEGIN");
+  // cached responses may be of changes an earlier test rolled back
+  invalidateCache();
 }
 
 async function commonAfterEach() {
@@ -75,9 +97,23 @@ async function commonAfterAll() {
 }
 
 
-const u1Token = createToken({ username: "u1", isAdmin: false });
-const u2Token = createToken({ username: "u2", isAdmin: false });
-const adminToken = createToken({ username: "u3", isAdmin: true });
+const u1Token = createToken({ username: "u1", role: "candidate" });
+const u2Token = createToken({ username: "u2", role: "candidate" });
+const recruiterToken = createToken({ username: "u2", role: "recruiter" }, [
+  "applications:read:company",
+  "applications:write:company",
+  "jobs:write:company",
+]);
+const adminToken = createToken({ username: "u3", role: "admin" }, [
+  "api_keys:write",
+  "applications:read",
+  "applications:write",
+  "audit:read",
+  "companies:write",
+  "jobs:write",
+  "users:read",
+  "users:write",
+]);
 
 
 module.exports = {
@@ -87,5 +123,7 @@ module.exports = {
   commonAfterAll,
   u1Token,
   u2Token,
-  adminToken
+  recruiterToken,
+  adminToken,
+  testJobIds,
 };
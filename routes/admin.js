@@ -0,0 +1,72 @@
+"use strict";
+
+/** Routes for administration. */
+
+const jsonschema = require("jsonschema");
+const express = require("express");
+
+const { BadRequestError } = require("../expressError");
+const { ensureLoggedIn, requirePermission } = require("../middleware/auth");
+const AuditLog = require("../models/auditLog");
+const { pageParams, paginate } = require("../helpers/pagination");
+const { checkDates } = require("../helpers/params");
+
+const getAuditSchema = require("../schemas/getAudit.json");
+
+const router = new express.Router();
+
+
+/** GET /audit  =>
+ *   { entries: [ { id, actor, action, entityType, entityId, before, after,
+ *                  createdAt }, ... ],
+ *     pagination: { total, limit, offset, next, prev } }
+ *
+ * Returns the audit log of changes to companies, jobs, users, API keys and
+ * applications, newest first. actor is a username, or api_key:<id> for API
+ * keys.
+ *
+ * Can filter on provided search filters:
+ * - actor
+ * - entityType (company, job, user, api_key or application)
+ * - entityId (e.g. a company handle, or <username>:<jobId> for an
+ *   application)
+ * - from, to (dates, "YYYY-MM-DD", both inclusive)
+ *
+ * Paged with limit (default 20) and either offset or an opaque cursor.
+ *
+ * Authorization required: logged in, with permission audit:read
+ */
+
+router.get("/audit",
+  ensureLoggedIn,
+  requirePermission("audit:read"),
+  async function (req, res, next) {
+    const queries = req.query;
+
+    if ("limit" in queries) {
+      queries.limit = Number(queries.limit);
+    }
+    if ("offset" in queries) {
+      queries.offset = Number(queries.offset);
+    }
+
+    const validator = jsonschema.validate(
+      queries,
+      getAuditSchema,
+      { required: true }
+    );
+    if (!validator.valid) {
+      const errs = validator.errors.map(e => e.stack);
+      throw new BadRequestError(errs);
+    }
+    checkDates(queries, ["from", "to"]);
+
+    const page = pageParams(queries);
+    const entries = await AuditLog.findAll(
+      { ...queries, limit: page.limit, offset: page.offset });
+    const total = await AuditLog.count(queries);
+    return res.json({ entries, pagination: paginate(req, { total, ...page }) });
+});
+
+
+module.exports = router;
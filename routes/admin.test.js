@@ -0,0 +1,203 @@
+"use strict";
+
+const request = require("supertest");
+
+const app = require("../app");
+const ApiKey = require("../models/apiKey");
+const AuditLog = require("../models/auditLog");
+
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+  testJobIds,
+  u1Token,
+  adminToken,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/************************************** GET /admin/audit */
+
+describe("GET /admin/audit", function () {
+  test("records company changes, with before and after", async function () {
+    await request(app)
+        .patch("/companies/c1")
+        .send({ name: "C1-new" })
+        .set("authorization", `Bearer ${adminToken}`);
+
+    const resp = await request(app)
+        .get("/admin/audit")
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.body).toEqual({
+      entries: [
+        {
+          id: expect.any(Number),
+          actor: "u3",
+          action: "update",
+          entityType: "company",
+          entityId: "c1",
+          before: {
+            handle: "c1",
+            name: "C1",
+            description: "Desc1",
+            numEmployees: 1,
+            logoUrl: "http://c1.img",
+            version: 1,
+          },
+          after: {
+            handle: "c1",
+            name: "C1-new",
+            description: "Desc1",
+            numEmployees: 1,
+            logoUrl: "http://c1.img",
+            version: 2,
+          },
+          createdAt: expect.any(String),
+        },
+      ],
+      pagination: { total: 1, limit: 20, offset: 0, next: null, prev: null },
+    });
+  });
+
+  test("records job, user and API key changes", async function () {
+    const { key } = await ApiKey.create(
+        { name: "import", permissions: ["jobs:write"] });
+    await request(app)
+        .delete(`/jobs/${testJobIds[0]}`)
+        .set("x-api-key", key);
+    await request(app)
+        .patch("/users/u1")
+        .send({ role: "recruiter" })
+        .set("authorization", `Bearer ${adminToken}`);
+
+    const resp = await request(app)
+        .get("/admin/audit")
+        .set("authorization", `Bearer ${adminToken}`);
+    const [userEntry, jobEntry] = resp.body.entries;
+    expect(userEntry).toEqual(expect.objectContaining({
+      actor: "u3",
+      action: "update",
+      entityType: "user",
+      entityId: "u1",
+    }));
+    expect(userEntry.before.role).toEqual("candidate");
+    expect(userEntry.after.role).toEqual("recruiter");
+    expect(jobEntry).toEqual(expect.objectContaining({
+      actor: expect.stringMatching(/^api_key:\d+$/),
+      action: "delete",
+      entityType: "job",
+      entityId: `${testJobIds[0]}`,
+      after: null,
+    }));
+    expect(jobEntry.before.title).toEqual("J1");
+  });
+
+  test("records application changes", async function () {
+    await request(app)
+        .post(`/users/u1/jobs/${testJobIds[1]}`)
+        .set("authorization", `Bearer ${u1Token}`);
+    await request(app)
+        .patch(`/users/u1/jobs/${testJobIds[0]}`)
+        .send({ state: "interviewing" })
+        .set("authorization", `Bearer ${adminToken}`);
+
+    const resp = await request(app)
+        .get("/admin/audit")
+        .query({ entityType: "application" })
+        .set("authorization", `Bearer ${adminToken}`);
+    const [updateEntry, createEntry] = resp.body.entries;
+    expect(updateEntry).toEqual(expect.objectContaining({
+      actor: "u3",
+      action: "update",
+      entityId: `u1:${testJobIds[0]}`,
+      before: { state: "applied" },
+      after: { state: "interviewing" },
+    }));
+    expect(createEntry).toEqual(expect.objectContaining({
+      actor: "u1",
+      action: "create",
+      entityId: `u1:${testJobIds[1]}`,
+      before: null,
+      after: { state: "applied" },
+    }));
+  });
+
+  test("doesn't make changes it can't record", async function () {
+    const record = jest.spyOn(AuditLog, "record")
+        .mockRejectedValueOnce(new Error("audit log down"));
+    const resp = await request(app)
+        .patch("/companies/c1")
+        .send({ name: "C1-new" })
+        .set("authorization", `Bearer ${adminToken}`);
+    record.mockRestore();
+
+    expect(resp.statusCode).toEqual(500);
+    const getResp = await request(app).get("/companies/c1");
+    expect(getResp.body.company.name).toEqual("C1");
+  });
+
+  test("doesn't record failed changes", async function () {
+    await request(app)
+        .patch("/companies/c1")
+        .send({ name: "C1-new" })
+        .set("authorization", `Bearer ${u1Token}`);
+    await request(app)
+        .delete("/companies/nope")
+        .set("authorization", `Bearer ${adminToken}`);
+
+    const resp = await request(app)
+        .get("/admin/audit")
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.body.entries).toEqual([]);
+  });
+
+  test("works: filtering", async function () {
+    await request(app)
+        .post("/companies/c2/recruiters/u1")
+        .set("authorization", `Bearer ${adminToken}`);
+    await request(app)
+        .post("/users/u1/unlock")
+        .set("authorization", `Bearer ${adminToken}`);
+
+    let resp = await request(app)
+        .get("/admin/audit")
+        .query({ actor: "u3", entityType: "company" })
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.body.entries.map(e => [e.action, e.entityId, e.after]))
+        .toEqual([["link_recruiter", "c2", { recruiter: "u1" }]]);
+
+    resp = await request(app)
+        .get("/admin/audit")
+        .query({ to: "2000-01-01" })
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.body.entries).toEqual([]);
+  });
+
+  test("bad request on invalid filter", async function () {
+    const resp = await request(app)
+        .get("/admin/audit")
+        .query({ entityType: "planet" })
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("bad request on date that doesn't exist", async function () {
+    const resp = await request(app)
+        .get("/admin/audit")
+        .query({ from: "2020-02-30" })
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("unauth without permission", async function () {
+    const resp = await request(app)
+        .get("/admin/audit")
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+});
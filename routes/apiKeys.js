@@ -0,0 +1,113 @@
+"use strict";
+
+/** Routes for API keys. */
+
+const jsonschema = require("jsonschema");
+const express = require("express");
+const db = require("../db");
+
+const { BadRequestError } = require("../expressError");
+const {
+  ensureLoggedIn,
+  hasPermission,
+  requirePermission,
+} = require("../middleware/auth");
+const ApiKey = require("../models/apiKey");
+const AuditLog = require("../models/auditLog");
+const { parseId } = require("../helpers/params");
+
+const apiKeyNewSchema = require("../schemas/apiKeyNew.json");
+
+const router = new express.Router();
+
+
+/** POST / { name, permissions }  =>  { apiKey, key }
+ *
+ * Creates an API key, e.g. for a script that imports jobs. Requests with the
+ * key in their X-API-Key header get its permissions; company-scoped
+ * permissions (like jobs:write:company) can't be given, since a key isn't
+ * linked to any company.
+ *
+ * Returns { apiKey: { id, name, permissions, createdBy, createdAt }, key }
+ *   key is not stored and can't be shown again.
+ *
+ * Authorization required: logged in, with permission api_keys:write and every
+ * permission given to the key
+ */
+
+router.post("/",
+  ensureLoggedIn,
+  requirePermission("api_keys:write"),
+  async function (req, res, next) {
+    const validator = jsonschema.validate(
+      req.body,
+      apiKeyNewSchema,
+      { required: true }
+    );
+    if (!validator.valid) {
+      const errs = validator.errors.map(e => e.stack);
+      throw new BadRequestError(errs);
+    }
+
+    const { name, permissions } = req.body;
+    for (const permission of permissions) {
+      if (permission.endsWith(":company")
+          || !hasPermission(res.locals.user, permission)) {
+        throw new BadRequestError(`Cannot give permission: ${permission}`);
+      }
+    }
+
+    const { key, ...apiKey } = await db.transaction(async client => {
+      const { key, ...apiKey } = await ApiKey.create(
+        { name, permissions, createdBy: res.locals.user.username }, client);
+      await AuditLog.record(res.locals.user, {
+        action: "create",
+        entityType: "api_key",
+        entityId: apiKey.id,
+        after: apiKey,
+      }, client);
+      return { key, ...apiKey };
+    });
+    return res.status(201).json({ apiKey, key });
+});
+
+/** GET /  =>
+ *   { apiKeys: [ { id, name, permissions, createdBy, createdAt, lastUsedAt,
+ *                  revokedAt }, ... ] }
+ *
+ * Authorization required: logged in, with permission api_keys:write
+ */
+
+router.get("/",
+  ensureLoggedIn,
+  requirePermission("api_keys:write"),
+  async function (req, res, next) {
+    const apiKeys = await ApiKey.findAll();
+    return res.json({ apiKeys });
+});
+
+/** DELETE /[id]  =>  { revoked: id }
+ *
+ * Revokes the key; requests using it are no longer authenticated.
+ *
+ * Authorization required: logged in, with permission api_keys:write
+ */
+
+router.delete("/:id",
+  ensureLoggedIn,
+  requirePermission("api_keys:write"),
+  async function (req, res, next) {
+    const id = parseId(req.params.id, "API key");
+    await db.transaction(async client => {
+      await ApiKey.revoke(id, client);
+      await AuditLog.record(res.locals.user, {
+        action: "revoke",
+        entityType: "api_key",
+        entityId: req.params.id,
+      }, client);
+    });
+    return res.json({ revoked: req.params.id });
+});
+
+
+module.exports = router;
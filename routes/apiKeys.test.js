@@ -0,0 +1,193 @@
+"use strict";
+
+const request = require("supertest");
+
+const app = require("../app");
+
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+  testJobIds,
+  u1Token,
+  adminToken,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+async function createKey(permissions) {
+  const resp = await request(app)
+      .post("/api-keys")
+      .send({ name: "import", permissions })
+      .set("authorization", `Bearer ${adminToken}`);
+  return resp.body;
+}
+
+/************************************** POST /api-keys */
+
+describe("POST /api-keys", function () {
+  test("works for admins", async function () {
+    const resp = await request(app)
+        .post("/api-keys")
+        .send({ name: "import", permissions: ["jobs:write", "companies:write"] })
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(201);
+    expect(resp.body).toEqual({
+      apiKey: {
+        id: expect.any(Number),
+        name: "import",
+        permissions: ["companies:write", "jobs:write"],
+        createdBy: "u3",
+        createdAt: expect.any(String),
+      },
+      key: expect.any(String),
+    });
+  });
+
+  test("bad request giving a permission the admin doesn't have",
+      async function () {
+        const resp = await request(app)
+            .post("/api-keys")
+            .send({ name: "import", permissions: ["everything"] })
+            .set("authorization", `Bearer ${adminToken}`);
+        expect(resp.statusCode).toEqual(400);
+      });
+
+  test("bad request giving a company-scoped permission", async function () {
+    const resp = await request(app)
+        .post("/api-keys")
+        .send({ name: "import", permissions: ["jobs:write:company"] })
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("bad request with invalid data", async function () {
+    const resp = await request(app)
+        .post("/api-keys")
+        .send({ name: "import", permissions: [] })
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("unauth without permission", async function () {
+    const resp = await request(app)
+        .post("/api-keys")
+        .send({ name: "import", permissions: ["jobs:write"] })
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("unauth with a key without permission", async function () {
+    const { key } = await createKey(["jobs:write"]);
+    const resp = await request(app)
+        .post("/api-keys")
+        .send({ name: "more", permissions: ["jobs:write"] })
+        .set("x-api-key", key);
+    expect(resp.statusCode).toEqual(401);
+  });
+});
+
+/************************************** GET /api-keys */
+
+describe("GET /api-keys", function () {
+  test("works for admins", async function () {
+    const { apiKey } = await createKey(["jobs:write"]);
+    const resp = await request(app)
+        .get("/api-keys")
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.body).toEqual({
+      apiKeys: [
+        {
+          ...apiKey,
+          lastUsedAt: null,
+          revokedAt: null,
+        },
+      ],
+    });
+  });
+
+  test("unauth without permission", async function () {
+    const resp = await request(app)
+        .get("/api-keys")
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+});
+
+/************************************** DELETE /api-keys/:id */
+
+describe("DELETE /api-keys/:id", function () {
+  test("works for admins", async function () {
+    const { apiKey, key } = await createKey(["jobs:write"]);
+    const resp = await request(app)
+        .delete(`/api-keys/${apiKey.id}`)
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.body).toEqual({ revoked: `${apiKey.id}` });
+
+    const jobResp = await request(app)
+        .delete(`/jobs/${testJobIds[0]}`)
+        .set("x-api-key", key);
+    expect(jobResp.statusCode).toEqual(401);
+  });
+
+  test("unauth without permission", async function () {
+    const { apiKey } = await createKey(["jobs:write"]);
+    const resp = await request(app)
+        .delete(`/api-keys/${apiKey.id}`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("not found for no such key", async function () {
+    const resp = await request(app)
+        .delete("/api-keys/0")
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+
+  test("bad request on invalid id", async function () {
+    const resp = await request(app)
+        .delete("/api-keys/nope")
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+});
+
+/************************************** using keys */
+
+describe("requests with X-API-Key", function () {
+  test("get the key's permissions", async function () {
+    const { key } = await createKey(["jobs:write"]);
+    const resp = await request(app)
+        .post("/jobs")
+        .send({ title: "J-new", salary: 10, equity: 0.2, companyHandle: "c1" })
+        .set("x-api-key", key);
+    expect(resp.statusCode).toEqual(201);
+
+    const keysResp = await request(app)
+        .get("/api-keys")
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(keysResp.body.apiKeys[0].lastUsedAt).toEqual(expect.any(String));
+  });
+
+  test("get no other permissions", async function () {
+    const { key } = await createKey(["jobs:write"]);
+    const resp = await request(app)
+        .post("/companies")
+        .send({ handle: "new", name: "New", description: "New co" })
+        .set("x-api-key", key);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("unauth with unknown key", async function () {
+    const resp = await request(app)
+        .post("/jobs")
+        .send({ title: "J-new", salary: 10, equity: 0.2, companyHandle: "c1" })
+        .set("x-api-key", "nope");
+    expect(resp.statusCode).toEqual(401);
+  });
+});
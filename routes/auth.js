@@ -5,16 +5,37 @@
 const jsonschema = require("jsonschema");
 
 const User = require("../models/user");
+const RefreshToken = require("../models/refreshToken");
+const TokenRevocation = require("../models/tokenRevocation");
+const PasswordReset = require("../models/passwordReset");
+const LoginThrottle = require("../models/loginThrottle");
+const Role = require("../models/role");
+const EmailVerification = require("../models/emailVerification");
 const express = require("express");
 const router = new express.Router();
 const { createToken } = require("../helpers/tokens");
+const { ensureUser } = require("../middleware/auth");
+const { sendMail, sendVerificationEmail } = require("../helpers/mailer");
 const userAuthSchema = require("../schemas/userAuth.json");
 const userRegisterSchema = require("../schemas/userRegister.json");
+const tokenRefreshSchema = require("../schemas/tokenRefresh.json");
+const logoutSchema = require("../schemas/logout.json");
+const passwordResetRequestSchema =
+  require("../schemas/passwordResetRequest.json");
+const passwordResetConfirmSchema =
+  require("../schemas/passwordResetConfirm.json");
+const verifyEmailSchema = require("../schemas/verifyEmail.json");
 const { BadRequestError } = require("../expressError");
 
-/** POST /auth/token:  { username, password } => { token }
+/** POST /auth/token:  { username, password } => { token, refreshToken }
  *
- * Returns JWT token which can be used to authenticate further requests.
+ * Returns JWT token which can be used to authenticate further requests, and
+ * a refresh token to get a new JWT from /auth/refresh once it expires.
+ *
+ * Repeated failed logins for a username or from an address are slowed down:
+ * past a few, further tries get 429 until the Retry-After header's seconds
+ * have passed; too many lock the account (423) until it times out or an
+ * admin unlocks it.
  *
  * Authorization required: none
  */
@@ -31,17 +52,23 @@ router.post("/token", async function (req, res, next) {
   }
 
   const { username, password } = req.body;
-  const user = await User.authenticate(username, password);
-  const token = createToken(user);
-  return res.json({ token });
+  const user = await LoginThrottle.attempt(
+    username, req.ip, () => User.authenticate(username, password));
+
+  const token = createToken(user, await Role.permissions(user.role));
+  const refreshToken = await RefreshToken.issue(user.username);
+  return res.json({ token, refreshToken });
 });
 
 
-/** POST /auth/register:   { user } => { token }
+/** POST /auth/register:   { user } => { token, refreshToken }
  *
  * user must include { username, password, firstName, lastName, email }
  *
- * Returns JWT token which can be used to authenticate further requests.
+ * Returns JWT token which can be used to authenticate further requests, and
+ * a refresh token to get a new JWT from /auth/refresh once it expires.
+ *
+ * Emails a token to verify the email address with at /auth/verify-email.
  *
  * Authorization required: none
  */
@@ -57,9 +84,171 @@ router.post("/register", async function (req, res, next) {
     throw new BadRequestError(errs);
   }
 
-  const newUser = await User.register({ ...req.body, isAdmin: false });
-  const token = createToken(newUser);
-  return res.status(201).json({ token });
+  const newUser = await User.register({ ...req.body, role: "candidate" });
+  await sendVerificationEmail(
+    await EmailVerification.issue(newUser.username));
+  const token = createToken(newUser, await Role.permissions(newUser.role));
+  const refreshToken = await RefreshToken.issue(newUser.username);
+  return res.status(201).json({ token, refreshToken });
+});
+
+
+/** POST /auth/refresh:  { refreshToken } => { token, refreshToken }
+ *
+ * Exchanges a refresh token for a new JWT token and a new refresh token;
+ * each refresh token can only be used once.
+ *
+ * Authorization required: none
+ */
+
+router.post("/refresh", async function (req, res, next) {
+  const validator = jsonschema.validate(
+    req.body,
+    tokenRefreshSchema,
+    {required: true}
+  );
+  if (!validator.valid) {
+    const errs = validator.errors.map(e => e.stack);
+    throw new BadRequestError(errs);
+  }
+
+  const { user, refreshToken } = await RefreshToken.rotate(
+    req.body.refreshToken);
+  const token = createToken(user, await Role.permissions(user.role));
+  return res.json({ token, refreshToken });
+});
+
+
+/** POST /auth/logout:  { refreshToken } => { loggedOut: username }
+ *
+ * Revokes the JWT token used for this request. If given, also revokes the
+ * refresh token that came with it.
+ *
+ * Authorization required: logged in as a user (not with an API key)
+ */
+
+router.post("/logout", ensureUser, async function (req, res, next) {
+  const body = req.body || {};
+  const validator = jsonschema.validate(
+    body,
+    logoutSchema,
+    {required: true}
+  );
+  if (!validator.valid) {
+    const errs = validator.errors.map(e => e.stack);
+    throw new BadRequestError(errs);
+  }
+
+  const { username } = res.locals.user;
+  await TokenRevocation.revoke(res.locals.user);
+  if (body.refreshToken) {
+    await RefreshToken.revoke(body.refreshToken, username);
+  }
+  return res.json({ loggedOut: username });
+});
+
+
+/** POST /auth/password-reset/request:  { email } => { message }
+ *
+ * Emails a single-use password reset token to each user with this email.
+ * The response is the same whether or not any user has it, so this can't be
+ * used to find out who is registered.
+ *
+ * Authorization required: none
+ */
+
+router.post("/password-reset/request", async function (req, res, next) {
+  const validator = jsonschema.validate(
+    req.body,
+    passwordResetRequestSchema,
+    {required: true}
+  );
+  if (!validator.valid) {
+    const errs = validator.errors.map(e => e.stack);
+    throw new BadRequestError(errs);
+  }
+
+  const resets = await PasswordReset.request(req.body.email);
+  for (const { username, email, token } of resets) {
+    await sendMail({
+      to: email,
+      subject: "Reset your Jobly password",
+      text: `Someone asked to reset the password of Jobly user ${username}.
+If it was you, use this code to choose a new password:
+
+${token}
+
+If it wasn't you, you can ignore this email.`,
+    });
+  }
+
+  return res.json({
+    message: "If that email is registered, a reset code has been sent",
+  });
+});
+
+
+/** POST /auth/password-reset/confirm:  { token, password } => { reset }
+ *
+ * Sets a new password using a token from /auth/password-reset/request. Signs
+ * the user out everywhere.
+ *
+ * Returns { reset: username }
+ *
+ * Authorization required: none
+ */
+
+router.post("/password-reset/confirm", async function (req, res, next) {
+  const validator = jsonschema.validate(
+    req.body,
+    passwordResetConfirmSchema,
+    {required: true}
+  );
+  if (!validator.valid) {
+    const errs = validator.errors.map(e => e.stack);
+    throw new BadRequestError(errs);
+  }
+
+  const { token, password } = req.body;
+  const { username } = await PasswordReset.confirm(token, password);
+  return res.json({ reset: username });
+});
+
+
+/** GET /auth/verify-email?token=  =>  { verified: username }
+ *
+ * Marks a user's email verified, using the token emailed to that address.
+ *
+ * Authorization required: none
+ */
+
+router.get("/verify-email", async function (req, res, next) {
+  const validator = jsonschema.validate(
+    req.query,
+    verifyEmailSchema,
+    {required: true}
+  );
+  if (!validator.valid) {
+    const errs = validator.errors.map(e => e.stack);
+    throw new BadRequestError(errs);
+  }
+
+  const { username } = await EmailVerification.verify(req.query.token);
+  return res.json({ verified: username });
+});
+
+
+/** POST /auth/verify-email  =>  { message }
+ *
+ * Emails the logged in user a new token to verify their email address with.
+ *
+ * Authorization required: logged in as a user (not with an API key)
+ */
+
+router.post("/verify-email", ensureUser, async function (req, res, next) {
+  await sendVerificationEmail(
+    await EmailVerification.issue(res.locals.user.username));
+  return res.json({ message: "Verification email sent" });
 });
 
 
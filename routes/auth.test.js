@@ -2,13 +2,22 @@
 
 const request = require("supertest");
 
+const db = require("../db.js");
 const app = require("../app");
+const ApiKey = require("../models/apiKey");
+const {
+  LOGIN_FREE_ATTEMPTS,
+  LOGIN_LOCKOUT_AFTER,
+} = require("../config");
+const { setTransport } = require("../helpers/mailer");
 
 const {
   commonBeforeAll,
   commonBeforeEach,
   commonAfterEach,
   commonAfterAll,
+  u1Token,
+  adminToken,
 } = require("./_testCommon");
 
 beforeAll(commonBeforeAll);
@@ -28,6 +37,7 @@ describe("POST /auth/token", function () {
         });
     expect(resp.body).toEqual({
       "token": expect.any(String),
+      "refreshToken": expect.any(String),
     });
   });
 
@@ -51,6 +61,54 @@ describe("POST /auth/token", function () {
     expect(resp.statusCode).toEqual(401);
   });
 
+  test("backs off after repeated failures", async function () {
+    for (let i = 0; i < LOGIN_FREE_ATTEMPTS + 1; i++) {
+      await request(app)
+          .post("/auth/token")
+          .send({ username: "u1", password: "nope" });
+    }
+    const resp = await request(app)
+        .post("/auth/token")
+        .send({ username: "u1", password: "password1" });
+    expect(resp.statusCode).toEqual(429);
+    expect(resp.headers["retry-after"]).toEqual("1");
+  });
+
+  test("locks account after too many failures", async function () {
+    await db.query(`
+        INSERT INTO login_failures (kind, key, failures, last_failed_at)
+        VALUES ('username', 'u1', $1, CURRENT_TIMESTAMP)`,
+        [LOGIN_LOCKOUT_AFTER - 1]);
+    const failResp = await request(app)
+        .post("/auth/token")
+        .send({ username: "u1", password: "nope" });
+    expect(failResp.statusCode).toEqual(401);
+
+    const resp = await request(app)
+        .post("/auth/token")
+        .send({ username: "u1", password: "password1" });
+    expect(resp.statusCode).toEqual(423);
+  });
+
+  test("success forgets failures", async function () {
+    for (let i = 0; i < LOGIN_FREE_ATTEMPTS; i++) {
+      await request(app)
+          .post("/auth/token")
+          .send({ username: "u1", password: "nope" });
+    }
+    await request(app)
+        .post("/auth/token")
+        .send({ username: "u1", password: "password1" });
+    await request(app)
+        .post("/auth/token")
+        .send({ username: "u1", password: "nope" });
+
+    const resp = await request(app)
+        .post("/auth/token")
+        .send({ username: "u1", password: "password1" });
+    expect(resp.statusCode).toEqual(200);
+  });
+
   test("bad request with missing data", async function () {
     const resp = await request(app)
         .post("/auth/token")
@@ -74,6 +132,13 @@ describe("POST /auth/token", function () {
 /************************************** POST /auth/register */
 
 describe("POST /auth/register", function () {
+  let sent;
+
+  beforeEach(function () {
+    sent = [];
+    setTransport(async message => sent.push(message));
+  });
+
   test("works for anon", async function () {
     const resp = await request(app)
         .post("/auth/register")
@@ -87,7 +152,10 @@ describe("POST /auth/register", function () {
     expect(resp.statusCode).toEqual(201);
     expect(resp.body).toEqual({
       "token": expect.any(String),
+      "refreshToken": expect.any(String),
     });
+    expect(sent.length).toEqual(1);
+    expect(sent[0].to).toEqual("new@email.com");
   });
 
   test("bad request with missing fields", async function () {
@@ -112,3 +180,264 @@ describe("POST /auth/register", function () {
     expect(resp.statusCode).toEqual(400);
   });
 });
+
+/************************************** POST /auth/refresh */
+
+describe("POST /auth/refresh", function () {
+  async function login() {
+    const resp = await request(app)
+        .post("/auth/token")
+        .send({
+          username: "u1",
+          password: "password1",
+        });
+    return resp.body.refreshToken;
+  }
+
+  test("works", async function () {
+    const refreshToken = await login();
+    const resp = await request(app)
+        .post("/auth/refresh")
+        .send({ refreshToken });
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body).toEqual({
+      "token": expect.any(String),
+      "refreshToken": expect.any(String),
+    });
+    expect(resp.body.refreshToken).not.toEqual(refreshToken);
+
+    const userResp = await request(app)
+        .get("/users/u1")
+        .set("authorization", `Bearer ${resp.body.token}`);
+    expect(userResp.statusCode).toEqual(200);
+  });
+
+  test("unauth with reused token, which revokes the rotated one", async function () {
+    const refreshToken = await login();
+    const first = await request(app)
+        .post("/auth/refresh")
+        .send({ refreshToken });
+    const reused = await request(app)
+        .post("/auth/refresh")
+        .send({ refreshToken });
+    expect(reused.statusCode).toEqual(401);
+
+    const rotated = await request(app)
+        .post("/auth/refresh")
+        .send({ refreshToken: first.body.refreshToken });
+    expect(rotated.statusCode).toEqual(401);
+  });
+
+  test("unauth with unknown token", async function () {
+    const resp = await request(app)
+        .post("/auth/refresh")
+        .send({ refreshToken: "nope" });
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("bad request with missing data", async function () {
+    const resp = await request(app)
+        .post("/auth/refresh")
+        .send({});
+    expect(resp.statusCode).toEqual(400);
+  });
+});
+
+/************************************** POST /auth/logout */
+
+describe("POST /auth/logout", function () {
+  async function login() {
+    const resp = await request(app)
+        .post("/auth/token")
+        .send({
+          username: "u1",
+          password: "password1",
+        });
+    return resp.body;
+  }
+
+  test("works", async function () {
+    const { token, refreshToken } = await login();
+    const resp = await request(app)
+        .post("/auth/logout")
+        .send({ refreshToken })
+        .set("authorization", `Bearer ${token}`);
+    expect(resp.body).toEqual({ loggedOut: "u1" });
+
+    const userResp = await request(app)
+        .get("/users/u1")
+        .set("authorization", `Bearer ${token}`);
+    expect(userResp.statusCode).toEqual(401);
+
+    const refreshResp = await request(app)
+        .post("/auth/refresh")
+        .send({ refreshToken });
+    expect(refreshResp.statusCode).toEqual(401);
+  });
+
+  test("works without refresh token", async function () {
+    const { token } = await login();
+    const resp = await request(app)
+        .post("/auth/logout")
+        .set("authorization", `Bearer ${token}`);
+    expect(resp.body).toEqual({ loggedOut: "u1" });
+  });
+
+  test("unauth for anon", async function () {
+    const resp = await request(app)
+        .post("/auth/logout");
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("unauth with API key", async function () {
+    const { key } = await ApiKey.create(
+        { name: "import", permissions: ["jobs:write"] });
+    const resp = await request(app)
+        .post("/auth/logout")
+        .set("x-api-key", key);
+    expect(resp.statusCode).toEqual(401);
+  });
+});
+
+/************************************** POST /auth/password-reset/* */
+
+describe("POST /auth/password-reset", function () {
+  let sent;
+
+  beforeEach(function () {
+    sent = [];
+    setTransport(async message => sent.push(message));
+  });
+
+  test("works", async function () {
+    const resp = await request(app)
+        .post("/auth/password-reset/request")
+        .send({ email: "user1@user.com" });
+    expect(resp.statusCode).toEqual(200);
+    expect(sent.length).toEqual(1);
+    expect(sent[0].to).toEqual("user1@user.com");
+
+    const token = sent[0].text.split("\n")[3];
+    const confirm = await request(app)
+        .post("/auth/password-reset/confirm")
+        .send({ token, password: "new-password" });
+    expect(confirm.body).toEqual({ reset: "u1" });
+
+    const login = await request(app)
+        .post("/auth/token")
+        .send({ username: "u1", password: "new-password" });
+    expect(login.statusCode).toEqual(200);
+
+    const reused = await request(app)
+        .post("/auth/password-reset/confirm")
+        .send({ token, password: "other-password" });
+    expect(reused.statusCode).toEqual(400);
+  });
+
+  test("same response for unknown email", async function () {
+    const resp = await request(app)
+        .post("/auth/password-reset/request")
+        .send({ email: "nope@user.com" });
+    expect(resp.statusCode).toEqual(200);
+    expect(sent).toEqual([]);
+  });
+
+  test("bad request with invalid email", async function () {
+    const resp = await request(app)
+        .post("/auth/password-reset/request")
+        .send({ email: "not-an-email" });
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("bad request with invalid token", async function () {
+    const resp = await request(app)
+        .post("/auth/password-reset/confirm")
+        .send({ token: "nope", password: "new-password" });
+    expect(resp.statusCode).toEqual(400);
+  });
+});
+
+
+/************************************** /auth/verify-email */
+
+describe("GET /auth/verify-email", function () {
+  let sent;
+
+  beforeEach(function () {
+    sent = [];
+    setTransport(async message => sent.push(message));
+  });
+
+  async function register() {
+    await request(app)
+        .post("/auth/register")
+        .send({
+          username: "new",
+          firstName: "first",
+          lastName: "last",
+          password: "password",
+          email: "new@email.com",
+        });
+  }
+
+  test("works", async function () {
+    await register();
+    expect(sent.length).toEqual(1);
+    expect(sent[0].to).toEqual("new@email.com");
+
+    const token = sent[0].text.split("\n")[3];
+    const resp = await request(app)
+        .get("/auth/verify-email")
+        .query({ token });
+    expect(resp.body).toEqual({ verified: "new" });
+
+    const again = await request(app)
+        .get("/auth/verify-email")
+        .query({ token });
+    expect(again.statusCode).toEqual(400);
+  });
+
+  test("bad request with invalid token", async function () {
+    const resp = await request(app)
+        .get("/auth/verify-email")
+        .query({ token: "nope" });
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("bad request with missing token", async function () {
+    const resp = await request(app)
+        .get("/auth/verify-email");
+    expect(resp.statusCode).toEqual(400);
+  });
+});
+
+describe("POST /auth/verify-email", function () {
+  let sent;
+
+  beforeEach(function () {
+    sent = [];
+    setTransport(async message => sent.push(message));
+  });
+
+  test("works", async function () {
+    const resp = await request(app)
+        .post("/auth/verify-email")
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(200);
+    expect(sent.length).toEqual(1);
+    expect(sent[0].to).toEqual("user3@user.com");
+  });
+
+  test("bad request if already verified", async function () {
+    const resp = await request(app)
+        .post("/auth/verify-email")
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("unauth for anon", async function () {
+    const resp = await request(app)
+        .post("/auth/verify-email");
+    expect(resp.statusCode).toEqual(401);
+  });
+});
@@ -4,17 +4,40 @@
 
 const jsonschema = require("jsonschema");
 const express = require("express");
+const db = require("../db");
 
 const { BadRequestError } = require("../expressError");
-const { ensureLoggedIn, isAdmin } = require("../middleware/auth");
+const {
+  ensureLoggedIn,
+  requirePermission,
+  requireCompanyPermission,
+} = require("../middleware/auth");
 const Company = require("../models/company");
+const Application = require("../models/application");
+const Recruiter = require("../models/recruiter");
+const AuditLog = require("../models/auditLog");
+const { pageParams, paginate } = require("../helpers/pagination");
+const { etagFor, versionsFromIfMatch } = require("../helpers/etag");
+const { checkDates } = require("../helpers/params");
+const { cacheResponse, invalidatesCache } = require("../middleware/cache");
+const {
+  importRows,
+  validationErrors,
+  importReport,
+  createImported,
+} = require("../helpers/import");
 
 const companyNewSchema = require("../schemas/companyNew.json");
 const getCompaniesSchema = require("../schemas/getCompanies.json");
+const getCompanySchema = require("../schemas/getCompany.json");
 const companyUpdateSchema = require("../schemas/companyUpdate.json");
+const getApplicationsSchema = require("../schemas/getApplications.json");
+const importQuerySchema = require("../schemas/importQuery.json");
 
 const router = new express.Router();
 
+router.use(invalidatesCache);
+
 
 /** POST / { company } =>  { company }
  *
@@ -22,38 +45,126 @@ const router = new express.Router();
  *
  * Returns { handle, name, description, numEmployees, logoUrl }
  *
- * Authorization required: logged in, and an admin
+ * Authorization required: logged in, with permission companies:write
  */
 
-router.post("/", ensureLoggedIn, isAdmin, async function (req, res, next) {
+router.post("/",
+  ensureLoggedIn,
+  requirePermission("companies:write"),
+  async function (req, res, next) {
 
-  const validator = jsonschema.validate(
-    req.body,
-    companyNewSchema,
-    { required: true }
-  );
-  if (!validator.valid) {
-    const errs = validator.errors.map(e => e.stack);
-    throw new BadRequestError(errs);
-  }
+    const validator = jsonschema.validate(
+      req.body,
+      companyNewSchema,
+      { required: true }
+    );
+    if (!validator.valid) {
+      const errs = validator.errors.map(e => e.stack);
+      throw new BadRequestError(errs);
+    }
 
-  const company = await Company.create(req.body);
-  return res.status(201).json({ company });
+    const company = await db.transaction(async client => {
+      const company = await Company.create(
+        req.body, AuditLog.actorOf(res.locals.user), client);
+      await AuditLog.record(res.locals.user, {
+        action: "create",
+        entityType: "company",
+        entityId: company.handle,
+        after: company,
+      }, client);
+      return company;
+    });
+    return res.status(201).json({ company });
+});
+
+/** POST /import [ { company }, ... ]  =>  { companies: [ company, ... ] }
+ *
+ * Creates many companies at once, from a JSON array of companies (each like
+ * POST / takes) or from CSV (Content-Type text/csv) with a header naming
+ * the fields, e.g. "handle,name,description,numEmployees,logoUrl".
+ *
+ * Either all the companies (and their audit log entries) are created or none
+ * are: if any rows are invalid or clash with existing companies (or each
+ * other), even ones created meanwhile, this responds 400 with a report of
+ * them,
+ *   { error: { message: [ { row, errors: [message, ...] }, ... ], status } }
+ * where row counts from 1 (after the CSV header).
+ *
+ * With dryRun=true, only checks the rows, returning them as they would be
+ * created: { dryRun: true, companies: [ company, ... ] }
+ *
+ * Returns { companies: [ { handle, name, description, numEmployees, logoUrl,
+ *                          version }, ... ] }
+ *
+ * Authorization required: logged in, with permission companies:write
+ */
+
+router.post("/import",
+  ensureLoggedIn,
+  requirePermission("companies:write"),
+  express.text({ type: "text/csv" }),
+  async function (req, res, next) {
+    const queries = req.query;
+    if ("dryRun" in queries) queries.dryRun = queries.dryRun === "true";
+
+    const validator = jsonschema.validate(
+      queries,
+      importQuerySchema,
+      { required: true }
+    );
+    if (!validator.valid) {
+      const errs = validator.errors.map(e => e.stack);
+      throw new BadRequestError(errs);
+    }
+
+    const rows = importRows(req, companyNewSchema);
+    const report = importReport(
+      validationErrors(rows, companyNewSchema),
+      await Company.checkNew(rows),
+    );
+    if (report.length > 0) throw new BadRequestError(report);
+    if (queries.dryRun) return res.json({ dryRun: true, companies: rows });
+
+    const companies = await createImported(rows, async client => {
+      const companies = await Company.createMany(
+        rows, AuditLog.actorOf(res.locals.user), client);
+      for (const company of companies) {
+        await AuditLog.record(res.locals.user, {
+          action: "import",
+          entityType: "company",
+          entityId: company.handle,
+          after: company,
+        }, client);
+      }
+      return companies;
+    }, Company.checkNew);
+    return res.status(201).json({ companies });
 });
 
 /** GET /  =>
- *   { companies: [ { handle, name, description, numEmployees, logoUrl }, ...] }
+ *   { companies: [ { handle, name, description, numEmployees, logoUrl }, ...],
+ *     pagination: { total, limit, offset, next, prev } }
  *
  * Can filter on provided search filters:
  * - minEmployees
  * - maxEmployees
  * - nameLike (will find case-insensitive, partial matches)
  *
+ * Sorts with sort, a comma-separated list of name and numEmployees, each
+ * prefixed with "-" for descending order (default is by name).
+ *
+ * Pages with limit (default 20) and either offset or an opaque cursor taken
+ * from the next/prev links.
+ *
  * Throws error if minEmployees query is greater than maxEmployees
+ *
+ * Responses are cached (see middleware/cache.js); send If-None-Match or
+ * If-Modified-Since to get 304 Not Modified if they haven't changed.
+ *
  * Authorization required: none
  */
 
-router.get("/", async function (req, res, next) {
+router.get("/", cacheResponse, async function (req, res, next) {
   const queries = req.query;
   // console.log("queries >>>>>>:", queries);
 
@@ -63,6 +174,12 @@ router.get("/", async function (req, res, next) {
   if ("maxEmployees" in queries) {
     queries.maxEmployees = Number(queries.maxEmployees);
   }
+  if ("limit" in queries) {
+    queries.limit = Number(queries.limit);
+  }
+  if ("offset" in queries) {
+    queries.offset = Number(queries.offset);
+  }
 
   // console.log("REQ QUERY>>>>>", queries);
 
@@ -77,57 +194,303 @@ router.get("/", async function (req, res, next) {
     throw new BadRequestError(errs);
   }
 
-  const companies = await Company.findAll(queries);
-  return res.json({ companies });
+  const page = pageParams(queries);
+  const companies = await Company.findAll(
+    { ...queries, limit: page.limit, offset: page.offset });
+  const total = await Company.count(queries);
+  return res.json({ companies, pagination: paginate(req, { total, ...page }) });
 });
 
 /** GET /[handle]  =>  { company }
  *
- *  Company is { handle, name, description, numEmployees, logoUrl, jobs }
+ *  Company is { handle, name, description, numEmployees, logoUrl, version,
+ *               jobs }
  *   where jobs is [{ id, title, salary, equity }, ...]
  *
+ * The ETag header starts with the company's version, for PATCH's If-Match
+ * (the rest changes with its jobs).
+ *
+ * Responses are cached (see middleware/cache.js); send If-None-Match or
+ * If-Modified-Since to get 304 Not Modified if they haven't changed.
+ *
+ * Can filter the company's jobs on provided search filters:
+ * - title (will find case-insensitive, partial matches)
+ * - minSalary
+ * - hasEquity
+ *
+ * Or, with asOf (a date, "YYYY-MM-DD"), returns the company and its jobs as
+ * they were at the end of that day, plus the company's version and changedAt
+ * (see GET /[handle]/history); this can't be combined with the filters.
+ *
  * Authorization required: none
  */
 
-router.get("/:handle", async function (req, res, next) {
-  const company = await Company.get(req.params.handle);
+router.get("/:handle", cacheResponse, async function (req, res, next) {
+  const queries = req.query;
+
+  if ("minSalary" in queries) {
+    queries.minSalary = Number(queries.minSalary);
+  }
+  if ("hasEquity" in queries) {
+    queries.hasEquity = queries.hasEquity === "true" ? true : false;
+  }
+
+  const result = jsonschema.validate(
+    queries,
+    getCompanySchema,
+    { required: true }
+  );
+
+  if (!result.valid) {
+    const errs = result.errors.map(err => err.stack);
+    throw new BadRequestError(errs);
+  }
+  checkDates(queries, ["asOf"]);
+
+  if ("asOf" in queries) {
+    const { asOf, ...jobFilters } = queries;
+    if (Object.keys(jobFilters).length > 0) {
+      throw new BadRequestError("asOf can't be combined with job filters");
+    }
+    const company = await Company.getAsOf(req.params.handle, asOf);
+    return res.json({ company });
+  }
+
+  const company = await Company.get(req.params.handle, queries);
+  res.set("ETag", etagFor(company.version, { company }));
   return res.json({ company });
 });
 
+/** GET /[handle]/history  =>
+ *   { history: [ { version, name, description, numEmployees, logoUrl,
+ *                  deletedAt, changedBy, changedAt, changedFields }, ... ] }
+ *
+ * Returns every version of the company, oldest first: how it was after each
+ * change, who made the change (a username, or api_key:<id>) and which fields
+ * it changed.
+ *
+ * Authorization required: logged in, with permission audit:read
+ */
+
+router.get("/:handle/history",
+  ensureLoggedIn,
+  requirePermission("audit:read"),
+  async function (req, res, next) {
+    const history = await Company.history(req.params.handle);
+    return res.json({ history });
+});
+
 /** PATCH /[handle] { fld1, fld2, ... } => { company }
  *
  * Patches company data.
  *
  * fields can be: { name, description, numEmployees, logo_url }
  *
- * Returns { handle, name, description, numEmployees, logo_url }
+ * With an If-Match header (an ETag from GET /[handle] or an earlier PATCH),
+ * the company is only changed if it hasn't been since; otherwise, or if the
+ * ETag is weak, this responds 412 Precondition Failed.
+ *
+ * Returns { handle, name, description, numEmployees, logo_url, version },
+ * with the new version's ETag
  *
- * Authorization required: logged in and an admin
+ * Authorization required: logged in, with permission companies:write
  */
 
-router.patch("/:handle", ensureLoggedIn, isAdmin, async function (req, res, next) {
-  const validator = jsonschema.validate(
-    req.body,
-    companyUpdateSchema,
-    { required: true }
-  );
-  if (!validator.valid) {
-    const errs = validator.errors.map(e => e.stack);
-    throw new BadRequestError(errs);
-  }
+router.patch("/:handle",
+  ensureLoggedIn,
+  requirePermission("companies:write"),
+  async function (req, res, next) {
+    const validator = jsonschema.validate(
+      req.body,
+      companyUpdateSchema,
+      { required: true }
+    );
+    if (!validator.valid) {
+      const errs = validator.errors.map(e => e.stack);
+      throw new BadRequestError(errs);
+    }
 
-  const company = await Company.update(req.params.handle, req.body);
-  return res.json({ company });
+    const versions = versionsFromIfMatch(req.get("If-Match"));
+    const company = await db.transaction(async client => {
+      const { jobs, ...before } =
+        await Company.get(req.params.handle, {}, client);
+      const company = await Company.update(req.params.handle, req.body,
+        AuditLog.actorOf(res.locals.user), versions, client);
+      await AuditLog.record(res.locals.user, {
+        action: "update",
+        entityType: "company",
+        entityId: company.handle,
+        before,
+        after: company,
+      }, client);
+      return company;
+    });
+    res.set("ETag", etagFor(company.version));
+    return res.json({ company });
 });
 
 /** DELETE /[handle]  =>  { deleted: handle }
  *
- * Authorization: logged in and an admin
+ * The company and its jobs are hidden, and can be restored until they're
+ * purged (see purge.js).
+ *
+ * Authorization required: logged in, with permission companies:write
  */
 
-router.delete("/:handle", ensureLoggedIn, isAdmin, async function (req, res, next) {
-  await Company.remove(req.params.handle);
-  return res.json({ deleted: req.params.handle });
+router.delete("/:handle",
+  ensureLoggedIn,
+  requirePermission("companies:write"),
+  async function (req, res, next) {
+    await db.transaction(async client => {
+      const { jobs, ...before } =
+        await Company.get(req.params.handle, {}, client);
+      await Company.remove(
+        req.params.handle, AuditLog.actorOf(res.locals.user), client);
+      await AuditLog.record(res.locals.user, {
+        action: "delete",
+        entityType: "company",
+        entityId: req.params.handle,
+        before,
+      }, client);
+    });
+    return res.json({ deleted: req.params.handle });
+});
+
+/** POST /[handle]/restore  =>  { restored: handle }
+ *
+ * Undoes the deletion of the company, bringing back its jobs too.
+ *
+ * Authorization required: logged in, with permission companies:write
+ */
+
+router.post("/:handle/restore",
+  ensureLoggedIn,
+  requirePermission("companies:write"),
+  async function (req, res, next) {
+    const company = await db.transaction(async client => {
+      const company = await Company.restore(
+        req.params.handle, AuditLog.actorOf(res.locals.user), client);
+      await AuditLog.record(res.locals.user, {
+        action: "restore",
+        entityType: "company",
+        entityId: company.handle,
+        after: company,
+      }, client);
+      return company;
+    });
+    return res.json({ restored: company.handle });
+});
+
+/** GET /[handle]/recruiters  =>  { recruiters: [username, ...] }
+ *
+ * Authorization required: logged in, with permission companies:write
+ */
+
+router.get("/:handle/recruiters",
+  ensureLoggedIn,
+  requirePermission("companies:write"),
+  async function (req, res, next) {
+    const recruiters = await Recruiter.findForCompany(req.params.handle);
+    return res.json({ recruiters });
+});
+
+/** POST /[handle]/recruiters/[username]  =>  { recruiter: username }
+ *
+ * Links user to company as a recruiter, so the company-scoped permissions of
+ * their role (like jobs:write:company) apply to it.
+ *
+ * Authorization required: logged in, with permission companies:write
+ */
+
+router.post("/:handle/recruiters/:username",
+  ensureLoggedIn,
+  requirePermission("companies:write"),
+  async function (req, res, next) {
+    const { handle, username } = req.params;
+    await db.transaction(async client => {
+      await Recruiter.link(username, handle, client);
+      await AuditLog.record(res.locals.user, {
+        action: "link_recruiter",
+        entityType: "company",
+        entityId: handle,
+        after: { recruiter: username },
+      }, client);
+    });
+    return res.status(201).json({ recruiter: username });
+});
+
+/** DELETE /[handle]/recruiters/[username]  =>  { deleted: username }
+ *
+ * Authorization required: logged in, with permission companies:write
+ */
+
+router.delete("/:handle/recruiters/:username",
+  ensureLoggedIn,
+  requirePermission("companies:write"),
+  async function (req, res, next) {
+    const { handle, username } = req.params;
+    await db.transaction(async client => {
+      await Recruiter.unlink(username, handle, client);
+      await AuditLog.record(res.locals.user, {
+        action: "unlink_recruiter",
+        entityType: "company",
+        entityId: handle,
+        before: { recruiter: username },
+      }, client);
+    });
+    return res.json({ deleted: username });
+});
+
+/** GET /[handle]/applications  =>
+ *   { applications: [ { username, firstName, lastName, email, jobId, title,
+ *                       state, appliedAt }, ... ],
+ *     pagination: { total, limit, offset, next, prev } }
+ *
+ * Returns the applicants to all of the company's jobs, oldest application
+ * first.
+ *
+ * Can filter on provided search filters:
+ * - appliedFrom, appliedTo (dates, "YYYY-MM-DD", both inclusive)
+ *
+ * Paged with limit (default 20) and either offset or an opaque cursor.
+ *
+ * Authorization required: logged in, with permission applications:read, or a
+ * recruiter for the company with permission applications:read:company
+ */
+
+router.get("/:handle/applications",
+  ensureLoggedIn,
+  requireCompanyPermission("applications:read", req => req.params.handle),
+  async function (req, res, next) {
+    const queries = req.query;
+
+    if ("limit" in queries) {
+      queries.limit = Number(queries.limit);
+    }
+    if ("offset" in queries) {
+      queries.offset = Number(queries.offset);
+    }
+
+    const validator = jsonschema.validate(
+      queries,
+      getApplicationsSchema,
+      { required: true }
+    );
+    if (!validator.valid) {
+      const errs = validator.errors.map(e => e.stack);
+      throw new BadRequestError(errs);
+    }
+    checkDates(queries, ["appliedFrom", "appliedTo"]);
+
+    const filters = { ...queries, companyHandle: req.params.handle };
+    const page = pageParams(queries);
+    const applications = await Application.findAll(
+      { ...filters, limit: page.limit, offset: page.offset });
+    const total = await Application.count(filters);
+    return res.json({
+      applications,
+      pagination: paginate(req, { total, ...page }),
+    });
 });
 
 
@@ -4,6 +4,9 @@ const request = require("supertest");
 
 const db = require("../db");
 const app = require("../app");
+const Company = require("../models/company");
+const AuditLog = require("../models/auditLog");
+const { encodeCursor } = require("../helpers/pagination");
 
 const {
   commonBeforeAll,
@@ -11,7 +14,9 @@ const {
   commonAfterEach,
   commonAfterAll,
   u1Token,
-  adminToken
+  recruiterToken,
+  adminToken,
+  testJobIds,
 } = require("./_testCommon");
 
 beforeAll(commonBeforeAll);
@@ -40,6 +45,16 @@ describe("POST /companies", function () {
     expect(resp.statusCode).toEqual(401);
   });
 
+  test("fails without companies:write permission", async function () {
+
+    const resp = await request(app)
+      .post("/companies")
+      .send(newCompany)
+      .set("authorization", `Bearer ${recruiterToken}`);
+
+    expect(resp.statusCode).toEqual(401);
+  });
+
   test("works for admins", async function () {
 
     const resp = await request(app)
@@ -48,7 +63,7 @@ describe("POST /companies", function () {
       .set("authorization", `Bearer ${adminToken}`);
 
     expect(resp.statusCode).toEqual(201);
-    expect(resp.body).toEqual({ company: newCompany });
+    expect(resp.body).toEqual({ company: { ...newCompany, version: 1 } });
   });
 
   test("bad request with missing data", async function () {
@@ -76,6 +91,156 @@ describe("POST /companies", function () {
   });
 });
 
+/************************************** POST /companies/import */
+
+describe("POST /companies/import", function () {
+  const rows = [
+    { handle: "new1", name: "New1", description: "D1", numEmployees: 1 },
+    { handle: "new2", name: "New2", description: "D2" },
+  ];
+
+  test("works for admins: JSON", async function () {
+    const resp = await request(app)
+      .post("/companies/import")
+      .send(rows)
+      .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(201);
+    expect(resp.body).toEqual({
+      companies: [
+        { ...rows[0], logoUrl: null, version: 1 },
+        { ...rows[1], numEmployees: null, logoUrl: null, version: 1 },
+      ],
+    });
+
+    const audit = await db.query(
+      "SELECT entity_id FROM audit_log WHERE action = 'import' ORDER BY id");
+    expect(audit.rows.map(r => r.entity_id)).toEqual(["new1", "new2"]);
+  });
+
+  test("works for admins: CSV", async function () {
+    const resp = await request(app)
+      .post("/companies/import")
+      .set("Content-Type", "text/csv")
+      .send('handle,name,description,numEmployees\n' +
+            'new1,New1,"Big, old",10\n' +
+            'new2,New2,D2,\n')
+      .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(201);
+    expect(resp.body.companies.map(c => [c.description, c.numEmployees]))
+      .toEqual([["Big, old", 10], ["D2", null]]);
+  });
+
+  test("works: dry run creates nothing", async function () {
+    const resp = await request(app)
+      .post("/companies/import")
+      .query({ dryRun: true })
+      .send(rows)
+      .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body).toEqual({ dryRun: true, companies: rows });
+
+    const getResp = await request(app).get("/companies/new1");
+    expect(getResp.statusCode).toEqual(404);
+  });
+
+  test("bad request with a report of the bad rows", async function () {
+    const resp = await request(app)
+      .post("/companies/import")
+      .send([
+        rows[0],
+        { handle: "c1", name: "New2", description: "D2" },
+        { handle: "new3", numEmployees: "lots" },
+      ])
+      .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(400);
+    expect(resp.body.error.message).toEqual([
+      { row: 2, errors: ["Duplicate company: c1"] },
+      {
+        row: 3,
+        errors: [
+          "instance.numEmployees is not of a type(s) integer",
+          'instance requires property "name"',
+          'instance requires property "description"',
+        ],
+      },
+    ]);
+
+    const getResp = await request(app).get("/companies/new1");
+    expect(getResp.statusCode).toEqual(404);
+  });
+
+  test("bad request with sizes too big to store", async function () {
+    const resp = await request(app)
+      .post("/companies/import")
+      .send([rows[0], { ...rows[1], numEmployees: 3000000000 }])
+      .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(400);
+    expect(resp.body.error.message).toEqual([
+      {
+        row: 2,
+        errors: ["instance.numEmployees must be less than or equal to 2147483647"],
+      },
+    ]);
+  });
+
+  test("bad request if a company is created meanwhile", async function () {
+    // as if c1 were created between checking the rows and creating them
+    const checkNew = jest.spyOn(Company, "checkNew")
+      .mockResolvedValueOnce([[], []]);
+    const resp = await request(app)
+      .post("/companies/import")
+      .send([rows[0], { ...rows[1], handle: "c1" }])
+      .set("authorization", `Bearer ${adminToken}`);
+    checkNew.mockRestore();
+
+    expect(resp.statusCode).toEqual(400);
+    expect(resp.body.error.message).toEqual([
+      { row: 2, errors: ["Duplicate company: c1"] },
+    ]);
+    const getResp = await request(app).get("/companies/new1");
+    expect(getResp.statusCode).toEqual(404);
+  });
+
+  test("creates nothing if the audit log fails", async function () {
+    const record = jest.spyOn(AuditLog, "record")
+      .mockRejectedValueOnce(new Error("audit log down"));
+    const resp = await request(app)
+      .post("/companies/import")
+      .send(rows)
+      .set("authorization", `Bearer ${adminToken}`);
+    record.mockRestore();
+
+    expect(resp.statusCode).toEqual(500);
+    const getResp = await request(app).get("/companies/new1");
+    expect(getResp.statusCode).toEqual(404);
+  });
+
+  test("bad request if not an array", async function () {
+    const resp = await request(app)
+      .post("/companies/import")
+      .send(rows[0])
+      .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("bad request on unknown query", async function () {
+    const resp = await request(app)
+      .post("/companies/import")
+      .query({ nope: 1 })
+      .send(rows)
+      .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("unauth without companies:write", async function () {
+    const resp = await request(app)
+      .post("/companies/import")
+      .send(rows)
+      .set("authorization", `Bearer ${recruiterToken}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+});
+
 /************************************** GET /companies */
 
 describe("GET /companies", function () {
@@ -306,6 +471,55 @@ describe("GET /companies", function () {
 
   });
 
+  test("includes pagination", async function () {
+
+    const resp = await request(app).get("/companies")
+      .query({ name: "c", limit: 1, offset: 1 });
+
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body.companies.map(c => c.handle)).toEqual(["c2"]);
+    expect(resp.body.pagination).toEqual({
+      total: 3,
+      limit: 1,
+      offset: 1,
+      next: "/companies?name=c&limit=1&offset=2",
+      prev: "/companies?name=c&limit=1&offset=0",
+    });
+  });
+
+  test("works with sort", async function () {
+
+    const resp = await request(app).get("/companies")
+      .query({ sort: "-numEmployees,name" });
+
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body.companies.map(c => c.handle)).toEqual(["c3", "c2", "c1"]);
+  });
+
+  test("bad request with unsupported sort key", async function () {
+
+    const resp = await request(app).get("/companies")
+      .query({ sort: "-salary" });
+
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("bad request with both offset and cursor", async function () {
+
+    const resp = await request(app).get("/companies")
+      .query({ offset: 1, cursor: encodeCursor(1) });
+
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("bad request with invalid cursor", async function () {
+
+    const resp = await request(app).get("/companies")
+      .query({ cursor: "nope" });
+
+    expect(resp.statusCode).toEqual(400);
+  });
+
 });
 
 /************************************** GET /companies/:handle */
@@ -320,8 +534,38 @@ describe("GET /companies/:handle", function () {
         description: "Desc1",
         numEmployees: 1,
         logoUrl: "http://c1.img",
+        version: 1,
+        jobs: [
+          { id: testJobIds[0], title: "J1", salary: 1, equity: "0.1" },
+          { id: testJobIds[1], title: "J2", salary: 2, equity: "0.2" },
+          { id: testJobIds[2], title: "J3", salary: 3, equity: null },
+        ],
       },
     });
+    expect(resp.headers.etag).toMatch(/^"1-/);
+  });
+
+  test("works for anon: filters jobs", async function () {
+    const resp = await request(app)
+      .get(`/companies/c1`)
+      .query({ title: "j", minSalary: 2, hasEquity: true });
+    expect(resp.body.company.jobs).toEqual([
+      { id: testJobIds[1], title: "J2", salary: 2, equity: "0.2" },
+    ]);
+  });
+
+  test("bad request on invalid job filters", async function () {
+    const resp = await request(app)
+      .get(`/companies/c1`)
+      .query({ minSalary: "lots" });
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("bad request on unknown job filter", async function () {
+    const resp = await request(app)
+      .get(`/companies/c1`)
+      .query({ companyHandle: "c2" });
+    expect(resp.statusCode).toEqual(400);
   });
 
   test("works for anon: company w/o jobs", async function () {
@@ -333,6 +577,8 @@ describe("GET /companies/:handle", function () {
         description: "Desc2",
         numEmployees: 2,
         logoUrl: "http://c2.img",
+        version: 1,
+        jobs: [],
       },
     });
   });
@@ -341,6 +587,171 @@ describe("GET /companies/:handle", function () {
     const resp = await request(app).get(`/companies/nope`);
     expect(resp.statusCode).toEqual(404);
   });
+
+  test("works for anon: asOf", async function () {
+    await request(app)
+      .patch(`/companies/c1`)
+      .send({ name: "C1-new" })
+      .set("authorization", `Bearer ${adminToken}`);
+    const resp = await request(app)
+      .get(`/companies/c1`)
+      .query({ asOf: "2100-01-01" });
+    expect(resp.body.company).toEqual({
+      handle: "c1",
+      name: "C1-new",
+      description: "Desc1",
+      numEmployees: 1,
+      logoUrl: "http://c1.img",
+      version: 2,
+      changedAt: expect.any(String),
+      jobs: [
+        { id: testJobIds[0], title: "J1", salary: 1, equity: "0.1" },
+        { id: testJobIds[1], title: "J2", salary: 2, equity: "0.2" },
+        { id: testJobIds[2], title: "J3", salary: 3, equity: null },
+      ],
+    });
+  });
+
+  test("not found for asOf before company existed", async function () {
+    const resp = await request(app)
+      .get(`/companies/c1`)
+      .query({ asOf: "2000-01-01" });
+    expect(resp.statusCode).toEqual(404);
+  });
+
+  test("bad request on invalid asOf", async function () {
+    const resp = await request(app)
+      .get(`/companies/c1`)
+      .query({ asOf: "yesterday" });
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("bad request on asOf that doesn't exist", async function () {
+    const resp = await request(app)
+      .get(`/companies/c1`)
+      .query({ asOf: "2020-02-31" });
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("bad request on asOf with job filters", async function () {
+    const resp = await request(app)
+      .get(`/companies/c1`)
+      .query({ asOf: "2100-01-01", title: "j" });
+    expect(resp.statusCode).toEqual(400);
+  });
+});
+
+/************************************** conditional GET /companies */
+
+describe("conditional GET /companies", function () {
+  test("not modified with the ETag", async function () {
+    const resp = await request(app).get(`/companies`);
+    expect(resp.headers["cache-control"]).toEqual("no-cache");
+    const again = await request(app)
+      .get(`/companies`)
+      .set("If-None-Match", resp.headers.etag);
+    expect(again.statusCode).toEqual(304);
+  });
+
+  test("not modified since Last-Modified", async function () {
+    const resp = await request(app).get(`/companies/c1`);
+    const again = await request(app)
+      .get(`/companies/c1`)
+      .set("If-Modified-Since", resp.headers["last-modified"]);
+    expect(again.statusCode).toEqual(304);
+  });
+
+  test("served from the cache", async function () {
+    await request(app).get(`/companies`);
+    await db.query("UPDATE companies SET name = 'Changed' WHERE handle = 'c1'");
+    const resp = await request(app).get(`/companies`);
+    expect(resp.body.companies[0].name).toEqual("C1");
+  });
+
+  test("modified after the company changes", async function () {
+    const resp = await request(app).get(`/companies`);
+    await request(app)
+      .patch(`/companies/c1`)
+      .send({ name: "C1-new" })
+      .set("authorization", `Bearer ${adminToken}`);
+    const again = await request(app)
+      .get(`/companies`)
+      .set("If-None-Match", resp.headers.etag)
+      .set("If-Modified-Since", resp.headers["last-modified"]);
+    expect(again.statusCode).toEqual(200);
+    expect(again.body.companies[0].name).toEqual("C1-new");
+  });
+
+  test("modified after one of its jobs changes", async function () {
+    const resp = await request(app).get(`/companies/c1`);
+    await request(app)
+      .delete(`/jobs/${testJobIds[0]}`)
+      .set("authorization", `Bearer ${adminToken}`);
+    const again = await request(app)
+      .get(`/companies/c1`)
+      .set("If-None-Match", resp.headers.etag);
+    expect(again.statusCode).toEqual(200);
+    expect(again.body.company.jobs.length).toEqual(2);
+    expect(again.headers.etag).toMatch(/^"1-/);
+  });
+});
+
+/************************************** GET /companies/:handle/history */
+
+describe("GET /companies/:handle/history", function () {
+  test("works for admin", async function () {
+    await request(app)
+      .patch(`/companies/c1`)
+      .send({ name: "C1-new" })
+      .set("authorization", `Bearer ${adminToken}`);
+    const resp = await request(app)
+      .get(`/companies/c1/history`)
+      .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.body.history).toEqual([
+      {
+        version: 1,
+        name: "C1",
+        description: "Desc1",
+        numEmployees: 1,
+        logoUrl: "http://c1.img",
+        deletedAt: null,
+        changedBy: null,
+        changedAt: expect.any(String),
+        changedFields:
+          ["handle", "name", "description", "numEmployees", "logoUrl"],
+      },
+      {
+        version: 2,
+        name: "C1-new",
+        description: "Desc1",
+        numEmployees: 1,
+        logoUrl: "http://c1.img",
+        deletedAt: null,
+        changedBy: "u3",
+        changedAt: expect.any(String),
+        changedFields: ["name"],
+      },
+    ]);
+  });
+
+  test("unauth for users without audit:read", async function () {
+    const resp = await request(app)
+      .get(`/companies/c1/history`)
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("unauth for anon", async function () {
+    const resp = await request(app).get(`/companies/c1/history`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("not found for no such company", async function () {
+    const resp = await request(app)
+      .get(`/companies/nope/history`)
+      .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(404);
+  });
 });
 
 /************************************** PATCH /companies/:handle */
@@ -362,8 +773,64 @@ describe("PATCH /companies/:handle", function () {
         description: "Desc1",
         numEmployees: 1,
         logoUrl: "http://c1.img",
+        version: 2,
       },
     });
+    expect(resp.headers.etag).toEqual('"2"');
+  });
+
+  test("works for admins: with current If-Match", async function () {
+    const resp = await request(app)
+      .patch(`/companies/c1`)
+      .send({ name: "C1-new" })
+      .set("If-Match", '"1"')
+      .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body.company.name).toEqual("C1-new");
+  });
+
+  test("precondition failed with stale If-Match", async function () {
+    await request(app)
+      .patch(`/companies/c1`)
+      .send({ name: "C1-first" })
+      .set("If-Match", '"1"')
+      .set("authorization", `Bearer ${adminToken}`);
+    const resp = await request(app)
+      .patch(`/companies/c1`)
+      .send({ name: "C1-second" })
+      .set("If-Match", '"1"')
+      .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(412);
+
+    const getResp = await request(app).get(`/companies/c1`);
+    expect(getResp.body.company.name).toEqual("C1-first");
+  });
+
+  test("precondition failed with weak If-Match", async function () {
+    const resp = await request(app)
+      .patch(`/companies/c1`)
+      .send({ name: "C1-new" })
+      .set("If-Match", 'W/"1"')
+      .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(412);
+  });
+
+  test("works for admins: If-Match naming several ETags", async function () {
+    const resp = await request(app)
+      .patch(`/companies/c1`)
+      .send({ name: "C1-new" })
+      .set("If-Match", 'W/"1", "7", "1"')
+      .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(200);
+  });
+
+  test("bad request on malformed If-Match", async function () {
+    const resp = await request(app)
+      .patch(`/companies/c1`)
+      .send({ name: "C1-new" })
+      .set("If-Match", "1")
+      .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(400);
   });
   // TODO: unauth
     test("unauth if not admin", async function () {
@@ -466,3 +933,225 @@ describe("DELETE /companies/:handle", function () {
     expect(resp.statusCode).toEqual(404);
   });
 });
+
+/************************************** POST /companies/:handle/restore */
+
+describe("POST /companies/:handle/restore", function () {
+  test("works for admins, bringing back its jobs", async function () {
+    await request(app)
+      .delete(`/companies/c1`)
+      .set("authorization", `Bearer ${adminToken}`);
+    let resp = await request(app).get(`/jobs/${testJobIds[0]}`);
+    expect(resp.statusCode).toEqual(404);
+
+    resp = await request(app)
+      .post(`/companies/c1/restore`)
+      .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.body).toEqual({ restored: "c1" });
+
+    resp = await request(app).get(`/jobs/${testJobIds[0]}`);
+    expect(resp.statusCode).toEqual(200);
+  });
+
+  test("unauth if not admin", async function () {
+    const resp = await request(app)
+      .post(`/companies/c1/restore`)
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("not found if company not deleted", async function () {
+    const resp = await request(app)
+      .post(`/companies/c1/restore`)
+      .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+});
+
+/************************************** /companies/:handle/recruiters */
+
+describe("GET /companies/:handle/recruiters", function () {
+  test("works for admins", async function () {
+    const resp = await request(app)
+        .get(`/companies/c1/recruiters`)
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.body).toEqual({ recruiters: ["u2"] });
+  });
+
+  test("unauth for recruiters", async function () {
+    const resp = await request(app)
+        .get(`/companies/c1/recruiters`)
+        .set("authorization", `Bearer ${recruiterToken}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("not found for no such company", async function () {
+    const resp = await request(app)
+        .get(`/companies/nope/recruiters`)
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+});
+
+describe("POST /companies/:handle/recruiters/:username", function () {
+  test("works for admins", async function () {
+    const resp = await request(app)
+        .post(`/companies/c2/recruiters/u2`)
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(201);
+    expect(resp.body).toEqual({ recruiter: "u2" });
+
+    const jobResp = await request(app)
+        .post("/jobs")
+        .send({ title: "New", salary: 10, equity: 0, companyHandle: "c2" })
+        .set("authorization", `Bearer ${recruiterToken}`);
+    expect(jobResp.statusCode).toEqual(201);
+  });
+
+  test("unauth for non-admin", async function () {
+    const resp = await request(app)
+        .post(`/companies/c2/recruiters/u2`)
+        .set("authorization", `Bearer ${recruiterToken}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("not found for no such user", async function () {
+    const resp = await request(app)
+        .post(`/companies/c2/recruiters/nope`)
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+});
+
+describe("DELETE /companies/:handle/recruiters/:username", function () {
+  test("works for admins", async function () {
+    const resp = await request(app)
+        .delete(`/companies/c1/recruiters/u2`)
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.body).toEqual({ deleted: "u2" });
+
+    const jobResp = await request(app)
+        .post("/jobs")
+        .send({ title: "New", salary: 10, equity: 0, companyHandle: "c1" })
+        .set("authorization", `Bearer ${recruiterToken}`);
+    expect(jobResp.statusCode).toEqual(401);
+  });
+
+  test("not found if not a recruiter", async function () {
+    const resp = await request(app)
+        .delete(`/companies/c2/recruiters/u2`)
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+});
+
+/************************************** GET /companies/:handle/applications */
+
+describe("GET /companies/:handle/applications", function () {
+  beforeEach(async function () {
+    await db.query(`
+        UPDATE applications
+        SET applied_at = '2024-01-10 09:00'`);
+    await db.query(`
+        INSERT INTO applications (username, job_id, applied_at)
+        VALUES ('u2', $1, '2024-02-01 08:30')`, [testJobIds[1]]);
+  });
+
+  test("works for admins", async function () {
+    const resp = await request(app)
+        .get(`/companies/c1/applications`)
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.body).toEqual({
+      applications: [
+        {
+          username: "u1",
+          firstName: "U1F",
+          lastName: "U1L",
+          email: "user1@user.com",
+          jobId: testJobIds[0],
+          title: "J1",
+          state: "applied",
+          appliedAt: expect.any(String),
+        },
+        {
+          username: "u2",
+          firstName: "U2F",
+          lastName: "U2L",
+          email: "user2@user.com",
+          jobId: testJobIds[1],
+          title: "J2",
+          state: "applied",
+          appliedAt: expect.any(String),
+        },
+      ],
+      pagination: { total: 2, limit: 20, offset: 0, next: null, prev: null },
+    });
+  });
+
+  test("works for recruiters of the company", async function () {
+    const resp = await request(app)
+        .get(`/companies/c1/applications`)
+        .set("authorization", `Bearer ${recruiterToken}`);
+    expect(resp.body.applications.length).toEqual(2);
+  });
+
+  test("works: date range", async function () {
+    const resp = await request(app)
+        .get(`/companies/c1/applications`)
+        .query({ appliedFrom: "2024-01-15", appliedTo: "2024-02-01" })
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.body.applications.map(a => a.username)).toEqual(["u2"]);
+  });
+
+  test("works: paging", async function () {
+    const resp = await request(app)
+        .get(`/companies/c1/applications`)
+        .query({ limit: 1 })
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.body.applications.map(a => a.username)).toEqual(["u1"]);
+    expect(resp.body.pagination).toEqual({
+      total: 2,
+      limit: 1,
+      offset: 0,
+      next: "/companies/c1/applications?limit=1&offset=1",
+      prev: null,
+    });
+  });
+
+  test("bad request on date that doesn't exist", async function () {
+    const resp = await request(app)
+        .get(`/companies/c1/applications`)
+        .query({ appliedTo: "2021-02-29" })
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("bad request if appliedFrom > appliedTo", async function () {
+    const resp = await request(app)
+        .get(`/companies/c1/applications`)
+        .query({ appliedFrom: "2024-02-01", appliedTo: "2024-01-01" })
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("unauth for recruiters of other companies", async function () {
+    const resp = await request(app)
+        .get(`/companies/c2/applications`)
+        .set("authorization", `Bearer ${recruiterToken}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("unauth without permission", async function () {
+    const resp = await request(app)
+        .get(`/companies/c1/applications`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("not found for no such company", async function () {
+    const resp = await request(app)
+        .get(`/companies/nope/applications`)
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+});
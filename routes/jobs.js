@@ -4,64 +4,221 @@
 
 const jsonschema = require("jsonschema");
 const express = require("express");
+const db = require("../db");
 
 const { BadRequestError } = require("../expressError");
-const { ensureLoggedIn, isAdmin } = require("../middleware/auth");
+const {
+  ensureLoggedIn,
+  requirePermission,
+  requireCompanyPermission,
+} = require("../middleware/auth");
 const Job = require("../models/job");
+const Application = require("../models/application");
+const AuditLog = require("../models/auditLog");
+const { pageParams, paginate } = require("../helpers/pagination");
+const { etagFor, versionsFromIfMatch } = require("../helpers/etag");
+const { cacheResponse, invalidatesCache } = require("../middleware/cache");
+const { parseId, checkDates } = require("../helpers/params");
+const {
+  importRows,
+  validationErrors,
+  importReport,
+  createImported,
+} = require("../helpers/import");
 
 const jobNewSchema = require("../schemas/jobNew.json");
 const getJobsSchema = require("../schemas/getJobs.json");
+const getJobSchema = require("../schemas/getJob.json");
 const jobUpdateSchema = require("../schemas/jobUpdate.json");
+const getApplicationsSchema = require("../schemas/getApplications.json");
+const importQuerySchema = require("../schemas/importQuery.json");
 
 const router = new express.Router();
 
+router.use(invalidatesCache);
+
+/** Every route's :id is a job id: ones the database can't take are rejected
+ * (400) before anything, like permission checks, looks them up.
+ */
+
+router.param("id", function (req, res, next, id) {
+  parseId(id, "job");
+  return next();
+});
+
+/** The handle of the company that posted the job in the route's :id. */
 
-/** POST / { company } =>  { company }
+async function jobCompanyHandle(req) {
+  const job = await Job.get(req.params.id);
+  return job.companyHandle;
+}
+
+
+/** POST / { job } =>  { job }
  *
- * company should be { handle, name, description, numEmployees, logoUrl }
+ * job should be { title, salary, equity, companyHandle }
  *
- * Returns { handle, name, description, numEmployees, logoUrl }
+ * Returns { id, title, salary, equity, companyHandle }
  *
- * Authorization required: logged in, and an admin
+ * Authorization required: logged in, with permission jobs:write, or a
+ * recruiter for the job's company with permission jobs:write:company
  */
 
-router.post("/", ensureLoggedIn, isAdmin, async function (req, res, next) {
+router.post("/",
+  ensureLoggedIn,
+  requireCompanyPermission("jobs:write", req => req.body?.companyHandle),
+  async function (req, res, next) {
 
-  const validator = jsonschema.validate(
-    req.body,
-    jobNewSchema,
-    { required: true }
-  );
-  if (!validator.valid) {
-    const errs = validator.errors.map(e => e.stack);
-    throw new BadRequestError(errs);
-  }
+    const validator = jsonschema.validate(
+      req.body,
+      jobNewSchema,
+      { required: true }
+    );
+    if (!validator.valid) {
+      const errs = validator.errors.map(e => e.stack);
+      throw new BadRequestError(errs);
+    }
+
+    const job = await db.transaction(async client => {
+      const job = await Job.create(
+        req.body, AuditLog.actorOf(res.locals.user), client);
+      await AuditLog.record(res.locals.user, {
+        action: "create",
+        entityType: "job",
+        entityId: job.id,
+        after: job,
+      }, client);
+      return job;
+    });
+    return res.status(201).json({ job });
+});
+
+/** POST /import [ { job }, ... ]  =>  { jobs: [ job, ... ] }
+ *
+ * Creates many jobs at once, from a JSON array of jobs (each like POST /
+ * takes) or from CSV (Content-Type text/csv) with a header naming the
+ * fields, e.g. "title,salary,equity,companyHandle".
+ *
+ * Either all the jobs (and their audit log entries) are created or none are:
+ * if any rows are invalid or are for companies that don't exist, this
+ * responds 400 with a report of them,
+ *   { error: { message: [ { row, errors: [message, ...] }, ... ], status } }
+ * where row counts from 1 (after the CSV header).
+ *
+ * With dryRun=true, only checks the rows, returning them as they would be
+ * created: { dryRun: true, jobs: [ job, ... ] }
+ *
+ * Returns { jobs: [ { id, title, salary, equity, companyHandle, version },
+ *                   ... ] }
+ *
+ * Authorization required: logged in, with permission jobs:write
+ */
 
-  const job = await Job.create(req.body);
-  return res.status(201).json({ job });
+router.post("/import",
+  ensureLoggedIn,
+  requirePermission("jobs:write"),
+  express.text({ type: "text/csv" }),
+  async function (req, res, next) {
+    const queries = req.query;
+    if ("dryRun" in queries) queries.dryRun = queries.dryRun === "true";
+
+    const validator = jsonschema.validate(
+      queries,
+      importQuerySchema,
+      { required: true }
+    );
+    if (!validator.valid) {
+      const errs = validator.errors.map(e => e.stack);
+      throw new BadRequestError(errs);
+    }
+
+    const rows = importRows(req, jobNewSchema);
+    const report = importReport(
+      validationErrors(rows, jobNewSchema),
+      await Job.checkNew(rows),
+    );
+    if (report.length > 0) throw new BadRequestError(report);
+    if (queries.dryRun) return res.json({ dryRun: true, jobs: rows });
+
+    const jobs = await createImported(rows, async client => {
+      const jobs = await Job.createMany(
+        rows, AuditLog.actorOf(res.locals.user), client);
+      for (const job of jobs) {
+        await AuditLog.record(res.locals.user, {
+          action: "import",
+          entityType: "job",
+          entityId: job.id,
+          after: job,
+        }, client);
+      }
+      return jobs;
+    }, Job.checkNew);
+    return res.status(201).json({ jobs });
 });
 
 /** GET /  =>
- *   { companies: [ { handle, name, description, numEmployees, logoUrl }, ...] }
+ *   { jobs: [ { id, title, salary, equity, companyHandle }, ...],
+ *     pagination: { total, limit, offset, next, prev } }
  *
  * Can filter on provided search filters:
- * - minEmployees
- * - maxEmployees
- * - nameLike (will find case-insensitive, partial matches)
+ * - title (will find case-insensitive, partial matches)
+ * - minSalary, maxSalary
+ * - hasEquity
+ * - minEquity, maxEquity
+ * - companyHandle (repeat to match any of several companies)
+ * - name (company name; will find case-insensitive, partial matches)
+ * - minEmployees, maxEmployees (of the company)
+ *
+ * With expand=company, each job also includes
+ *   company: { handle, name, description, numEmployees, logoUrl }
+ *
+ * Sorts with sort, a comma-separated list of title, salary and equity, each
+ * prefixed with "-" for descending order (default is by id).
+ *
+ * Pages with limit (default 20) and either offset or an opaque cursor taken
+ * from the next/prev links.
+ *
+ * Throws error if a min query is greater than its max
+ *
+ * Responses are cached (see middleware/cache.js); send If-None-Match or
+ * If-Modified-Since to get 304 Not Modified if they haven't changed.
  *
- * Throws error if minEmployees query is greater than maxEmployees
  * Authorization required: none
  */
 
-router.get("/", async function (req, res, next) {
+router.get("/", cacheResponse, async function (req, res, next) {
   const queries = req.query;
 
   if ("minSalary" in queries) {
     queries.minSalary = Number(queries.minSalary);
   }
+  if ("maxSalary" in queries) {
+    queries.maxSalary = Number(queries.maxSalary);
+  }
   if ("hasEquity" in queries) {
     queries.hasEquity = queries.hasEquity === "true" ? true : false;
   }
+  if ("minEquity" in queries) {
+    queries.minEquity = Number(queries.minEquity);
+  }
+  if ("maxEquity" in queries) {
+    queries.maxEquity = Number(queries.maxEquity);
+  }
+  if ("companyHandle" in queries) {
+    queries.companyHandle = [].concat(queries.companyHandle);
+  }
+  if ("minEmployees" in queries) {
+    queries.minEmployees = Number(queries.minEmployees);
+  }
+  if ("maxEmployees" in queries) {
+    queries.maxEmployees = Number(queries.maxEmployees);
+  }
+  if ("limit" in queries) {
+    queries.limit = Number(queries.limit);
+  }
+  if ("offset" in queries) {
+    queries.offset = Number(queries.offset);
+  }
 
   const result = jsonschema.validate(
     queries,
@@ -74,61 +231,223 @@ router.get("/", async function (req, res, next) {
     throw new BadRequestError(errs);
   }
 
-  const jobs = await Job.findAll(queries);
-  return res.json({ jobs });
+  const page = pageParams(queries);
+  const jobs = await Job.findAll(
+    { ...queries, limit: page.limit, offset: page.offset });
+  const total = await Job.count(queries);
+  return res.json({ jobs, pagination: paginate(req, { total, ...page }) });
 });
 
-/** GET /[handle]  =>  { company }
+/** GET /[id]  =>  { job }
  *
- *  Company is { handle, name, description, numEmployees, logoUrl, jobs }
- *   where jobs is [{ id, title, salary, equity }, ...]
+ *  Job is { id, title, salary, equity, companyHandle, version, company }
+ *   where company is { handle, name, description, numEmployees, logoUrl }
+ *
+ * The ETag header starts with the job's version, for PATCH's If-Match (the
+ * rest changes with its company).
+ *
+ * Responses are cached (see middleware/cache.js); send If-None-Match or
+ * If-Modified-Since to get 304 Not Modified if they haven't changed.
+ *
+ * With asOf (a date, "YYYY-MM-DD"), returns the job and its company as they
+ * were at the end of that day, plus the job's version and changedAt (see
+ * GET /[id]/history).
  *
  * Authorization required: none
  */
 
-router.get("/:id", async function (req, res, next) {
+router.get("/:id", cacheResponse, async function (req, res, next) {
+  const result = jsonschema.validate(
+    req.query,
+    getJobSchema,
+    { required: true }
+  );
+
+  if (!result.valid) {
+    const errs = result.errors.map(err => err.stack);
+    throw new BadRequestError(errs);
+  }
+  checkDates(req.query, ["asOf"]);
+
+  if ("asOf" in req.query) {
+    const job = await Job.getAsOf(req.params.id, req.query.asOf);
+    return res.json({ job });
+  }
+
   const job = await Job.get(req.params.id);
+  res.set("ETag", etagFor(job.version, { job }));
   return res.json({ job });
 });
 
-/** PATCH /[handle] { fld1, fld2, ... } => { company }
+/** GET /[id]/history  =>
+ *   { history: [ { version, title, salary, equity, companyHandle, deletedAt,
+ *                  changedBy, changedAt, changedFields }, ... ] }
+ *
+ * Returns every version of the job, oldest first: how it was after each
+ * change, who made the change (a username, or api_key:<id>) and which fields
+ * it changed.
+ *
+ * Authorization required: logged in, with permission audit:read
+ */
+
+router.get("/:id/history",
+  ensureLoggedIn,
+  requirePermission("audit:read"),
+  async function (req, res, next) {
+    const history = await Job.history(req.params.id);
+    return res.json({ history });
+});
+
+/** PATCH /[id] { fld1, fld2, ... } => { job }
+ *
+ * Patches job data.
  *
- * Patches company data.
+ * fields can be: { title, salary, equity }
  *
- * fields can be: { name, description, numEmployees, logo_url }
+ * With an If-Match header (an ETag from GET /[id] or an earlier PATCH), the
+ * job is only changed if it hasn't been since; otherwise, or if the ETag is
+ * weak, this responds 412 Precondition Failed.
  *
- * Returns { handle, name, description, numEmployees, logo_url }
+ * Returns { id, title, salary, equity, companyHandle, version }, with the new
+ * version's ETag
  *
- * Authorization required: logged in and an admin
+ * Authorization required: logged in, with permission jobs:write, or a
+ * recruiter for the job's company with permission jobs:write:company
  */
 
-router.patch("/:id", ensureLoggedIn, isAdmin, async function (req, res, next) {
-  const validator = jsonschema.validate(
-    req.body,
-    jobUpdateSchema,
-    { required: true }
-  );
-  if (!validator.valid) {
-    const errs = validator.errors.map(e => e.stack);
-    throw new BadRequestError(errs);
-  }
+router.patch("/:id",
+  ensureLoggedIn,
+  requireCompanyPermission("jobs:write", jobCompanyHandle),
+  async function (req, res, next) {
+    const validator = jsonschema.validate(
+      req.body,
+      jobUpdateSchema,
+      { required: true }
+    );
+    if (!validator.valid) {
+      const errs = validator.errors.map(e => e.stack);
+      throw new BadRequestError(errs);
+    }
 
-  const job = await Job.update(req.params.id, req.body);
-  return res.json({ job });
+    const versions = versionsFromIfMatch(req.get("If-Match"));
+    const job = await db.transaction(async client => {
+      const { company, ...before } = await Job.get(req.params.id, client);
+      const job = await Job.update(req.params.id, req.body,
+        AuditLog.actorOf(res.locals.user), versions, client);
+      await AuditLog.record(res.locals.user, {
+        action: "update",
+        entityType: "job",
+        entityId: job.id,
+        before,
+        after: job,
+      }, client);
+      return job;
+    });
+    res.set("ETag", etagFor(job.version));
+    return res.json({ job });
 });
 
-/** DELETE /[handle]  =>  { deleted: handle }
+/** DELETE /[id]  =>  { deleted: id }
  *
- * Authorization: logged in and an admin
+ * The job is hidden, and can be restored until it's purged (see purge.js).
+ *
+ * Authorization required: logged in, with permission jobs:write, or a
+ * recruiter for the job's company with permission jobs:write:company
  */
 
 router.delete("/:id",
   ensureLoggedIn,
-  isAdmin,
+  requireCompanyPermission("jobs:write", jobCompanyHandle),
   async function (req, res, next) {
-    await Job.remove(req.params.id);
+    await db.transaction(async client => {
+      const { company, ...before } = await Job.get(req.params.id, client);
+      await Job.remove(
+        req.params.id, AuditLog.actorOf(res.locals.user), client);
+      await AuditLog.record(res.locals.user, {
+        action: "delete",
+        entityType: "job",
+        entityId: before.id,
+        before,
+      }, client);
+    });
     return res.json({ deleted: req.params.id });
 });
 
+/** POST /[id]/restore  =>  { restored: id }
+ *
+ * Undoes the deletion of the job. Jobs hidden because their company was
+ * deleted come back by restoring the company.
+ *
+ * Authorization required: logged in, with permission jobs:write
+ */
+
+router.post("/:id/restore",
+  ensureLoggedIn,
+  requirePermission("jobs:write"),
+  async function (req, res, next) {
+    await db.transaction(async client => {
+      const job = await Job.restore(
+        req.params.id, AuditLog.actorOf(res.locals.user), client);
+      await AuditLog.record(res.locals.user, {
+        action: "restore",
+        entityType: "job",
+        entityId: job.id,
+        after: job,
+      }, client);
+    });
+    return res.json({ restored: req.params.id });
+});
+
+/** GET /[id]/applications  =>
+ *   { applications: [ { username, firstName, lastName, email, jobId, title,
+ *                       state, appliedAt }, ... ],
+ *     pagination: { total, limit, offset, next, prev } }
+ *
+ * Returns the applicants to the job, oldest application first.
+ *
+ * Can filter on provided search filters:
+ * - appliedFrom, appliedTo (dates, "YYYY-MM-DD", both inclusive)
+ *
+ * Paged with limit (default 20) and either offset or an opaque cursor.
+ *
+ * Authorization required: logged in, with permission applications:read, or a
+ * recruiter for the job's company with permission applications:read:company
+ */
+
+router.get("/:id/applications",
+  ensureLoggedIn,
+  requireCompanyPermission("applications:read", jobCompanyHandle),
+  async function (req, res, next) {
+    const queries = req.query;
+
+    if ("limit" in queries) {
+      queries.limit = Number(queries.limit);
+    }
+    if ("offset" in queries) {
+      queries.offset = Number(queries.offset);
+    }
+
+    const validator = jsonschema.validate(
+      queries,
+      getApplicationsSchema,
+      { required: true }
+    );
+    if (!validator.valid) {
+      const errs = validator.errors.map(e => e.stack);
+      throw new BadRequestError(errs);
+    }
+    checkDates(queries, ["appliedFrom", "appliedTo"]);
+
+    const filters = { ...queries, jobId: req.params.id };
+    const page = pageParams(queries);
+    const applications = await Application.findAll(
+      { ...filters, limit: page.limit, offset: page.offset });
+    const total = await Application.count(filters);
+    return res.json({
+      applications,
+      pagination: paginate(req, { total, ...page }),
+    });
+});
+
 
 module.exports = router;
@@ -0,0 +1,771 @@
+"use strict";
+
+const request = require("supertest");
+
+const db = require("../db");
+const app = require("../app");
+const Job = require("../models/job");
+
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+  testJobIds,
+  u1Token,
+  recruiterToken,
+  adminToken,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+const c1 = {
+  handle: "c1",
+  name: "C1",
+  description: "Desc1",
+  numEmployees: 1,
+  logoUrl: "http://c1.img",
+};
+
+/************************************** POST /jobs/import */
+
+describe("POST /jobs/import", function () {
+  const rows = [
+    { title: "New1", salary: 10, equity: 0, companyHandle: "c2" },
+    { title: "New2", salary: 20, equity: 0.5, companyHandle: "c3" },
+  ];
+
+  test("works for admins: JSON", async function () {
+    const resp = await request(app)
+        .post("/jobs/import")
+        .send(rows)
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(201);
+    expect(resp.body).toEqual({
+      jobs: [
+        { id: expect.any(Number), ...rows[0], equity: "0", version: 1 },
+        { id: expect.any(Number), ...rows[1], equity: "0.5", version: 1 },
+      ],
+    });
+  });
+
+  test("works for admins: CSV", async function () {
+    const resp = await request(app)
+        .post("/jobs/import")
+        .set("Content-Type", "text/csv")
+        .send("title,salary,equity,companyHandle\r\nNew1,10,0.1,c2\r\n")
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(201);
+    expect(resp.body.jobs).toEqual([{
+      id: expect.any(Number),
+      title: "New1",
+      salary: 10,
+      equity: "0.1",
+      companyHandle: "c2",
+      version: 1,
+    }]);
+  });
+
+  test("works: dry run creates nothing", async function () {
+    const resp = await request(app)
+        .post("/jobs/import")
+        .query({ dryRun: true })
+        .send(rows)
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.body).toEqual({ dryRun: true, jobs: rows });
+    expect(await Job.findAll({ companyHandle: ["c2", "c3"] })).toEqual([]);
+  });
+
+  test("bad request with a report of the bad rows", async function () {
+    const resp = await request(app)
+        .post("/jobs/import")
+        .send([
+          { ...rows[0], salary: "lots" },
+          rows[1],
+          { ...rows[1], companyHandle: "nope" },
+        ])
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(400);
+    expect(resp.body.error.message).toEqual([
+      { row: 1, errors: ["instance.salary is not of a type(s) integer"] },
+      { row: 3, errors: ["No company: nope"] },
+    ]);
+    expect(await Job.findAll({ companyHandle: ["c2", "c3"] })).toEqual([]);
+  });
+
+  test("bad request with salaries too big to store", async function () {
+    const resp = await request(app)
+        .post("/jobs/import")
+        .send([rows[0], { ...rows[1], salary: 3000000000 }])
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(400);
+    expect(resp.body.error.message).toEqual([
+      {
+        row: 2,
+        errors: ["instance.salary must be less than or equal to 2147483647"],
+      },
+    ]);
+    expect(await Job.findAll({ companyHandle: ["c2", "c3"] })).toEqual([]);
+  });
+
+  test("bad request if a company is removed meanwhile", async function () {
+    // as if company "nope" were removed between checking the rows and
+    // creating them
+    const checkNew = jest.spyOn(Job, "checkNew").mockResolvedValueOnce([[]]);
+    const resp = await request(app)
+        .post("/jobs/import")
+        .send([{ ...rows[0], companyHandle: "nope" }])
+        .set("authorization", `Bearer ${adminToken}`);
+    checkNew.mockRestore();
+
+    expect(resp.statusCode).toEqual(400);
+    expect(resp.body.error.message).toEqual([
+      { row: 1, errors: ["No company: nope"] },
+    ]);
+  });
+
+  test("unauth for recruiters", async function () {
+    const resp = await request(app)
+        .post("/jobs/import")
+        .send([{ ...rows[0], companyHandle: "c1" }])
+        .set("authorization", `Bearer ${recruiterToken}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+});
+
+/************************************** GET /jobs */
+
+describe("GET /jobs", function () {
+  test("ok for anon", async function () {
+    const resp = await request(app).get("/jobs");
+
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body.jobs).toEqual([
+      {
+        id: testJobIds[0],
+        title: "J1",
+        salary: 1,
+        equity: "0.1",
+        companyHandle: "c1",
+      },
+      {
+        id: testJobIds[1],
+        title: "J2",
+        salary: 2,
+        equity: "0.2",
+        companyHandle: "c1",
+      },
+      {
+        id: testJobIds[2],
+        title: "J3",
+        salary: 3,
+        equity: null,
+        companyHandle: "c1",
+      },
+    ]);
+  });
+
+  test("works with filters", async function () {
+    const resp = await request(app).get("/jobs")
+      .query({ title: "j", minSalary: 2, hasEquity: true });
+
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body.jobs).toEqual([
+      {
+        id: testJobIds[1],
+        title: "J2",
+        salary: 2,
+        equity: "0.2",
+        companyHandle: "c1",
+      },
+    ]);
+  });
+
+  test("works with ranges", async function () {
+    const resp = await request(app).get("/jobs")
+      .query({ maxSalary: 2, minEquity: 0.15, maxEquity: 1 });
+
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body.jobs.map(j => j.id)).toEqual([testJobIds[1]]);
+  });
+
+  test("works with repeated companyHandle", async function () {
+    const c2Job = await Job.create(
+      { title: "C2Job", salary: 1, equity: 0, companyHandle: "c2" });
+
+    const resp = await request(app).get("/jobs?companyHandle=c2&companyHandle=c3");
+
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body.jobs.map(j => j.id)).toEqual([c2Job.id]);
+  });
+
+  test("works with company filters", async function () {
+    const c2Job = await Job.create(
+      { title: "C2Job", salary: 1, equity: 0, companyHandle: "c2" });
+
+    const resp = await request(app).get("/jobs")
+      .query({ name: "c", minEmployees: 2, maxEmployees: 500 });
+
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body.jobs.map(j => j.id)).toEqual([c2Job.id]);
+  });
+
+  test("bad request when minEmployees > maxEmployees", async function () {
+    const resp = await request(app).get("/jobs")
+      .query({ minEmployees: 50, maxEmployees: 5 });
+
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("bad request when minSalary > maxSalary", async function () {
+    const resp = await request(app).get("/jobs")
+      .query({ minSalary: 3, maxSalary: 1 });
+
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("bad request with out of range salary", async function () {
+    const resp = await request(app).get("/jobs")
+      .query({ maxSalary: 99999999999 });
+
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("bad request with out of range company size", async function () {
+    const resp = await request(app).get("/jobs")
+      .query({ minEmployees: 99999999999 });
+
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("bad request with out of range equity", async function () {
+    const resp = await request(app).get("/jobs")
+      .query({ minEquity: 2 });
+
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("works: expand company", async function () {
+    const resp = await request(app).get("/jobs")
+      .query({ title: "j1", expand: "company" });
+
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body.jobs).toEqual([
+      {
+        id: testJobIds[0],
+        title: "J1",
+        salary: 1,
+        equity: "0.1",
+        companyHandle: "c1",
+        company: c1,
+      },
+    ]);
+  });
+
+  test("bad request on unknown expand", async function () {
+    const resp = await request(app).get("/jobs")
+      .query({ expand: "users" });
+
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("includes pagination", async function () {
+    const resp = await request(app).get("/jobs")
+      .query({ limit: 2 });
+
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body.jobs.map(j => j.id)).toEqual(testJobIds.slice(0, 2));
+    expect(resp.body.pagination).toEqual({
+      total: 3,
+      limit: 2,
+      offset: 0,
+      next: "/jobs?limit=2&offset=2",
+      prev: null,
+    });
+  });
+
+  test("works with sort", async function () {
+    const resp = await request(app).get("/jobs")
+      .query({ sort: "-salary" });
+
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body.jobs.map(j => j.title)).toEqual(["J3", "J2", "J1"]);
+  });
+
+  test("bad request on unsupported sort key", async function () {
+    const resp = await request(app).get("/jobs")
+      .query({ sort: "salary,numEmployees" });
+
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("bad request on extra inputs", async function () {
+    const resp = await request(app).get("/jobs")
+      .query({ color: "blue" });
+
+    expect(resp.statusCode).toEqual(400);
+  });
+});
+
+/************************************** GET /jobs/:id */
+
+describe("GET /jobs/:id", function () {
+  test("works for anon", async function () {
+    const resp = await request(app).get(`/jobs/${testJobIds[0]}`);
+    expect(resp.body).toEqual({
+      job: {
+        id: testJobIds[0],
+        title: "J1",
+        salary: 1,
+        equity: "0.1",
+        companyHandle: "c1",
+        version: 1,
+        company: c1,
+      },
+    });
+    expect(resp.headers.etag).toMatch(/^"1-/);
+  });
+
+  test("not found for no such job", async function () {
+    const resp = await request(app).get(`/jobs/0`);
+    expect(resp.statusCode).toEqual(404);
+  });
+
+  test("works for anon: asOf", async function () {
+    await Job.update(testJobIds[0], { title: "J1-new" });
+    const resp = await request(app)
+      .get(`/jobs/${testJobIds[0]}`)
+      .query({ asOf: "2100-01-01" });
+    expect(resp.body).toEqual({
+      job: {
+        id: testJobIds[0],
+        title: "J1-new",
+        salary: 1,
+        equity: "0.1",
+        companyHandle: "c1",
+        version: 2,
+        changedAt: expect.any(String),
+        company: c1,
+      },
+    });
+  });
+
+  test("not found for asOf before job existed", async function () {
+    const resp = await request(app)
+      .get(`/jobs/${testJobIds[0]}`)
+      .query({ asOf: "2000-01-01" });
+    expect(resp.statusCode).toEqual(404);
+  });
+
+  test("bad request on invalid query", async function () {
+    const resp = await request(app)
+      .get(`/jobs/${testJobIds[0]}`)
+      .query({ asOf: "yesterday" });
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("bad request on asOf that doesn't exist", async function () {
+    const resp = await request(app)
+      .get(`/jobs/${testJobIds[0]}`)
+      .query({ asOf: "2020-00-10" });
+    expect(resp.statusCode).toEqual(400);
+  });
+});
+
+/************************************** conditional GET /jobs */
+
+describe("conditional GET /jobs", function () {
+  test("not modified with the ETag", async function () {
+    const resp = await request(app).get(`/jobs/${testJobIds[0]}`);
+    const again = await request(app)
+      .get(`/jobs/${testJobIds[0]}`)
+      .set("If-None-Match", resp.headers.etag);
+    expect(again.statusCode).toEqual(304);
+  });
+
+  test("modified after a job changes", async function () {
+    const resp = await request(app).get(`/jobs`);
+    await request(app)
+      .patch(`/jobs/${testJobIds[0]}`)
+      .send({ title: "J1-new" })
+      .set("authorization", `Bearer ${adminToken}`);
+    const again = await request(app)
+      .get(`/jobs`)
+      .set("If-None-Match", resp.headers.etag);
+    expect(again.statusCode).toEqual(200);
+    expect(again.body.jobs[0].title).toEqual("J1-new");
+  });
+
+  test("modified after its company changes", async function () {
+    const resp = await request(app).get(`/jobs/${testJobIds[0]}`);
+    await request(app)
+      .patch(`/companies/c1`)
+      .send({ name: "C1-new" })
+      .set("authorization", `Bearer ${adminToken}`);
+    const again = await request(app)
+      .get(`/jobs/${testJobIds[0]}`)
+      .set("If-None-Match", resp.headers.etag);
+    expect(again.statusCode).toEqual(200);
+    expect(again.body.job.company.name).toEqual("C1-new");
+  });
+});
+
+/************************************** GET /jobs/:id/history */
+
+describe("GET /jobs/:id/history", function () {
+  test("works for admin", async function () {
+    await request(app)
+      .delete(`/jobs/${testJobIds[0]}`)
+      .set("authorization", `Bearer ${adminToken}`);
+    const resp = await request(app)
+      .get(`/jobs/${testJobIds[0]}/history`)
+      .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.body.history).toEqual([
+      {
+        version: 1,
+        title: "J1",
+        salary: 1,
+        equity: "0.1",
+        companyHandle: "c1",
+        deletedAt: null,
+        changedBy: null,
+        changedAt: expect.any(String),
+        changedFields: ["title", "salary", "equity", "companyHandle"],
+      },
+      {
+        version: 2,
+        title: "J1",
+        salary: 1,
+        equity: "0.1",
+        companyHandle: "c1",
+        deletedAt: expect.any(String),
+        changedBy: "u3",
+        changedAt: expect.any(String),
+        changedFields: ["deletedAt"],
+      },
+    ]);
+  });
+
+  test("unauth for users without audit:read", async function () {
+    const resp = await request(app)
+      .get(`/jobs/${testJobIds[0]}/history`)
+      .set("authorization", `Bearer ${recruiterToken}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("not found for no such job", async function () {
+    const resp = await request(app)
+      .get(`/jobs/0/history`)
+      .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+
+  test("bad request on invalid id", async function () {
+    const resp = await request(app)
+      .get(`/jobs/nope/history`)
+      .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+});
+
+/************************************** POST /jobs */
+
+describe("POST /jobs", function () {
+  const newJob = { title: "New", salary: 10, equity: 0.5, companyHandle: "c1" };
+
+  test("works for admins", async function () {
+    const resp = await request(app)
+        .post("/jobs")
+        .send({ ...newJob, companyHandle: "c2" })
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(201);
+    expect(resp.body).toEqual({
+      job: {
+        id: expect.any(Number),
+        ...newJob,
+        equity: "0.5",
+        companyHandle: "c2",
+        version: 1,
+      },
+    });
+  });
+
+  test("works for recruiters of the company", async function () {
+    const resp = await request(app)
+        .post("/jobs")
+        .send(newJob)
+        .set("authorization", `Bearer ${recruiterToken}`);
+    expect(resp.statusCode).toEqual(201);
+    expect(resp.body).toEqual({
+      job: { id: expect.any(Number), ...newJob, equity: "0.5", version: 1 },
+    });
+  });
+
+  test("unauth for recruiters of other companies", async function () {
+    const resp = await request(app)
+        .post("/jobs")
+        .send({ ...newJob, companyHandle: "c2" })
+        .set("authorization", `Bearer ${recruiterToken}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("unauth without permission", async function () {
+    const resp = await request(app)
+        .post("/jobs")
+        .send(newJob)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("unauth for anon", async function () {
+    const resp = await request(app)
+        .post("/jobs")
+        .send(newJob);
+    expect(resp.statusCode).toEqual(401);
+  });
+});
+
+/************************************** PATCH /jobs/:id */
+
+describe("PATCH /jobs/:id", function () {
+  test("works for recruiters of the company", async function () {
+    const resp = await request(app)
+        .patch(`/jobs/${testJobIds[0]}`)
+        .send({ title: "J1-new" })
+        .set("authorization", `Bearer ${recruiterToken}`);
+    expect(resp.body).toEqual({
+      job: {
+        id: testJobIds[0],
+        title: "J1-new",
+        salary: 1,
+        equity: "0.1",
+        companyHandle: "c1",
+        version: 2,
+      },
+    });
+    expect(resp.headers.etag).toEqual('"2"');
+  });
+
+  test("precondition failed with stale If-Match", async function () {
+    await Job.update(testJobIds[0], { title: "J1-first" });
+    const resp = await request(app)
+        .patch(`/jobs/${testJobIds[0]}`)
+        .send({ title: "J1-new" })
+        .set("If-Match", '"1"')
+        .set("authorization", `Bearer ${recruiterToken}`);
+    expect(resp.statusCode).toEqual(412);
+    expect((await Job.get(testJobIds[0])).title).toEqual("J1-first");
+  });
+
+  test("unauth for recruiters of other companies", async function () {
+    const job = await Job.create(
+        { title: "C2 job", salary: 1, equity: 0, companyHandle: "c2" });
+    const resp = await request(app)
+        .patch(`/jobs/${job.id}`)
+        .send({ title: "nope" })
+        .set("authorization", `Bearer ${recruiterToken}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("unauth without permission", async function () {
+    const resp = await request(app)
+        .patch(`/jobs/${testJobIds[0]}`)
+        .send({ title: "nope" })
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("not found for no such job", async function () {
+    const resp = await request(app)
+        .patch(`/jobs/0`)
+        .send({ title: "nope" })
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+
+  test("bad request on invalid id", async function () {
+    for (const token of [adminToken, recruiterToken]) {
+      const resp = await request(app)
+          .patch(`/jobs/nope`)
+          .send({ title: "nope" })
+          .set("authorization", `Bearer ${token}`);
+      expect(resp.statusCode).toEqual(400);
+    }
+  });
+});
+
+/************************************** DELETE /jobs/:id */
+
+describe("DELETE /jobs/:id", function () {
+  test("works for recruiters of the company", async function () {
+    const resp = await request(app)
+        .delete(`/jobs/${testJobIds[0]}`)
+        .set("authorization", `Bearer ${recruiterToken}`);
+    expect(resp.body).toEqual({ deleted: `${testJobIds[0]}` });
+  });
+
+  test("unauth without permission", async function () {
+    const resp = await request(app)
+        .delete(`/jobs/${testJobIds[0]}`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("bad request on invalid id", async function () {
+    for (const token of [adminToken, recruiterToken]) {
+      const resp = await request(app)
+          .delete(`/jobs/nope`)
+          .set("authorization", `Bearer ${token}`);
+      expect(resp.statusCode).toEqual(400);
+    }
+  });
+});
+
+/************************************** POST /jobs/:id/restore */
+
+describe("POST /jobs/:id/restore", function () {
+  test("works for admins", async function () {
+    await request(app)
+        .delete(`/jobs/${testJobIds[0]}`)
+        .set("authorization", `Bearer ${adminToken}`);
+
+    const resp = await request(app)
+        .post(`/jobs/${testJobIds[0]}/restore`)
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.body).toEqual({ restored: `${testJobIds[0]}` });
+
+    const jobResp = await request(app).get(`/jobs/${testJobIds[0]}`);
+    expect(jobResp.statusCode).toEqual(200);
+  });
+
+  test("bad request if its company is deleted", async function () {
+    await request(app)
+        .delete(`/jobs/${testJobIds[0]}`)
+        .set("authorization", `Bearer ${adminToken}`);
+    await request(app)
+        .delete(`/companies/c1`)
+        .set("authorization", `Bearer ${adminToken}`);
+
+    const resp = await request(app)
+        .post(`/jobs/${testJobIds[0]}/restore`)
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("unauth for recruiters", async function () {
+    await request(app)
+        .delete(`/jobs/${testJobIds[0]}`)
+        .set("authorization", `Bearer ${recruiterToken}`);
+
+    const resp = await request(app)
+        .post(`/jobs/${testJobIds[0]}/restore`)
+        .set("authorization", `Bearer ${recruiterToken}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("not found if job not deleted", async function () {
+    const resp = await request(app)
+        .post(`/jobs/${testJobIds[0]}/restore`)
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+
+  test("bad request on invalid id", async function () {
+    const resp = await request(app)
+        .post(`/jobs/99999999999/restore`)
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+});
+
+/************************************** GET /jobs/:id/applications */
+
+describe("GET /jobs/:id/applications", function () {
+  test("works for admins", async function () {
+    const resp = await request(app)
+        .get(`/jobs/${testJobIds[0]}/applications`)
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.body).toEqual({
+      applications: [
+        {
+          username: "u1",
+          firstName: "U1F",
+          lastName: "U1L",
+          email: "user1@user.com",
+          jobId: testJobIds[0],
+          title: "J1",
+          state: "applied",
+          appliedAt: expect.any(String),
+        },
+      ],
+      pagination: { total: 1, limit: 20, offset: 0, next: null, prev: null },
+    });
+  });
+
+  test("works for recruiters of the company", async function () {
+    const resp = await request(app)
+        .get(`/jobs/${testJobIds[1]}/applications`)
+        .set("authorization", `Bearer ${recruiterToken}`);
+    expect(resp.body.applications).toEqual([]);
+  });
+
+  test("works: date range", async function () {
+    await db.query(`
+        UPDATE applications
+        SET applied_at = '2024-01-10 09:00'`);
+    let resp = await request(app)
+        .get(`/jobs/${testJobIds[0]}/applications`)
+        .query({ appliedFrom: "2024-01-01", appliedTo: "2024-01-10" })
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.body.applications.map(a => a.username)).toEqual(["u1"]);
+
+    resp = await request(app)
+        .get(`/jobs/${testJobIds[0]}/applications`)
+        .query({ appliedFrom: "2024-01-11" })
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.body.applications).toEqual([]);
+    expect(resp.body.pagination.total).toEqual(0);
+  });
+
+  test("bad request on invalid filter", async function () {
+    const resp = await request(app)
+        .get(`/jobs/${testJobIds[0]}/applications`)
+        .query({ appliedFrom: "yesterday" })
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("bad request on date that doesn't exist", async function () {
+    const resp = await request(app)
+        .get(`/jobs/${testJobIds[0]}/applications`)
+        .query({ appliedFrom: "2020-02-30" })
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("bad request on invalid id", async function () {
+    for (const token of [adminToken, recruiterToken]) {
+      const resp = await request(app)
+          .get(`/jobs/nope/applications`)
+          .set("authorization", `Bearer ${token}`);
+      expect(resp.statusCode).toEqual(400);
+    }
+  });
+
+  test("unauth without permission", async function () {
+    const resp = await request(app)
+        .get(`/jobs/${testJobIds[0]}/applications`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("not found for no such job", async function () {
+    const resp = await request(app)
+        .get(`/jobs/0/applications`)
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+});
@@ -0,0 +1,62 @@
+"use strict";
+
+/** Routes for searching across companies and jobs. */
+
+const jsonschema = require("jsonschema");
+const express = require("express");
+
+const { BadRequestError } = require("../expressError");
+const Search = require("../models/search");
+const { pageParams, paginate } = require("../helpers/pagination");
+
+const searchSchema = require("../schemas/search.json");
+
+const router = new express.Router();
+
+
+/** GET /?q=text  =>
+ *   { results: [ result, ...], pagination: { total, limit, offset, next, prev } }
+ *
+ * Results are ranked, best match first, and mix companies and jobs:
+ * - { type: "company", handle, name, rank, snippet }
+ * - { type: "job", id, title, companyHandle, companyName, rank, snippet }
+ *
+ * snippet is HTML: the matched text, escaped, with matching words wrapped in
+ * <b></b>.
+ *
+ * Pages with limit (default 20) and either offset or an opaque cursor taken
+ * from the next/prev links.
+ *
+ * Authorization required: none
+ */
+
+router.get("/", async function (req, res, next) {
+  const queries = req.query;
+
+  if ("limit" in queries) {
+    queries.limit = Number(queries.limit);
+  }
+  if ("offset" in queries) {
+    queries.offset = Number(queries.offset);
+  }
+
+  const result = jsonschema.validate(
+    queries,
+    searchSchema,
+    { required: true }
+  );
+
+  if (!result.valid) {
+    const errs = result.errors.map(err => err.stack);
+    throw new BadRequestError(errs);
+  }
+
+  const page = pageParams(queries);
+  const results = await Search.find(
+    queries.q, { limit: page.limit, offset: page.offset });
+  const total = await Search.count(queries.q);
+  return res.json({ results, pagination: paginate(req, { total, ...page }) });
+});
+
+
+module.exports = router;
@@ -0,0 +1,73 @@
+"use strict";
+
+const request = require("supertest");
+
+const app = require("../app");
+
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+  testJobIds,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/************************************** GET /search */
+
+describe("GET /search", function () {
+  test("ok for anon", async function () {
+    const resp = await request(app).get("/search").query({ q: "j2" });
+
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body).toEqual({
+      results: [
+        {
+          type: "job",
+          id: testJobIds[1],
+          title: "J2",
+          companyHandle: "c1",
+          companyName: "C1",
+          rank: expect.any(Number),
+          snippet: "<b>J2</b> C1",
+        },
+      ],
+      pagination: {
+        total: 1,
+        limit: 20,
+        offset: 0,
+        next: null,
+        prev: null,
+      },
+    });
+  });
+
+  test("works: mixed results, paginated", async function () {
+    const resp = await request(app).get("/search").query({ q: "c1", limit: 2 });
+
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body.results.length).toEqual(2);
+    expect(resp.body.pagination).toEqual({
+      total: 4,
+      limit: 2,
+      offset: 0,
+      next: "/search?q=c1&limit=2&offset=2",
+      prev: null,
+    });
+  });
+
+  test("bad request without q", async function () {
+    const resp = await request(app).get("/search");
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("bad request with extra inputs", async function () {
+    const resp = await request(app).get("/search")
+      .query({ q: "c1", color: "blue" });
+    expect(resp.statusCode).toEqual(400);
+  });
+});
@@ -5,69 +5,166 @@
 const jsonschema = require("jsonschema");
 
 const express = require("express");
-const { ensureLoggedIn, isAdmin, isAdminOrCurrentUser } = require("../middleware/auth");
-const { BadRequestError, UnauthorizedError } = require("../expressError");
+const db = require("../db");
+const {
+  ensureLoggedIn,
+  hasPermission,
+  hasCompanyPermission,
+  requirePermission,
+  requirePermissionOrCurrentUser,
+  requireCompanyPermissionOrCurrentUser,
+  ensureVerifiedEmail,
+} = require("../middleware/auth");
+const {
+  BadRequestError,
+  UnauthorizedError,
+  ForbiddenError,
+} = require("../expressError");
 const User = require("../models/user");
+const Job = require("../models/job");
+const Role = require("../models/role");
+const TokenRevocation = require("../models/tokenRevocation");
+const RefreshToken = require("../models/refreshToken");
+const LoginThrottle = require("../models/loginThrottle");
+const EmailVerification = require("../models/emailVerification");
+const AuditLog = require("../models/auditLog");
 const { createToken } = require("../helpers/tokens");
+const { sendVerificationEmail } = require("../helpers/mailer");
+const { pageParams, paginate } = require("../helpers/pagination");
+const { etagFor, versionsFromIfMatch } = require("../helpers/etag");
+const { parseId } = require("../helpers/params");
 const userNewSchema = require("../schemas/userNew.json");
 const userUpdateSchema = require("../schemas/userUpdate.json");
+const getUsersSchema = require("../schemas/getUsers.json");
+const applicationNewSchema = require("../schemas/applicationNew.json");
+const applicationUpdateSchema = require("../schemas/applicationUpdate.json");
 
 const router = express.Router();
 
+/** Application states candidates may move their own applications to; the
+ * others are the employer's to set, with permission applications:write or
+ * as a recruiter for the job's company.
+ */
+
+const CANDIDATE_STATES = ["applied", "accepted", "withdrawn"];
+
+/** The handle of the company that posted the job in the route's :id. */
+
+async function jobCompanyHandle(req) {
+  const job = await Job.get(parseId(req.params.id, "job"));
+  return job.companyHandle;
+}
+
+/** Middleware: ensureVerifiedEmail, except for requests changing only the
+ * email (with currentPassword), so users who mistyped their address or lost
+ * the verification email can still fix it themselves.
+ */
+
+function ensureVerifiedEmailUnlessFixing(req, res, next) {
+  const fields = Object.keys(req.body ?? {}).sort();
+  if (fields.join() === "currentPassword,email") return next();
+  return ensureVerifiedEmail(req, res, next);
+}
+
 
 /** POST / { user }  => { user, token }
  *
  * Adds a new user. This is not the registration endpoint --- instead, this is
- * only for admin users to add new users. The new user being added can be an
- * admin.
+ * only for admin users to add new users. The new user can be given any role
+ * (the default is "candidate").
  *
  * This returns the newly created user and an authentication token for them:
- *  { user: { username, firstName, lastName, email, isAdmin }, token }
+ *  { user: { username, firstName, lastName, email, role }, token }
+ *
+ * Emails the new user a token to verify their address with, as
+ * POST /auth/register does.
  *
- * Authorization required: logged in, and an admin
+ * Authorization required: logged in, with permission users:write
  **/
 
-router.post("/", ensureLoggedIn, isAdmin, async function (req, res, next) {
-  const validator = jsonschema.validate(
-      req.body,
-      userNewSchema,
-      { required: true },
-  );
-  if (!validator.valid) {
-    const errs = validator.errors.map(e => e.stack);
-    throw new BadRequestError(errs);
-  }
-
-  const user = await User.register(req.body);
-  const token = createToken(user);
-  return res.status(201).json({ user, token });
+router.post("/",
+  ensureLoggedIn,
+  requirePermission("users:write"),
+  async function (req, res, next) {
+    const validator = jsonschema.validate(
+        req.body,
+        userNewSchema,
+        { required: true },
+    );
+    if (!validator.valid) {
+      const errs = validator.errors.map(e => e.stack);
+      throw new BadRequestError(errs);
+    }
+
+    const user = await db.transaction(async client => {
+      const user = await User.register(req.body, client);
+      await AuditLog.record(res.locals.user, {
+        action: "create",
+        entityType: "user",
+        entityId: user.username,
+        after: user,
+      }, client);
+      return user;
+    });
+    await sendVerificationEmail(await EmailVerification.issue(user.username));
+    const token = createToken(user, await Role.permissions(user.role));
+    return res.status(201).json({ user, token });
 });
 
 
-/** GET / => { users: [ {username, firstName, lastName, email }, ... ] }
+/** GET / => { users: [ {username, firstName, lastName, email }, ... ],
+ *            pagination: { total, limit, offset, next, prev } }
  *
- * Returns list of all users.
+ * Returns list of all users, paged with limit (default 20) and either offset
+ * or an opaque cursor taken from the next/prev links.
  *
- * Authorization required: logged in, and an admin
+ * Authorization required: logged in, with permission users:read
  **/
 
-router.get("/", ensureLoggedIn, isAdmin, async function (req, res, next) {
-  const users = await User.findAll();
-  return res.json({ users });
+router.get("/",
+  ensureLoggedIn,
+  requirePermission("users:read"),
+  async function (req, res, next) {
+    const queries = req.query;
+
+    if ("limit" in queries) {
+      queries.limit = Number(queries.limit);
+    }
+    if ("offset" in queries) {
+      queries.offset = Number(queries.offset);
+    }
+
+    const validator = jsonschema.validate(
+        queries,
+        getUsersSchema,
+        { required: true },
+    );
+    if (!validator.valid) {
+      const errs = validator.errors.map(e => e.stack);
+      throw new BadRequestError(errs);
+    }
+
+    const page = pageParams(queries);
+    const users = await User.findAll({ limit: page.limit, offset: page.offset });
+    const total = await User.count();
+    return res.json({ users, pagination: paginate(req, { total, ...page }) });
 });
 
 
 /** GET /[username] => { user }
  *
- * Returns { username, firstName, lastName, isAdmin }
+ * Returns { username, firstName, lastName, role, version }
+ *
+ * The ETag header names the user's version, for PATCH's If-Match.
  *
- * Authorization required: logged in, and admin or authorized user
+ * Authorization required: logged in, and the same user or with permission
+ * users:read
  * // TODO: more specific docstring and function name
  **/
 
 router.get("/:username",
   ensureLoggedIn,
-  isAdminOrCurrentUser,
+  requirePermissionOrCurrentUser("users:read"),
   async function (req, res, next) {
 
     console.log("REQ PARAMS>>>>>>>>", req.params.username);
@@ -76,6 +173,7 @@ router.get("/:username",
 
     console.log("USER OBJECT>>>>>>>", user)
 
+    res.set("ETag", etagFor(user.version));
     return res.json({ user });
 
 });
@@ -84,18 +182,34 @@ router.get("/:username",
 /** PATCH /[username] { user } => { user }
  *
  * Data can include:
- *   { firstName, lastName, password, email }
+ *   { firstName, lastName, password, email, role, currentPassword }
+ *
+ * Users changing their own password or email must confirm it with their
+ * currentPassword (users with permission users:write don't need to), and
+ * only users with users:write can change roles. Wrong currentPasswords count
+ * as failed logins, backing off and locking out like POST /auth/token.
+ * Changing the password, email or role signs the user out everywhere; if
+ * they changed it themselves, they get new tokens.
+ * A new email must be verified again; a verification token is emailed to it.
  *
- * Returns { username, firstName, lastName, email, isAdmin }
+ * With an If-Match header (an ETag from GET /[username] or an earlier PATCH),
+ * the user is only changed if they haven't been since; otherwise, or if the
+ * ETag is weak, this responds 412 Precondition Failed.
  *
- * Authorization required: logged in, and admin or authorized user
+ * Returns { user: { username, firstName, lastName, email, role, version } }
+ *   or, with new tokens, { user, token, refreshToken }
+ *   with the new version's ETag
+ *
+ * Authorization required: logged in with a verified email (unless only
+ * changing the email, with currentPassword), and the same user or with
+ * permission users:write
  **/
 
 router.patch("/:username",
   ensureLoggedIn,
-  isAdminOrCurrentUser,
+  requirePermissionOrCurrentUser("users:write"),
+  ensureVerifiedEmailUnlessFixing,
     async function (req, res, next) {
-      console.log("REQ BODY>>>>>>", req.body);
       const validator = jsonschema.validate(
           req.body,
           userUpdateSchema,
@@ -106,23 +220,253 @@ router.patch("/:username",
         throw new BadRequestError(errs);
       }
 
-      const user = await User.update(req.params.username, req.body);
-      return res.json({ user });
+      const { username } = req.params;
+      const { currentPassword, ...data } = req.body;
+      const versions = versionsFromIfMatch(req.get("If-Match"));
+      const changesCredentials = "password" in data || "email" in data;
+      const canWriteUsers = hasPermission(res.locals.user, "users:write");
+
+      if ("role" in data && !canWriteUsers) throw new UnauthorizedError();
+      if (changesCredentials && !canWriteUsers) {
+        if (currentPassword === undefined) {
+          throw new BadRequestError(
+              "currentPassword required to change password or email");
+        }
+        await LoginThrottle.attempt(username, req.ip,
+            () => User.authenticate(username, currentPassword));
+      }
+
+      const signOut = changesCredentials || "role" in data;
+      const user = await db.transaction(async client => {
+        const { applications, jobs, ...before } =
+            await User.get(username, client);
+        const user = await User.update(username, data, versions, client);
+        await AuditLog.record(res.locals.user, {
+          action: "update",
+          entityType: "user",
+          entityId: username,
+          before,
+          after: user,
+        }, client);
+        if (signOut) await TokenRevocation.revokeAll(username, client);
+        return user;
+      });
+
+      if ("email" in data && !(await EmailVerification.isVerified(username))) {
+        await sendVerificationEmail(await EmailVerification.issue(username));
+      }
+
+      res.set("ETag", etagFor(user.version));
+      if (!signOut || res.locals.user.username !== username) {
+        return res.json({ user });
+      }
+
+      const token = createToken(user, await Role.permissions(user.role));
+      const refreshToken = await RefreshToken.issue(username);
+      return res.json({ user, token, refreshToken });
 });
 
 
 /** DELETE /[username]  =>  { deleted: username }
  *
- * Authorization required: logged in, and admin or authorized user
+ * The user can no longer log in and is hidden, but can be restored until
+ * they're purged (see purge.js). They're signed out everywhere, so their
+ * tokens don't work again once they're restored.
+ *
+ * Authorization required: logged in, and the same user or with permission
+ * users:write
  **/
 
 router.delete("/:username",
   ensureLoggedIn,
-  isAdminOrCurrentUser,
+  requirePermissionOrCurrentUser("users:write"),
   async function (req, res, next) {
-    await User.remove(req.params.username);
+    await db.transaction(async client => {
+      const { applications, jobs, ...before } =
+          await User.get(req.params.username, client);
+      await User.remove(req.params.username, client);
+      await TokenRevocation.revokeAll(req.params.username, client);
+      await AuditLog.record(res.locals.user, {
+        action: "delete",
+        entityType: "user",
+        entityId: req.params.username,
+        before,
+      }, client);
+    });
     return res.json({ deleted: req.params.username });
 });
 
 
+/** POST /[username]/restore  =>  { restored: username }
+ *
+ * Undoes the deletion of the user.
+ *
+ * Authorization required: logged in, with permission users:write
+ **/
+
+router.post("/:username/restore",
+  ensureLoggedIn,
+  requirePermission("users:write"),
+  async function (req, res, next) {
+    const user = await db.transaction(async client => {
+      const user = await User.restore(req.params.username, client);
+      await AuditLog.record(res.locals.user, {
+        action: "restore",
+        entityType: "user",
+        entityId: user.username,
+        after: user,
+      }, client);
+      return user;
+    });
+    return res.json({ restored: user.username });
+});
+
+
+/** POST /[username]/logout  =>  { loggedOut: username }
+ *
+ * Forces sign-out of user: every token issued to them so far, including
+ * refresh tokens, stops working.
+ *
+ * Authorization required: logged in, with permission users:write
+ **/
+
+router.post("/:username/logout",
+  ensureLoggedIn,
+  requirePermission("users:write"),
+  async function (req, res, next) {
+    await db.transaction(async client => {
+      await TokenRevocation.revokeAll(req.params.username, client);
+      await AuditLog.record(res.locals.user, {
+        action: "logout",
+        entityType: "user",
+        entityId: req.params.username,
+      }, client);
+    });
+    return res.json({ loggedOut: req.params.username });
+});
+
+
+/** POST /[username]/unlock  =>  { unlocked: username }
+ *
+ * Lifts a lockout or login backoff on user after too many failed logins.
+ *
+ * Authorization required: logged in, with permission users:write
+ **/
+
+router.post("/:username/unlock",
+  ensureLoggedIn,
+  requirePermission("users:write"),
+  async function (req, res, next) {
+    await db.transaction(async client => {
+      await LoginThrottle.unlock(req.params.username, client);
+      await AuditLog.record(res.locals.user, {
+        action: "unlock",
+        entityType: "user",
+        entityId: req.params.username,
+      }, client);
+    });
+    return res.json({ unlocked: req.params.username });
+});
+
+
+/** POST /[username]/jobs/[id] { state } =>  { applied: jobId }
+ *
+ * Applies user to job. state is optional and can be "interested" or
+ * "applied" (the default). The application's audit log entity id is
+ * "<username>:<jobId>".
+ *
+ * Authorization required: logged in, and the same user or with permission
+ * applications:write
+ **/
+
+router.post("/:username/jobs/:id",
+  ensureLoggedIn,
+  requirePermissionOrCurrentUser("applications:write"),
+  async function (req, res, next) {
+    const jobId = parseId(req.params.id, "job");
+
+    const body = req.body || {};
+    const validator = jsonschema.validate(
+        body,
+        applicationNewSchema,
+        { required: true },
+    );
+    if (!validator.valid) {
+      const errs = validator.errors.map(e => e.stack);
+      throw new BadRequestError(errs);
+    }
+
+    const { username } = req.params;
+    const state = body.state ?? "applied";
+    await db.transaction(async client => {
+      await User.applyToJob(username, jobId, state, client);
+      await AuditLog.record(res.locals.user, {
+        action: "create",
+        entityType: "application",
+        entityId: `${username}:${jobId}`,
+        after: { state },
+      }, client);
+    });
+    return res.status(201).json({ applied: jobId });
+});
+
+
+/** PATCH /[username]/jobs/[id] { state } =>  { application }
+ *
+ * Moves user's application for job to a new state. Allowed moves are:
+ *   interested -> applied -> interviewing -> offered -> accepted,
+ *   and any open application -> rejected or withdrawn
+ *
+ * Candidates can only apply, accept an offer or withdraw; the other moves are
+ * the employer's, and anyone else gets 403 Forbidden for them.
+ *
+ * Returns { username, jobId, state, history }
+ *   where history is [{ state, changedAt }, ...]
+ *
+ * Authorization required: logged in, and the same user, with permission
+ * applications:write, or a recruiter for the job's company with permission
+ * applications:write:company
+ **/
+
+router.patch("/:username/jobs/:id",
+  ensureLoggedIn,
+  requireCompanyPermissionOrCurrentUser("applications:write", jobCompanyHandle),
+  async function (req, res, next) {
+    const jobId = parseId(req.params.id, "job");
+
+    const validator = jsonschema.validate(
+        req.body,
+        applicationUpdateSchema,
+        { required: true },
+    );
+    if (!validator.valid) {
+      const errs = validator.errors.map(e => e.stack);
+      throw new BadRequestError(errs);
+    }
+
+    if (!CANDIDATE_STATES.includes(req.body.state)
+        && !(await hasCompanyPermission(res.locals.user, "applications:write",
+            jobCompanyHandle, req))) {
+      throw new ForbiddenError(
+          `Only the employer can move an application to ${req.body.state}`);
+    }
+
+    const { username } = req.params;
+    const application = await db.transaction(async client => {
+      const application = await User.updateApplication(
+          username, jobId, req.body.state, client);
+      const { history } = application;
+      await AuditLog.record(res.locals.user, {
+        action: "update",
+        entityType: "application",
+        entityId: `${username}:${jobId}`,
+        before: { state: history[history.length - 2].state },
+        after: { state: application.state },
+      }, client);
+      return application;
+    });
+    return res.json({ application });
+});
+
+
 module.exports = router;
@@ -5,6 +5,11 @@ const request = require("supertest");
 const db = require("../db.js");
 const app = require("../app");
 const User = require("../models/user");
+const Recruiter = require("../models/recruiter");
+const RefreshToken = require("../models/refreshToken");
+const { encodeCursor } = require("../helpers/pagination");
+const { setTransport } = require("../helpers/mailer");
+const { LOGIN_LOCKOUT_AFTER } = require("../config");
 
 const {
   commonBeforeAll,
@@ -13,7 +18,9 @@ const {
   commonAfterAll,
   u1Token,
   u2Token,
-  adminToken
+  recruiterToken,
+  adminToken,
+  testJobIds,
 } = require("./_testCommon");
 
 beforeAll(commonBeforeAll);
@@ -24,6 +31,12 @@ afterAll(commonAfterAll);
 /************************************** POST /users */
 
 describe("POST /users", function () {
+  let sent;
+
+  beforeEach(function () {
+    sent = [];
+    setTransport(async message => sent.push(message));
+  });
 
   test("works for admins: create non-admin", async function () {
 
@@ -35,7 +48,7 @@ describe("POST /users", function () {
           lastName: "Last-newL",
           password: "password-new",
           email: "new@email.com",
-          isAdmin: false,
+          role: "candidate",
         })
         .set("authorization", `Bearer ${adminToken}`);
 
@@ -46,9 +59,17 @@ describe("POST /users", function () {
         firstName: "First-new",
         lastName: "Last-newL",
         email: "new@email.com",
-        isAdmin: false,
+        role: "candidate",
       }, token: expect.any(String),
     });
+    expect(sent.length).toEqual(1);
+    expect(sent[0].to).toEqual("new@email.com");
+
+    const token = sent[0].text.split("\n")[3];
+    const verifyResp = await request(app)
+        .get("/auth/verify-email")
+        .query({ token });
+    expect(verifyResp.body).toEqual({ verified: "u-new" });
   });
 
   test("works for admins: create admin", async function () {
@@ -61,7 +82,7 @@ describe("POST /users", function () {
           lastName: "Last-newL2",
           password: "password-new2",
           email: "new@email.com2",
-          isAdmin: true,
+          role: "admin",
         })
         .set("authorization", `Bearer ${adminToken}`);
 
@@ -72,7 +93,7 @@ describe("POST /users", function () {
         firstName: "First-new2",
         lastName: "Last-newL2",
         email: "new@email.com2",
-        isAdmin: true,
+        role: "admin",
       }, token: expect.any(String),
     });
   });
@@ -87,7 +108,7 @@ describe("POST /users", function () {
           lastName: "Last-newL",
           password: "password-new",
           email: "new@email.com",
-          isAdmin: false,
+          role: "candidate",
         })
         .set("authorization", `Bearer ${u1Token}`);
 
@@ -104,7 +125,7 @@ describe("POST /users", function () {
           lastName: "Last-newL",
           password: "password-new",
           email: "new@email.com",
-          isAdmin: true,
+          role: "admin",
         })
         .set("authorization", `Bearer ${u1Token}`);
 
@@ -122,7 +143,7 @@ describe("POST /users", function () {
           password: "password-new",
           email: "new@email.com",
           color: "BAD",
-          isAdmin: true
+          role: "admin"
         })
         .set("authorization", `Bearer ${adminToken}`);
 
@@ -138,7 +159,7 @@ describe("POST /users", function () {
           lastName: "Last-newL",
           password: "password-new",
           email: "new@email.com",
-          isAdmin: true
+          role: "admin"
         })
         .set("authorization", `Bearer ${adminToken}`);
 
@@ -154,7 +175,7 @@ describe("POST /users", function () {
           lastName: "Last-newL",
           password: "password-new",
           email: "new@email.com",
-          isAdmin: true,
+          role: "admin",
         });
     expect(resp.statusCode).toEqual(401);
   });
@@ -178,7 +199,7 @@ describe("POST /users", function () {
           lastName: "Last-newL",
           password: "password-new",
           email: "not-an-email",
-          isAdmin: true,
+          role: "admin",
         })
         .set("authorization", `Bearer ${adminToken}`);
     expect(resp.statusCode).toEqual(400);
@@ -199,26 +220,72 @@ describe("GET /users", function () {
           firstName: "U1F",
           lastName: "U1L",
           email: "user1@user.com",
-          isAdmin: false,
+          role: "candidate",
         },
         {
           username: "u2",
           firstName: "U2F",
           lastName: "U2L",
           email: "user2@user.com",
-          isAdmin: false,
+          role: "candidate",
         },
         {
           username: "u3",
           firstName: "U3F",
           lastName: "U3L",
           email: "user3@user.com",
-          isAdmin: false,
+          role: "candidate",
         },
       ],
+      pagination: {
+        total: 3,
+        limit: 20,
+        offset: 0,
+        next: null,
+        prev: null,
+      },
+    });
+  });
+
+  test("works: paginated", async function () {
+    const resp = await request(app)
+        .get("/users")
+        .query({ limit: 1, offset: 1 })
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.body.users.map(u => u.username)).toEqual(["u2"]);
+    expect(resp.body.pagination).toEqual({
+      total: 3,
+      limit: 1,
+      offset: 1,
+      next: "/users?limit=1&offset=2",
+      prev: "/users?limit=1&offset=0",
     });
   });
 
+  test("works: following cursor links", async function () {
+    const first = await request(app)
+        .get("/users")
+        .query({ limit: 2, cursor: encodeCursor(0) })
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(first.body.users.map(u => u.username)).toEqual(["u1", "u2"]);
+    expect(first.body.pagination.offset).toBeUndefined();
+    expect(first.body.pagination.prev).toBeNull();
+
+    const second = await request(app)
+        .get(first.body.pagination.next)
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(second.body.users.map(u => u.username)).toEqual(["u3"]);
+    expect(second.body.pagination.next).toBeNull();
+  });
+
+  test("bad request on invalid paging", async function () {
+    const resp = await request(app)
+        .get("/users")
+        .query({ limit: 0 })
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
   test("fails if not admin", async function () {
 
     const resp = await request(app)
@@ -253,7 +320,17 @@ describe("GET /users/:username", function () {
         firstName: "U1F",
         lastName: "U1L",
         email: "user1@user.com",
-        isAdmin: false,
+        role: "candidate",
+        emailVerified: true,
+        version: 1,
+        applications: [testJobIds[0]],
+        jobs: [{
+          id: testJobIds[0],
+          title: "J1",
+          companyHandle: "c1",
+          companyName: "C1",
+          state: "applied",
+        }],
       },
     });
   });
@@ -270,7 +347,17 @@ describe("GET /users/:username", function () {
         firstName: "U1F",
         lastName: "U1L",
         email: "user1@user.com",
-        isAdmin: false,
+        role: "candidate",
+        emailVerified: true,
+        version: 1,
+        applications: [testJobIds[0]],
+        jobs: [{
+          id: testJobIds[0],
+          title: "J1",
+          companyHandle: "c1",
+          companyName: "C1",
+          state: "applied",
+        }],
       },
     });
   });
@@ -320,7 +407,8 @@ describe("PATCH /users/:username", () => {
         firstName: "New",
         lastName: "U1L",
         email: "user1@user.com",
-        isAdmin: false,
+        role: "candidate",
+        version: 2,
       },
     });
   });
@@ -340,11 +428,36 @@ describe("PATCH /users/:username", () => {
         firstName: "New",
         lastName: "U1L",
         email: "user1@user.com",
-        isAdmin: false,
+        role: "candidate",
+        version: 2,
       },
     });
   });
 
+  test("precondition failed with stale If-Match", async function () {
+    await User.update("u1", { lastName: "First" });
+    const resp = await request(app)
+        .patch(`/users/u1`)
+        .send({ firstName: "New" })
+        .set("If-Match", '"1"')
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(412);
+    expect((await User.get("u1")).firstName).toEqual("U1F");
+  });
+
+  test("works with current If-Match", async function () {
+    const getResp = await request(app)
+        .get(`/users/u1`)
+        .set("authorization", `Bearer ${adminToken}`);
+    const resp = await request(app)
+        .patch(`/users/u1`)
+        .send({ firstName: "New" })
+        .set("If-Match", getResp.headers.etag)
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.headers.etag).toEqual('"2"');
+  });
+
   test("fails if not admin or authorized user", async function () {
 
     const resp = await request(app)
@@ -378,7 +491,7 @@ describe("PATCH /users/:username", () => {
           lastName: "U1L",
           email: "user1@user.com",
           color: "blue",
-          isAdmin: false
+          role: "candidate"
         })
         .set("authorization", `Bearer ${u1Token}`);
 
@@ -415,13 +528,43 @@ describe("PATCH /users/:username", () => {
         .set("authorization", `Bearer ${u1Token}`);
     expect(resp.statusCode).toEqual(400);
   });
-  // TODO: test that user cannot update isAdmin status
+
+  test("works: admin sets role", async function () {
+    const resp = await request(app)
+        .patch(`/users/u1`)
+        .send({ role: "recruiter" })
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.body.user.role).toEqual("recruiter");
+
+    const oldTokenResp = await request(app)
+        .get(`/users/u1`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(oldTokenResp.statusCode).toEqual(401);
+  });
+
+  test("unauth if user sets own role", async function () {
+    const resp = await request(app)
+        .patch(`/users/u1`)
+        .send({ role: "admin" })
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("bad request if no such role", async function () {
+    const resp = await request(app)
+        .patch(`/users/u1`)
+        .send({ role: "nope" })
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
   test("works: set new password", async function () {
 
     const resp = await request(app)
         .patch(`/users/u1`)
         .send({
           password: "new-password",
+          currentPassword: "password1",
         })
         .set("authorization", `Bearer ${u1Token}`);
 
@@ -431,11 +574,295 @@ describe("PATCH /users/:username", () => {
         firstName: "U1F",
         lastName: "U1L",
         email: "user1@user.com",
-        isAdmin: false,
+        role: "candidate",
+        version: 2,
       },
+      token: expect.any(String),
+      refreshToken: expect.any(String),
     });
     const isSuccessful = await User.authenticate("u1", "new-password");
     expect(isSuccessful).toBeTruthy();
+
+    const oldTokenResp = await request(app)
+        .get(`/users/u1`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(oldTokenResp.statusCode).toEqual(401);
+
+    const newTokenResp = await request(app)
+        .get(`/users/u1`)
+        .set("authorization", `Bearer ${resp.body.token}`);
+    expect(newTokenResp.statusCode).toEqual(200);
+  });
+
+  test("works: admin sets password without currentPassword", async function () {
+
+    const resp = await request(app)
+        .patch(`/users/u1`)
+        .send({
+          password: "new-password",
+        })
+        .set("authorization", `Bearer ${adminToken}`);
+
+    expect(resp.body).toEqual({
+      user: {
+        username: "u1",
+        firstName: "U1F",
+        lastName: "U1L",
+        email: "user1@user.com",
+        role: "candidate",
+        version: 2,
+      },
+    });
+
+    const oldTokenResp = await request(app)
+        .get(`/users/u1`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(oldTokenResp.statusCode).toEqual(401);
+  });
+
+  test("works: set new email", async function () {
+    const sent = [];
+    setTransport(async message => sent.push(message));
+
+    const resp = await request(app)
+        .patch(`/users/u1`)
+        .send({
+          email: "new@user.com",
+          currentPassword: "password1",
+        })
+        .set("authorization", `Bearer ${u1Token}`);
+
+    expect(resp.body.user.email).toEqual("new@user.com");
+    expect(resp.body.token).toEqual(expect.any(String));
+    expect(resp.body.refreshToken).toEqual(expect.any(String));
+    expect(sent.length).toEqual(1);
+    expect(sent[0].to).toEqual("new@user.com");
+
+    const oldTokenResp = await request(app)
+        .get(`/users/u1`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(oldTokenResp.statusCode).toEqual(401);
+
+    const userResp = await request(app)
+        .get(`/users/u1`)
+        .set("authorization", `Bearer ${resp.body.token}`);
+    expect(userResp.body.user.emailVerified).toEqual(false);
+  });
+
+  test("forbidden if email not verified", async function () {
+    await db.query(
+        "UPDATE users SET email_verified = FALSE WHERE username = 'u1'");
+
+    const resp = await request(app)
+        .patch(`/users/u1`)
+        .send({
+          firstName: "New",
+        })
+        .set("authorization", `Bearer ${u1Token}`);
+
+    expect(resp.statusCode).toEqual(403);
+  });
+
+  test("works: unverified user fixes their email", async function () {
+    await db.query(
+        "UPDATE users SET email_verified = FALSE WHERE username = 'u1'");
+    const sent = [];
+    setTransport(async message => sent.push(message));
+
+    const resp = await request(app)
+        .patch(`/users/u1`)
+        .send({
+          email: "fixed@user.com",
+          currentPassword: "password1",
+        })
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body.user.email).toEqual("fixed@user.com");
+    expect(sent.length).toEqual(1);
+    expect(sent[0].to).toEqual("fixed@user.com");
+
+    const token = sent[0].text.split("\n")[3];
+    const verifyResp = await request(app)
+        .get("/auth/verify-email")
+        .query({ token });
+    expect(verifyResp.body).toEqual({ verified: "u1" });
+
+    const userResp = await request(app)
+        .get(`/users/u1`)
+        .set("authorization", `Bearer ${resp.body.token}`);
+    expect(userResp.body.user.emailVerified).toEqual(true);
+  });
+
+  test("forbidden if email not verified, changing more than email",
+    async function () {
+    await db.query(
+        "UPDATE users SET email_verified = FALSE WHERE username = 'u1'");
+
+    const resp = await request(app)
+        .patch(`/users/u1`)
+        .send({
+          email: "fixed@user.com",
+          firstName: "New",
+          currentPassword: "password1",
+        })
+        .set("authorization", `Bearer ${u1Token}`);
+
+    expect(resp.statusCode).toEqual(403);
+  });
+
+  test("bad request changing password without currentPassword",
+    async function () {
+
+    const resp = await request(app)
+        .patch(`/users/u1`)
+        .send({
+          password: "new-password",
+        })
+        .set("authorization", `Bearer ${u1Token}`);
+
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("bad request changing email without currentPassword", async function () {
+
+    const resp = await request(app)
+        .patch(`/users/u1`)
+        .send({
+          email: "new@user.com",
+        })
+        .set("authorization", `Bearer ${u1Token}`);
+
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("unauth with wrong currentPassword", async function () {
+
+    const resp = await request(app)
+        .patch(`/users/u1`)
+        .send({
+          password: "new-password",
+          currentPassword: "wrong",
+        })
+        .set("authorization", `Bearer ${u1Token}`);
+
+    expect(resp.statusCode).toEqual(401);
+    const user = await User.authenticate("u1", "password1");
+    expect(user.username).toEqual("u1");
+  });
+
+  test("wrong currentPasswords lock the account like logins", async function () {
+    await db.query(`
+        INSERT INTO login_failures (kind, key, failures, last_failed_at)
+        VALUES ('username', 'u1', $1, CURRENT_TIMESTAMP)`,
+        [LOGIN_LOCKOUT_AFTER - 1]);
+
+    const failResp = await request(app)
+        .patch(`/users/u1`)
+        .send({
+          password: "new-password",
+          currentPassword: "wrong",
+        })
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(failResp.statusCode).toEqual(401);
+
+    const resp = await request(app)
+        .patch(`/users/u1`)
+        .send({
+          password: "new-password",
+          currentPassword: "password1",
+        })
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(423);
+
+    const loginResp = await request(app)
+        .post("/auth/token")
+        .send({ username: "u1", password: "password1" });
+    expect(loginResp.statusCode).toEqual(423);
+  });
+});
+
+/************************************** POST /users/:username/logout */
+
+describe("POST /users/:username/logout", function () {
+
+  test("works for admins", async function () {
+    const u2Login = await request(app)
+        .post("/auth/token")
+        .send({ username: "u2", password: "password2" });
+
+    const resp = await request(app)
+        .post(`/users/u2/logout`)
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.body).toEqual({ loggedOut: "u2" });
+
+    const userResp = await request(app)
+        .get(`/users/u2`)
+        .set("authorization", `Bearer ${u2Login.body.token}`);
+    expect(userResp.statusCode).toEqual(401);
+
+    const refreshResp = await request(app)
+        .post("/auth/refresh")
+        .send({ refreshToken: u2Login.body.refreshToken });
+    expect(refreshResp.statusCode).toEqual(401);
+  });
+
+  test("fails if not admin", async function () {
+    const resp = await request(app)
+        .post(`/users/u2/logout`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("not found if no such user", async function () {
+    const resp = await request(app)
+        .post(`/users/nope/logout`)
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+});
+
+/************************************** POST /users/:username/unlock */
+
+describe("POST /users/:username/unlock", function () {
+  async function lockU2() {
+    await db.query(`
+        INSERT INTO login_failures
+            (kind, key, failures, last_failed_at, locked_until)
+        VALUES ('username', 'u2', 10, CURRENT_TIMESTAMP,
+                CURRENT_TIMESTAMP + INTERVAL '1 hour')`);
+  }
+
+  test("works for admins", async function () {
+    await lockU2();
+    const lockedResp = await request(app)
+        .post("/auth/token")
+        .send({ username: "u2", password: "password2" });
+    expect(lockedResp.statusCode).toEqual(423);
+
+    const resp = await request(app)
+        .post(`/users/u2/unlock`)
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.body).toEqual({ unlocked: "u2" });
+
+    const loginResp = await request(app)
+        .post("/auth/token")
+        .send({ username: "u2", password: "password2" });
+    expect(loginResp.statusCode).toEqual(200);
+  });
+
+  test("fails if not admin", async function () {
+    await lockU2();
+    const resp = await request(app)
+        .post(`/users/u2/unlock`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("not found if no such user", async function () {
+    const resp = await request(app)
+        .post(`/users/nope/unlock`)
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(404);
   });
 });
 
@@ -452,6 +879,40 @@ describe("DELETE /users/:username", function () {
     expect(resp.body).toEqual({ deleted: "u1" });
   });
 
+  test("token stops working once user is deleted", async function () {
+
+    await request(app)
+        .delete(`/users/u1`)
+        .set("authorization", `Bearer ${u1Token}`);
+
+    const resp = await request(app)
+        .post(`/users/u1/jobs/${testJobIds[1]}`)
+        .set("authorization", `Bearer ${u1Token}`);
+
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("tokens don't work again once user is restored", async function () {
+    const refreshToken = await RefreshToken.issue("u1");
+
+    await request(app)
+        .delete(`/users/u1`)
+        .set("authorization", `Bearer ${u1Token}`);
+    await request(app)
+        .post(`/users/u1/restore`)
+        .set("authorization", `Bearer ${adminToken}`);
+
+    const resp = await request(app)
+        .get(`/users/u1`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(401);
+
+    const refreshResp = await request(app)
+        .post("/auth/refresh")
+        .send({ refreshToken });
+    expect(refreshResp.statusCode).toEqual(401);
+  });
+
   test("works for admins", async function () {
 
     const resp = await request(app)
@@ -487,3 +948,293 @@ describe("DELETE /users/:username", function () {
     expect(resp.statusCode).toEqual(404);
   });
 });
+
+/************************************** POST /users/:username/restore */
+
+describe("POST /users/:username/restore", function () {
+  test("works for admins", async function () {
+    await request(app)
+        .delete(`/users/u1`)
+        .set("authorization", `Bearer ${adminToken}`);
+
+    const resp = await request(app)
+        .post(`/users/u1/restore`)
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.body).toEqual({ restored: "u1" });
+
+    const loginResp = await request(app)
+        .post("/auth/token")
+        .send({ username: "u1", password: "password1" });
+    expect(loginResp.statusCode).toEqual(200);
+  });
+
+  test("unauth if not admin", async function () {
+    await request(app)
+        .delete(`/users/u1`)
+        .set("authorization", `Bearer ${adminToken}`);
+
+    const resp = await request(app)
+        .post(`/users/u1/restore`)
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("not found if user not deleted", async function () {
+    const resp = await request(app)
+        .post(`/users/u1/restore`)
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+});
+
+/************************************** POST /users/:username/jobs/:id */
+
+describe("POST /users/:username/jobs/:id", function () {
+
+  test("works for authorized user", async function () {
+
+    const resp = await request(app)
+        .post(`/users/u1/jobs/${testJobIds[1]}`)
+        .set("authorization", `Bearer ${u1Token}`);
+
+    expect(resp.statusCode).toEqual(201);
+    expect(resp.body).toEqual({ applied: testJobIds[1] });
+  });
+
+  test("works for admins", async function () {
+
+    const resp = await request(app)
+        .post(`/users/u1/jobs/${testJobIds[1]}`)
+        .set("authorization", `Bearer ${adminToken}`);
+
+    expect(resp.statusCode).toEqual(201);
+    expect(resp.body).toEqual({ applied: testJobIds[1] });
+  });
+
+  test("fails if not admin or authorized user", async function () {
+
+    const resp = await request(app)
+        .post(`/users/u1/jobs/${testJobIds[1]}`)
+        .set("authorization", `Bearer ${u2Token}`);
+
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("unauth for anon", async function () {
+
+    const resp = await request(app)
+        .post(`/users/u1/jobs/${testJobIds[1]}`);
+
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("not found for no such job", async function () {
+
+    const resp = await request(app)
+        .post(`/users/u1/jobs/0`)
+        .set("authorization", `Bearer ${u1Token}`);
+
+    expect(resp.statusCode).toEqual(404);
+  });
+
+  test("not found for no such user", async function () {
+
+    const resp = await request(app)
+        .post(`/users/nope/jobs/${testJobIds[1]}`)
+        .set("authorization", `Bearer ${adminToken}`);
+
+    expect(resp.statusCode).toEqual(404);
+  });
+
+  test("bad request if already applied", async function () {
+
+    const resp = await request(app)
+        .post(`/users/u1/jobs/${testJobIds[0]}`)
+        .set("authorization", `Bearer ${u1Token}`);
+
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("bad request on invalid job id", async function () {
+
+    const resp = await request(app)
+        .post(`/users/u1/jobs/nope`)
+        .set("authorization", `Bearer ${u1Token}`);
+
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("bad request on job id out of range", async function () {
+
+    const resp = await request(app)
+        .post(`/users/u1/jobs/99999999999`)
+        .set("authorization", `Bearer ${u1Token}`);
+
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("works with starting state", async function () {
+
+    const resp = await request(app)
+        .post(`/users/u1/jobs/${testJobIds[1]}`)
+        .send({ state: "interested" })
+        .set("authorization", `Bearer ${u1Token}`);
+
+    expect(resp.statusCode).toEqual(201);
+    const user = await User.get("u1");
+    expect(user.jobs[1].state).toEqual("interested");
+  });
+
+  test("bad request on invalid starting state", async function () {
+
+    const resp = await request(app)
+        .post(`/users/u1/jobs/${testJobIds[1]}`)
+        .send({ state: "offered" })
+        .set("authorization", `Bearer ${u1Token}`);
+
+    expect(resp.statusCode).toEqual(400);
+  });
+});
+
+/************************************** PATCH /users/:username/jobs/:id */
+
+describe("PATCH /users/:username/jobs/:id", function () {
+
+  test("works for authorized user: withdraw", async function () {
+
+    const resp = await request(app)
+        .patch(`/users/u1/jobs/${testJobIds[0]}`)
+        .send({ state: "withdrawn" })
+        .set("authorization", `Bearer ${u1Token}`);
+
+    expect(resp.body).toEqual({
+      application: {
+        username: "u1",
+        jobId: testJobIds[0],
+        state: "withdrawn",
+        history: [
+          { state: "applied", changedAt: expect.any(String) },
+          { state: "withdrawn", changedAt: expect.any(String) },
+        ],
+      },
+    });
+  });
+
+  test("forbidden for authorized user: employer's move", async function () {
+
+    const resp = await request(app)
+        .patch(`/users/u1/jobs/${testJobIds[0]}`)
+        .send({ state: "interviewing" })
+        .set("authorization", `Bearer ${u1Token}`);
+
+    expect(resp.statusCode).toEqual(403);
+    const user = await User.get("u1");
+    expect(user.jobs[0].state).toEqual("applied");
+  });
+
+  test("works for admins: employer's move", async function () {
+
+    const resp = await request(app)
+        .patch(`/users/u1/jobs/${testJobIds[0]}`)
+        .send({ state: "interviewing" })
+        .set("authorization", `Bearer ${adminToken}`);
+
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body.application.state).toEqual("interviewing");
+  });
+
+  test("works for recruiters of the job's company", async function () {
+
+    const resp = await request(app)
+        .patch(`/users/u1/jobs/${testJobIds[0]}`)
+        .send({ state: "interviewing" })
+        .set("authorization", `Bearer ${recruiterToken}`);
+
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body.application.state).toEqual("interviewing");
+  });
+
+  test("unauth for recruiters of other companies", async function () {
+    await Recruiter.unlink("u2", "c1");
+    await Recruiter.link("u2", "c2");
+
+    const resp = await request(app)
+        .patch(`/users/u1/jobs/${testJobIds[0]}`)
+        .send({ state: "interviewing" })
+        .set("authorization", `Bearer ${recruiterToken}`);
+
+    expect(resp.statusCode).toEqual(401);
+    const user = await User.get("u1");
+    expect(user.jobs[0].state).toEqual("applied");
+  });
+
+  test("works for admins", async function () {
+
+    const resp = await request(app)
+        .patch(`/users/u1/jobs/${testJobIds[0]}`)
+        .send({ state: "rejected" })
+        .set("authorization", `Bearer ${adminToken}`);
+
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body.application.state).toEqual("rejected");
+  });
+
+  test("fails if not admin or authorized user", async function () {
+
+    const resp = await request(app)
+        .patch(`/users/u1/jobs/${testJobIds[0]}`)
+        .send({ state: "interviewing" })
+        .set("authorization", `Bearer ${u2Token}`);
+
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("unauth for anon", async function () {
+
+    const resp = await request(app)
+        .patch(`/users/u1/jobs/${testJobIds[0]}`)
+        .send({ state: "interviewing" });
+
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("bad request on illegal transition", async function () {
+
+    const resp = await request(app)
+        .patch(`/users/u1/jobs/${testJobIds[0]}`)
+        .send({ state: "accepted" })
+        .set("authorization", `Bearer ${u1Token}`);
+
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("bad request on unknown state", async function () {
+
+    const resp = await request(app)
+        .patch(`/users/u1/jobs/${testJobIds[0]}`)
+        .send({ state: "hired" })
+        .set("authorization", `Bearer ${u1Token}`);
+
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("bad request on job id out of range", async function () {
+
+    const resp = await request(app)
+        .patch(`/users/u1/jobs/99999999999`)
+        .send({ state: "interviewing" })
+        .set("authorization", `Bearer ${u1Token}`);
+
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("not found if no such application", async function () {
+
+    const resp = await request(app)
+        .patch(`/users/u1/jobs/${testJobIds[1]}`)
+        .send({ state: "withdrawn" })
+        .set("authorization", `Bearer ${u1Token}`);
+
+    expect(resp.statusCode).toEqual(404);
+  });
+});